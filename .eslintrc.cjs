@@ -21,4 +21,24 @@ module.exports = {
     'no-unused-vars': ['warn', { argsIgnorePattern: '^_' }],
     'no-console': ['warn', { allow: ['warn', 'error'] }],
   },
+  overrides: [
+    {
+      // Node-side code: the production server, mock AITable and build config
+      files: ['server/**/*.js', 'vite.config.js'],
+      env: { node: true, browser: false },
+      rules: {
+        'no-console': 'off',
+      },
+    },
+    {
+      // Headless tests, run with node --test
+      files: ['test/**/*.js'],
+      env: { node: true, browser: false },
+    },
+    {
+      // Service worker template, built into dist/sw.js by vite.config.js
+      files: ['src/sw.js'],
+      env: { serviceworker: true, browser: false },
+    },
+  ],
 }
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Production Server
+ * 
+ * Serves the built app from dist/ and proxies AITable through /api/signals (and
+ * /api/domains) so the AITable token stays on the server and never ships in the
+ * browser bundle.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { createServer } from 'node:http';
+import { existsSync, readFileSync } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Utility imports
+import { axiosWithRetry } from '../src/utils/apiUtils.js';
+
+/**
+ * Loads KEY=VALUE pairs from a local .env file for development
+ * Variables already set in the environment (e.g. Heroku config vars) take precedence.
+ */
+const loadDotEnv = () => {
+  const envPath = fileURLToPath(new URL('../.env', import.meta.url));
+  if (!existsSync(envPath)) return;
+
+  readFileSync(envPath, 'utf8').split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*([\w.-]+)\s*=\s*(.*)?\s*$/);
+    if (match && !line.trim().startsWith('#') && process.env[match[1]] === undefined) {
+      process.env[match[1]] = (match[2] || '').replace(/^(['"])(.*)\1$/, '$2');
+    }
+  });
+};
+
+loadDotEnv();
+
+/**
+ * Server configuration, read from the environment
+ */
+const SERVER_CONFIG = {
+  port: Number(process.env.PORT) || Number(process.env.API_PORT) || 3001,
+  distDir: resolve(fileURLToPath(new URL('../dist', import.meta.url))),
+  aitable: {
+    apiUrl: (process.env.AITABLE_API_URL || 'https://api.aitable.ai').replace(/\/$/, ''),
+    // VITE_-prefixed names are still accepted so existing Heroku config keeps working
+    token: process.env.AITABLE_TOKEN || process.env.VITE_AITABLE_TOKEN,
+    // Proxied datasheets, keyed by /api/<route>
+    datasheets: {
+      signals: process.env.SCAN_HITS_DATASHEET_ID || process.env.VITE_SCAN_HITS_DATASHEET_ID,
+      domains: process.env.DOMAINS_DATASHEET_ID,
+    },
+    maxPageSize: 1000,
+    timeout: 8000, // Shorter than the browser's 10 second timeout, so it gets the answer
+  },
+  cacheTtl: (Number(process.env.SIGNALS_CACHE_TTL) || 300) * 1000, // 5 minutes
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.csv': 'text/csv; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * Cached AITable pages, keyed by "route:pageNum:pageSize"
+ * @type {Map<string, {expires: number, body: Object}>}
+ */
+const signalsCache = new Map();
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON-serialisable body
+ * @param {Object} headers - Extra response headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Parses a positive integer query parameter
+ * @param {string|null} value - Raw parameter value
+ * @param {number} fallback - Value used when the parameter is missing or invalid
+ * @returns {number} Parsed integer
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Environment variable that configures each proxied datasheet, for error messages
+ */
+const DATASHEET_ENV_NAMES = {
+  signals: 'SCAN_HITS_DATASHEET_ID',
+  domains: 'DOMAINS_DATASHEET_ID',
+};
+
+/**
+ * Proxies one page of datasheet records from AITable, with caching
+ * Responds in AITable's own { success, data: { total, pageNum, pageSize, records } } shape.
+ * @param {string} route - Datasheet route name ('signals' or 'domains')
+ * @param {URL} url - Parsed request URL
+ * @param {http.ServerResponse} res - Response object
+ */
+const handleDatasheet = async (route, url, res) => {
+  const { apiUrl, token, datasheets, maxPageSize } = SERVER_CONFIG.aitable;
+  const datasheetId = datasheets[route];
+
+  if (!token || !datasheetId) {
+    const missing = [!token && 'AITABLE_TOKEN', !datasheetId && DATASHEET_ENV_NAMES[route]].filter(Boolean);
+    sendJson(res, 500, {
+      success: false,
+      code: 'MISSING_CONFIGURATION',
+      missing,
+      message: `Server is missing ${missing.join(' and ')}`,
+    });
+    return;
+  }
+
+  const pageNum = parsePositiveInt(url.searchParams.get('pageNum'), 1);
+  const pageSize = Math.min(parsePositiveInt(url.searchParams.get('pageSize'), 100), maxPageSize);
+  const cacheKey = `${route}:${pageNum}:${pageSize}`;
+
+  const cached = signalsCache.get(cacheKey);
+  if (cached && cached.expires > Date.now()) {
+    sendJson(res, 200, cached.body, { 'X-Cache': 'HIT' });
+    return;
+  }
+
+  try {
+    // One attempt only: the browser retries (and waits out a 429's Retry-After)
+    // itself, and answering before its own timeout lets it see the real status
+    const response = await axiosWithRetry(`${apiUrl}/fusion/v1/datasheets/${datasheetId}/records`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      params: { pageNum, pageSize },
+      maxRetries: 0,
+      timeout: SERVER_CONFIG.aitable.timeout,
+    });
+
+    if (response.data?.success) {
+      signalsCache.set(cacheKey, { expires: Date.now() + SERVER_CONFIG.cacheTtl, body: response.data });
+    }
+
+    sendJson(res, 200, response.data, { 'X-Cache': 'MISS' });
+  } catch (error) {
+    console.error('AITable proxy request failed:', error.message);
+
+    // Pass AITable's 4xx and its Retry-After through (bad token, missing
+    // datasheet, rate limit) so the browser can tell them from an outage; it
+    // gives up on the first two and waits out the third
+    const status = error.status >= 400 && error.status < 500 ? error.status : 502;
+    const headers = error.retryAfter !== null && error.retryAfter !== undefined
+      ? { 'Retry-After': String(Math.ceil(error.retryAfter / 1000)) }
+      : {};
+    sendJson(res, status, { success: false, code: status, message: error.message }, headers);
+  }
+};
+
+/**
+ * Largest analytics batch accepted, in bytes
+ */
+const MAX_ANALYTICS_BODY = 64 * 1024;
+
+/**
+ * Receives a batch of analytics records from the app (see
+ * src/utils/analyticsTransport.js) and writes each record to the log as one
+ * JSON line, for a log drain to collect
+ * @param {string} type - Record type ('events', 'performance' or 'errors')
+ * @param {http.IncomingMessage} req - Request carrying { sentAt, records }
+ * @param {http.ServerResponse} res - Response object
+ */
+const handleAnalytics = (type, req, res) => {
+  const chunks = [];
+  let size = 0;
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_ANALYTICS_BODY) {
+      if (!res.headersSent) {
+        sendJson(res, 413, { success: false, code: 413, message: 'Analytics batch too large' });
+      }
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (res.headersSent) return;
+
+    let records;
+    try {
+      records = JSON.parse(Buffer.concat(chunks).toString('utf8')).records;
+    } catch {
+      records = null;
+    }
+
+    if (!Array.isArray(records)) {
+      sendJson(res, 400, { success: false, code: 400, message: 'Expected a JSON body with a records array' });
+      return;
+    }
+
+    const receivedAt = new Date().toISOString();
+    records.forEach(record => console.log(JSON.stringify({ analytics: type, receivedAt, record })));
+    res.writeHead(204);
+    res.end();
+  });
+};
+
+/**
+ * Serves a file from dist/, falling back to index.html for client-side routes
+ * @param {URL} url - Parsed request URL
+ * @param {http.ServerResponse} res - Response object
+ */
+const handleStatic = async (url, res) => {
+  const { distDir } = SERVER_CONFIG;
+  let filePath;
+
+  try {
+    filePath = normalize(join(distDir, decodeURIComponent(url.pathname)));
+  } catch {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+
+  // Refuse anything that resolves outside dist/
+  if (filePath !== distDir && !filePath.startsWith(distDir + sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  try {
+    const stats = await stat(filePath);
+    if (stats.isDirectory()) {
+      filePath = join(filePath, 'index.html');
+    }
+  } catch {
+    filePath = join(distDir, 'index.html');
+  }
+
+  try {
+    const body = await readFile(filePath);
+    const isHashedAsset = filePath.startsWith(join(distDir, 'assets') + sep);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': isHashedAsset ? 'public, max-age=31536000, immutable' : 'no-cache',
+    });
+    res.end(body);
+  } catch {
+    res.writeHead(404);
+    res.end('Not found');
+  }
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const analyticsRoute = url.pathname.match(/^\/api\/analytics\/(events|performance|errors)$/);
+
+  if (analyticsRoute) {
+    if (req.method === 'POST') {
+      handleAnalytics(analyticsRoute[1], req, res);
+    } else {
+      res.writeHead(405, { 'Allow': 'POST' });
+      res.end();
+    }
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  const apiRoute = url.pathname.match(/^\/api\/(signals|domains)$/);
+
+  if (apiRoute) {
+    handleDatasheet(apiRoute[1], url, res);
+  } else if (url.pathname.startsWith('/api/')) {
+    sendJson(res, 404, { success: false, code: 404, message: 'Unknown API route' });
+  } else {
+    handleStatic(url, res);
+  }
+});
+
+server.listen(SERVER_CONFIG.port, () => {
+  console.log(`Server listening on port ${SERVER_CONFIG.port} (AITable: ${SERVER_CONFIG.aitable.apiUrl})`);
+});
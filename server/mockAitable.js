@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Mock AITable Server
+ * 
+ * A local stand-in for the AITable records endpoint so the /api/signals proxy
+ * and the paginated loader can be exercised offline. Generates synthetic records
+ * using the same field names as the real datasheet.
+ * 
+ * Usage:
+ *   node server/mockAitable.js
+ *   AITABLE_API_URL=http://localhost:3002 AITABLE_TOKEN=mock-token SCAN_HITS_DATASHEET_ID=dstMock node server/index.js
+ * 
+ * Requests for the dstMockDomains datasheet return domain rows (for DOMAINS_DATASHEET_ID).
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { createServer } from 'node:http';
+
+/**
+ * Mock configuration, read from the environment
+ */
+const MOCK_CONFIG = {
+  port: Number(process.env.MOCK_AITABLE_PORT) || 3002,
+  token: process.env.MOCK_AITABLE_TOKEN || 'mock-token',
+  recordCount: Number(process.env.MOCK_RECORD_COUNT) || 141,
+  // Set to a page number to make that page fail with a 500, for testing partial loads
+  failPage: Number(process.env.MOCK_FAIL_PAGE) || null,
+  // Datasheet ID that returns domain rows instead of signals
+  domainsDatasheetId: process.env.MOCK_DOMAINS_DATASHEET_ID || 'dstMockDomains',
+  // Set to an HTTP status (e.g. 404, 429, 503) to fail every request with it, for testing error screens
+  failStatus: Number(process.env.MOCK_FAIL_STATUS) || null,
+};
+
+const DOMAINS = [
+  'Teaching & Learning Models',
+  'Equity & Access',
+  'Curriculum Reform',
+  'Education & Society',
+  'Technology & Digital Learning',
+  'Investment & Governance',
+  'Teacher Empowerment',
+];
+
+const STEEP_CATEGORIES = ['Social', 'Technological', 'Economic', 'Environmental', 'Political & Legal'];
+
+const HORIZONS = ['2025-2030', '2030-2035', '2035-2040'];
+
+// Every fourth title gets this, so label wrapping can be tried out
+const LONG_TITLE_SUFFIX = ': schools rethink timetables, assessment and teacher roles as learning moves between home, community and online spaces';
+
+/**
+ * Builds a deterministic synthetic record
+ * @param {number} index - 0-based record index
+ * @returns {Object} Record in AITable's { recordId, fields } shape
+ */
+const createRecord = (index) => {
+  const domainCount = (index % 3) + 1;
+  const domains = Array.from({ length: domainCount }, (_, i) => DOMAINS[(index + i * 2) % DOMAINS.length]);
+
+  return {
+    recordId: `recMock${String(index + 1).padStart(4, '0')}`,
+    fields: {
+      'ID': index + 1,
+      'Title': `Mock signal of change ${index + 1}${index % 4 === 3 ? LONG_TITLE_SUFFIX : ''}`,
+      'English Description': `Synthetic description for mock signal ${index + 1}, generated for offline testing.`,
+      'Domain': [...new Set(domains)].join(' | '),
+      'Horizon': HORIZONS[index % HORIZONS.length],
+      'Link': `https://example.org/signals/${index + 1}`,
+      'RecNumber': index + 1,
+      'STEEP Category': STEEP_CATEGORIES[index % STEEP_CATEGORIES.length],
+      'Participant Identified': index % 7 === 0,
+    },
+  };
+};
+
+const RECORDS = Array.from({ length: MOCK_CONFIG.recordCount }, (_, i) => createRecord(i));
+
+const DOMAIN_RECORDS = DOMAINS.map((label, index) => ({
+  recordId: `recMockDomain${index + 1}`,
+  fields: {
+    'Label': label,
+    'Description': `Mock description for ${label}.`,
+    'Futures Context': `Mock futures context for ${label}.`,
+    'Order': index + 1,
+  },
+}));
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON-serialisable body
+ * @param {Object} [headers] - Extra response headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const match = url.pathname.match(/^\/fusion\/v1\/datasheets\/([^/]+)\/records$/);
+
+  if (!match) {
+    sendJson(res, 404, { success: false, code: 404, message: 'Not found' });
+    return;
+  }
+
+  if (req.headers.authorization !== `Bearer ${MOCK_CONFIG.token}`) {
+    sendJson(res, 401, { success: false, code: 401, message: 'Invalid API token' });
+    return;
+  }
+
+  const records = match[1] === MOCK_CONFIG.domainsDatasheetId ? DOMAIN_RECORDS : RECORDS;
+  const pageNum = Math.max(1, Number.parseInt(url.searchParams.get('pageNum'), 10) || 1);
+  const pageSize = Math.min(1000, Math.max(1, Number.parseInt(url.searchParams.get('pageSize'), 10) || 100));
+
+  if (MOCK_CONFIG.failStatus) {
+    const headers = MOCK_CONFIG.failStatus === 429 ? { 'Retry-After': '60' } : {};
+    sendJson(res, MOCK_CONFIG.failStatus, { success: false, code: MOCK_CONFIG.failStatus, message: `Simulated ${MOCK_CONFIG.failStatus} response` }, headers);
+    return;
+  }
+
+  if (pageNum === MOCK_CONFIG.failPage) {
+    sendJson(res, 500, { success: false, code: 500, message: `Simulated failure on page ${pageNum}` });
+    return;
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    code: 200,
+    message: 'SUCCESS',
+    data: {
+      total: records.length,
+      pageNum,
+      pageSize,
+      records: records.slice((pageNum - 1) * pageSize, pageNum * pageSize),
+    },
+  });
+});
+
+server.listen(MOCK_CONFIG.port, () => {
+  console.log(`Mock AITable listening on port ${MOCK_CONFIG.port} with ${RECORDS.length} records`);
+});
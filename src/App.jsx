@@ -1,5 +1,6 @@
 import RadialScanChart from './RadialScanChart';
 import ErrorBoundary from './components/ErrorBoundary';
+import AnalyticsConsentBanner from './components/AnalyticsConsentBanner';
 
 function App() {
   return (
@@ -7,6 +8,7 @@ function App() {
       <div className="w-full min-h-screen flex justify-center items-start py-4">
         <RadialScanChart />
       </div>
+      <AnalyticsConsentBanner />
     </ErrorBoundary>
   );
 }
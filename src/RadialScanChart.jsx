@@ -14,141 +14,89 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 
 // Third-party imports
 import axios from 'axios';
-import { zoom as d3Zoom, zoomIdentity } from 'd3-zoom';
+import { zoom as d3Zoom, zoomIdentity, zoomTransform } from 'd3-zoom';
 import { select as d3Select } from 'd3-selection';
 
 // Utility imports
-import { axiosWithRetry, withPerformanceMonitoring } from './utils/apiUtils';
+import { withPerformanceMonitoring } from './utils/apiUtils';
+import { createDataSource, DATA_SOURCE_CONFIG, getDataSourceLabel } from './dataSources';
+import { assertRequiredColumns, getFieldMapping } from './config/fieldMapping';
+import { buildDomainModel, loadDomains } from './config/domains';
+import { buildCategoryModel, getCategoryScheme, resolveCategory, UNCATEGORISED } from './config/categories';
+import { getHorizon, HORIZON_BUCKETS, HORIZON_ORDER, resolveHorizon, UNSPECIFIED_HORIZON } from './config/horizons';
+import { validateRecords } from './utils/dataValidation';
+import { cleanText, readSignalRow } from './utils/signalRecords';
+import { buildExportSvg, svgToPng } from './utils/chartExport';
+import { DATA_CACHE_CONFIG, readDataCache, writeDataCache } from './utils/dataCache';
+import { diffScanHits, getSignalKey } from './utils/dataChanges';
+import { describeLoadError } from './utils/loadErrors';
+import { createTextMeasurer } from './utils/labelLayout';
+import { DETAIL_LEVEL_SETTINGS, DETAIL_LEVELS, getDetailLevel } from './utils/levelOfDetail';
+import { computeDomainLabels, computeRadarGeometry, computeSignalMarks } from './utils/radarLayout';
+import { CANVAS_RENDERER_THRESHOLD, CHART_RENDERERS, chooseChartRenderer, drawRadar, hitTestSignal } from './utils/radarCanvas';
+import { breakdownsToCsv, buildBreakdowns, buildSignalRecords, signalsToCsv } from './utils/dataExport';
+import { datedFilename, downloadBlob } from './utils/fileDownload';
+import { searchSignals } from './utils/signalSearch';
+import {
+  countActiveFilters,
+  createFilterPredicate,
+  EMPTY_FILTERS,
+  getSingleFilter,
+  hasActiveFilters,
+  toggleFilterValue,
+} from './utils/signalFilters';
+import DataIssuesPanel from './components/DataIssuesPanel';
+import DataRefreshBar from './components/DataRefreshBar';
+import LoadErrorScreen from './components/LoadErrorScreen';
+import ExportMenu from './components/ExportMenu';
+import PrintReport from './components/PrintReport';
+import SignalSearch from './components/SignalSearch';
+import StaleDataBanner from './components/StaleDataBanner';
 import { useChartAnalytics } from './hooks/useAnalytics';
+import { useUrlState } from './hooks/useUrlState';
 
+// Styling only; the radar's geometry comes from computeRadarLayout (src/utils/radarLayout.js)
 const CONFIG = {
-  centerX: 2500,
-  centerY: 2500,
-  domainRadii: {
-    'teaching-learning': 375,
-    'equity-access': 525,
-    'curriculum-reform': 675,
-    'education-society': 825,
-    'technology-digital': 975,
-    'investment-governance': 1125,
-    'teacher-empowerment': 1275
-  },
-  scanHitRadius: 1350, // This is the radius of the outermost ring
   ringColor: '#d1d5db',
   ringWidth: 4,
   positioning: {
-    desiredGap: 3,
-    baseOffset: 75,
-    microAdjustment: 2.5,
     measurementDelay: 100
-  }
-};
-
-const DOMAIN_NAME_MAPPING = {
-  // Standardized domain mappings - exact match to AITable values
-  'teaching & learning models': 'teaching-learning',
-  'equity & access': 'equity-access',
-  'curriculum reform': 'curriculum-reform',
-  'education & society': 'education-society',
-  'technology & digital learning': 'technology-digital',
-  'investment & governance': 'investment-governance',
-  'teacher empowerment': 'teacher-empowerment',
-};
-
-const DOMAIN_LABELS = [
-  { 
-    id: 'teaching-learning', 
-    label: 'Teaching & Learning Models',
-    description: 'Innovative pedagogical approaches and learning methodologies that transform how knowledge is shared and acquired.',
-    futuresContext: 'The futures of African education could shift from teacher-centered instruction to learner-driven experiences where students control their journeys, learn through play and dialogue, and merge academic study with real-world work. Mental health support and climate-adaptive teaching methods could become central, with educators as facilitators guiding self-directed exploration rather than delivering information.'
-  },
-  { 
-    id: 'equity-access', 
-    label: 'Equity & Access',
-    description: 'Ensuring fair and inclusive educational opportunities for all learners regardless of background or circumstances.',
-    futuresContext: 'The futures of educational access could ensure every African child learns in their mother tongue while gaining global skills, with universal design welcoming all abilities. Mobile units could reach nomadic communities, digital tools could serve rural areas equally, and education could become the primary vehicle for closing gender and economic divides.'
-  },
-  { 
-    id: 'curriculum-reform', 
-    label: 'Curriculum Reform',
-    description: 'Modernizing educational content to reflect contemporary needs, local contexts, and future skills requirements.',
-    futuresContext: 'African curricula\'s futures could emphasize preparing students for unknown jobs through flexibility and critical thinking rather than memorization. Environmental literacy and mental health could become core subjects, with students co-designing learning pathways that honor both global competencies and indigenous wisdom.'
-  },
-  { 
-    id: 'education-society', 
-    label: 'Education & Society',
-    description: 'The interconnected relationship between educational systems and broader societal development and transformation.',
-    futuresContext: 'Schools\' futures could see them transform into multi-purpose community hubs serving as peace-building centers, climate shelters, and spaces for intergenerational environmental action. Education systems could adapt quickly to serve climate migrants and economic shifts, graduating young people as environmental leaders ready to build new social contracts.'
-  },
-  { 
-    id: 'technology-digital', 
-    label: 'Technology & Digital Learning',
-    description: 'Leveraging digital tools and platforms to enhance learning experiences and expand educational reach.',
-    futuresContext: 'African classrooms\' futures could feature AI personalizing every lesson, virtual reality bringing concepts to life, and solar-powered devices ensuring universal digital access. Gamification and biometric feedback could make learning feel like discovery, while massive tech investment and thoughtful AI integration could scale quality education to millions.'
   },
-  { 
-    id: 'investment-governance', 
-    label: 'Investment & Governance',
-    description: 'Financial resources, policy frameworks, and institutional structures that support educational systems.',
-    futuresContext: 'Educational governance futures could shift from political influence to merit-based decisions, with independent evaluation and guaranteed education funding as a basic right. Early childhood education could receive priority investment, while renewable energy infrastructure could enable universal digital learning.'
-  },
-  { 
-    id: 'teacher-empowerment', 
-    label: 'Teacher Empowerment',
-    description: 'Supporting educators as professionals and change agents in transforming educational outcomes.',
-    futuresContext: 'The futures of teaching could feature continuous professional development through large-scale training programs and mental health support making the profession sustainable. Teachers could integrate AI ethically, close urban-rural gaps, and collaborate globally to bring best practices to every African classroom.'
-  }
-];
-
-const STEEP_COLORS = {
-  'Social': '#00A6FB',
-  'Technological': '#7B68EE',
-  'Economic': '#FFB800',
-  'Environmental': '#00C853',
-  'Political & Legal': '#FF5252'
+  leaderColor: '#9CA3AF',
+  centreImage: '/graphics/mapofafrica.png',
+  canvasHitTolerance: 4 // Screen pixels around a canvas label or marker that still count as on it
 };
 
-const DOMAIN_ORDER = [
-  'teaching-learning',     // Innermost (300px)
-  'equity-access',         // 375px
-  'curriculum-reform',     // 450px
-  'education-society',     // 525px
-  'technology-digital',    // 600px
-  'investment-governance', // 675px
-  'teacher-empowerment'    // Outermost (750px)
-];
-
-const STEEP_ORDER = [
-  'Social',
-  'Technological', 
-  'Economic',
-  'Environmental',
-  'Political & Legal'
-];
+/**
+ * Shared empty widths, so the layout isn't recomputed while labels wait to be measured
+ */
+const NO_LABEL_WIDTHS = {};
 
 /**
- * Get color for STEEP category
- * @param {string} category - STEEP category name
+ * Get color for a category
+ * @param {string} category - Category label
+ * @param {Object} colors - Category label to hex color (from buildCategoryModel)
  * @returns {string} Hex color code
  */
-const getSteepColor = (category) => {
-  if (!category) return '#374151'; // Default gray if no category
+const getSteepColor = (category, colors) => {
+  if (!category) return UNCATEGORISED.color; // Default gray if no category
   
   const normalizedCategory = category.trim();
-  return STEEP_COLORS[normalizedCategory] || '#374151'; // Default gray if unknown
+  return colors[normalizedCategory] || UNCATEGORISED.color; // Default gray if unknown
 };
 
 /**
  * Get the innermost domain (smallest radius) for a signal of change
  * @param {Array} domains - Array of domain IDs
+ * @param {Array} domainOrder - Domain IDs, innermost ring first
  * @returns {string} Innermost domain ID
  */
-const getInnermostDomain = (domains) => {
-  if (!domains || domains.length === 0) return 'teacher-empowerment';
+const getInnermostDomain = (domains, domainOrder) => {
+  if (!domains || domains.length === 0) return domainOrder[domainOrder.length - 1];
   
   return domains.reduce((innermost, domain) => {
-    const currentIndex = DOMAIN_ORDER.indexOf(innermost);
-    const domainIndex = DOMAIN_ORDER.indexOf(domain);
+    const currentIndex = domainOrder.indexOf(innermost);
+    const domainIndex = domainOrder.indexOf(domain);
     return domainIndex < currentIndex ? domain : innermost;
   });
 };
@@ -157,220 +105,152 @@ const getInnermostDomain = (domains) => {
  * Get the next outermost domain after the innermost one
  * @param {Array} domains - Array of domain IDs
  * @param {string} innermostDomain - The innermost domain
+ * @param {Array} domainOrder - Domain IDs, innermost ring first
  * @returns {string} Next outermost domain ID
  */
-const getNextOutermostDomain = (domains, innermostDomain) => {
+const getNextOutermostDomain = (domains, innermostDomain, domainOrder) => {
   if (!domains || domains.length <= 1) return innermostDomain;
   
-  const innermostIndex = DOMAIN_ORDER.indexOf(innermostDomain);
+  const innermostIndex = domainOrder.indexOf(innermostDomain);
   const remainingDomains = domains.filter(d => d !== innermostDomain);
   
   if (remainingDomains.length === 0) return innermostDomain;
   
   return remainingDomains.reduce((next, domain) => {
-    const currentIndex = DOMAIN_ORDER.indexOf(next);
-    const domainIndex = DOMAIN_ORDER.indexOf(domain);
+    const currentIndex = domainOrder.indexOf(next);
+    const domainIndex = domainOrder.indexOf(domain);
     return domainIndex < currentIndex ? domain : next;
   });
 };
 
 /**
- * Sort signals of change by STEEP category, then by innermost domain, then by next domain
+ * Sort signals of change by category, then by innermost domain, then by next domain.
+ * With ringOrder 'horizon' the signals are grouped by time horizon first and the
+ * category order applies within each horizon.
  * @param {Array} scanHits - Array of signal of change objects
+ * @param {Array} domainOrder - Domain IDs, innermost ring first
+ * @param {Array} categoryOrder - Category labels in scheme order (Uncategorised last)
+ * @param {string} [ringOrder='category'] - 'category' or 'horizon'
  * @returns {Array} Sorted array of signals of change
  */
-const sortScanHits = (scanHits) => {
+const sortScanHits = (scanHits, domainOrder, categoryOrder, ringOrder = 'category') => {
   return [...scanHits].sort((a, b) => {
-    // Primary sort: STEEP Category
-    const steepA = a.steepCategory || 'Unknown';
-    const steepB = b.steepCategory || 'Unknown';
-    
-    const steepIndexA = STEEP_ORDER.indexOf(steepA);
-    const steepIndexB = STEEP_ORDER.indexOf(steepB);
+    // Optional primary sort: Horizon, nearest first
+    if (ringOrder === 'horizon') {
+      const horizonIndexA = HORIZON_ORDER.indexOf(a.horizon);
+      const horizonIndexB = HORIZON_ORDER.indexOf(b.horizon);
+
+      if (horizonIndexA !== horizonIndexB) {
+        return horizonIndexA - horizonIndexB;
+      }
+    }
+
+    // Category, in the active scheme's order
+    const steepIndexA = categoryOrder.indexOf(a.steepCategory);
+    const steepIndexB = categoryOrder.indexOf(b.steepCategory);
     
     if (steepIndexA !== steepIndexB) {
       return steepIndexA - steepIndexB;
     }
     
     // Secondary sort: Innermost domain (smallest radius)
-    const innermostDomainA = getInnermostDomain(a.domains);
-    const innermostDomainB = getInnermostDomain(b.domains);
+    const innermostDomainA = getInnermostDomain(a.domains, domainOrder);
+    const innermostDomainB = getInnermostDomain(b.domains, domainOrder);
     
-    const domainIndexA = DOMAIN_ORDER.indexOf(innermostDomainA);
-    const domainIndexB = DOMAIN_ORDER.indexOf(innermostDomainB);
+    const domainIndexA = domainOrder.indexOf(innermostDomainA);
+    const domainIndexB = domainOrder.indexOf(innermostDomainB);
     
     if (domainIndexA !== domainIndexB) {
       return domainIndexA - domainIndexB;
     }
     
     // Tertiary sort: Next outermost domain
-    const nextDomainA = getNextOutermostDomain(a.domains, innermostDomainA);
-    const nextDomainB = getNextOutermostDomain(b.domains, innermostDomainB);
+    const nextDomainA = getNextOutermostDomain(a.domains, innermostDomainA, domainOrder);
+    const nextDomainB = getNextOutermostDomain(b.domains, innermostDomainB, domainOrder);
     
-    const nextIndexA = DOMAIN_ORDER.indexOf(nextDomainA);
-    const nextIndexB = DOMAIN_ORDER.indexOf(nextDomainB);
+    const nextIndexA = domainOrder.indexOf(nextDomainA);
+    const nextIndexB = domainOrder.indexOf(nextDomainB);
     
     return nextIndexA - nextIndexB;
   });
 };
 
 /**
- * Converts polar coordinates to cartesian coordinates
- * @param {number} centerX - X coordinate of the center point
- * @param {number} centerY - Y coordinate of the center point
- * @param {number} radius - Distance from center
- * @param {number} angleInDegrees - Angle in degrees (0-360)
- * @returns {Object} Object with x and y cartesian coordinates
+ * Admin mode shows curator tools such as the Data issues panel.
+ * Enabled in development, or by adding ?admin to the URL.
  */
-const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
-  const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
-  return {
-    x: centerX + (radius * Math.cos(angleInRadians)),
-    y: centerY + (radius * Math.sin(angleInRadians))
-  };
-};
+const isAdminMode = import.meta.env.MODE === 'development' ||
+  (typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('admin'));
 
 /**
- * Creates an SVG arc path between two radii
- * @param {number} centerX - X coordinate of the center point
- * @param {number} centerY - Y coordinate of the center point
- * @param {number} innerRadius - Inner radius of the arc
- * @param {number} outerRadius - Outer radius of the arc
- * @param {number} startAngle - Start angle in degrees (0-360)
- * @param {number} endAngle - End angle in degrees (0-360)
- * @returns {string} SVG path string for the arc
+ * How signals are grouped around the ring on first load ('category' or 'horizon').
+ * Set VITE_RING_ORDER=horizon to start grouped by time horizon.
  */
-const createArcPath = (centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) => {
-  const startAngleRad = (startAngle - 90) * Math.PI / 180;
-  const endAngleRad = (endAngle - 90) * Math.PI / 180;
-  
-  const x1 = centerX + innerRadius * Math.cos(startAngleRad);
-  const y1 = centerY + innerRadius * Math.sin(startAngleRad);
-  const x2 = centerX + outerRadius * Math.cos(startAngleRad);
-  const y2 = centerY + outerRadius * Math.sin(startAngleRad);
-  const x3 = centerX + outerRadius * Math.cos(endAngleRad);
-  const y3 = centerY + outerRadius * Math.sin(endAngleRad);
-  const x4 = centerX + innerRadius * Math.cos(endAngleRad);
-  const y4 = centerY + innerRadius * Math.sin(endAngleRad);
-  
-  const largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
-  
-  return `M ${x1} ${y1} L ${x2} ${y2} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${x3} ${y3} L ${x4} ${y4} A ${innerRadius} ${innerRadius} 0 ${largeArcFlag} 0 ${x1} ${y1} Z`;
-};
+const DEFAULT_RING_ORDER = import.meta.env.VITE_RING_ORDER === 'horizon' ? 'horizon' : 'category';
 
 /**
- * Creates a full circle annulus (ring) path for clickable domain areas
- * @param {number} centerX - X coordinate of the center point
- * @param {number} centerY - Y coordinate of the center point
- * @param {number} innerRadius - Inner radius of the annulus
- * @param {number} outerRadius - Outer radius of the annulus
- * @returns {string} SVG path string for the full circle annulus
+ * How the radar is drawn: svg, canvas, or auto (the default), which switches
+ * to canvas above VITE_CANVAS_THRESHOLD signals (500 unless set). Add
+ * ?renderer=svg or ?renderer=canvas to the URL to override it for a visit.
  */
-const createFullAnnulusPath = (centerX, centerY, innerRadius, outerRadius) => {
-  // Create two semicircular arcs to form a complete circle
-  // This avoids the degenerate case of a 360-degree arc
-  return `
-    M ${centerX - outerRadius} ${centerY}
-    A ${outerRadius} ${outerRadius} 0 0 1 ${centerX + outerRadius} ${centerY}
-    A ${outerRadius} ${outerRadius} 0 0 1 ${centerX - outerRadius} ${centerY}
-    Z
-    M ${centerX - innerRadius} ${centerY}
-    A ${innerRadius} ${innerRadius} 0 0 0 ${centerX + innerRadius} ${centerY}
-    A ${innerRadius} ${innerRadius} 0 0 0 ${centerX - innerRadius} ${centerY}
-    Z
-  `.trim();
-};
+const CHART_RENDERER_SETTING = (typeof window !== 'undefined' && new URLSearchParams(window.location.search).get('renderer')) ||
+  import.meta.env.VITE_CHART_RENDERER || CHART_RENDERERS.auto;
+const CANVAS_THRESHOLD = Number(import.meta.env.VITE_CANVAS_THRESHOLD) || CANVAS_RENDERER_THRESHOLD;
 
 /**
- * Calculates precise text positioning for radial chart labels
- * Uses continuous angle-based micro-adjustments for uniform spacing
- * @param {Object} bbox - Text bounding box from getBBox()
- * @param {number} angle - Angle in degrees (0-360)
- * @param {number} baseOffset - Base offset from proven positioning approach
- * @returns {Object} Object with x and y coordinates for text positioning
+ * Cache entry for the configured data source (see src/utils/dataCache.js)
  */
-const calculateTextPosition = (bbox, angle, baseOffset = CONFIG.positioning.baseOffset) => {
-  const angleInRadians = (angle * Math.PI) / 180;
-  const rotationFactor = Math.abs(Math.sin(angleInRadians * 2)); // Double frequency for 360° coverage
-  const baselineShift = rotationFactor * CONFIG.positioning.microAdjustment;
-  
-  const textHalfWidth = bbox.width / 2;
-  const adjustedRadius = CONFIG.scanHitRadius + CONFIG.positioning.desiredGap - baseOffset + textHalfWidth - baselineShift;
-  
-  return polarToCartesian(CONFIG.centerX, CONFIG.centerY, adjustedRadius, angle);
-};
+const DATA_CACHE_NAME = `${DATA_SOURCE_CONFIG.type}:${DATA_SOURCE_CONFIG.url || 'default'}`;
 
+/**
+ * Minutes between automatic data refreshes; 0 (the default) leaves it to the
+ * "Refresh data" button. Set VITE_AUTO_REFRESH_MINUTES for workshops where
+ * curators edit the sheet live. Viewers can change it in the app.
+ */
+const DEFAULT_AUTO_REFRESH_MINUTES = Math.max(0, Number(import.meta.env.VITE_AUTO_REFRESH_MINUTES) || 0);
 
 /**
- * Fetches signals of change data from AITable API with retry logic
- * @returns {Promise<Array>} Array of raw records from AITable
- * @throws {Error} If API request fails after all retry attempts
+ * How long signals added or edited in a refresh stay highlighted
  */
-const fetchScanHits = async () => {
-  const url = `https://api.aitable.ai/fusion/v1/datasheets/${import.meta.env.VITE_SCAN_HITS_DATASHEET_ID}/records`;
-  const config = {
-    headers: {
-      'Authorization': `Bearer ${import.meta.env.VITE_AITABLE_TOKEN}`
-    }
-  };
+const CHANGE_HIGHLIGHT_DURATION = 15000;
 
-  return withPerformanceMonitoring('fetchScanHits', async () => {
-    const response = await axiosWithRetry(url, config);
-    return response.data.data.records;
-  });
+/**
+ * Fetches every signal of change record from the configured data source
+ * (AITable, static JSON or CSV - see src/dataSources)
+ * @param {Function} [onProgress] - Called after each page with { loaded, total, page, pageCount }
+ * @param {AbortSignal} [signal] - Stops loading (and retrying) when aborted
+ * @returns {Promise<Array<Object>>} Rows keyed by column name
+ * @throws {Error} If the data source is misconfigured, fails, or returns malformed data
+ */
+const fetchScanHits = async (onProgress, signal) => {
+  return withPerformanceMonitoring('fetchScanHits', () =>
+    createDataSource().fetchRecords({ onProgress, signal })
+  );
 };
 
 /**
- * Cleans text by removing multiple consecutive spaces and normalizing whitespace
- * @param {string} text - Text to clean
- * @returns {string} Cleaned text with single spaces
+ * Joins labels into an English list for running text ("A, B, and C")
  */
-const cleanText = (text) => {
-  if (!text || typeof text !== 'string') return text;
-  
-  // Replace multiple consecutive spaces (2 or more) with single space
-  // Also trim leading/trailing whitespace
-  return text.trim().replace(/\s{2,}/g, ' ');
-};
+const LIST_FORMAT = new Intl.ListFormat('en', { style: 'long', type: 'conjunction' });
 
 /**
- * Transforms raw AITable records into structured signal of change objects
- * @param {Array} records - Raw records from AITable
+ * Transforms raw data source rows into structured signal of change objects
+ * Column names come from the field mapping (src/config/fieldMapping.json).
+ * @param {Array<Object>} rows - Rows keyed by column name, from the data source
+ * @param {Object} domainNameMapping - Lowercased domain name to domain ID (from buildDomainModel)
+ * @param {Object} categoryNameMapping - Lowercased category name to label (from buildCategoryModel)
+ * @param {Object} fields - Field mapping of signal property to column name
  * @returns {Array} Array of transformed signal of change objects
+ * @throws {Error} If a required column is missing from the data
  */
-const transformData = (records) => {
-  return records.map(record => {
-    // Get the domain string and split by pipe (|) if multiple domains
-    const domainString = record.fields['Domain'] || '';
-    // Split by pipe and trim all whitespace (handles spaces before/after pipe)
-    const domainNames = domainString.split('|').map(d => d.trim()).filter(d => d.length > 0);
-    
-    // Map each domain name to its CONFIG key
-    const domains = domainNames
-      .map(name => {
-        const normalizedName = name.toLowerCase();
-        const mappedDomain = DOMAIN_NAME_MAPPING[normalizedName];
-        
-        if (!mappedDomain) {
-          console.warn(`Unknown domain name: "${name}" - skipping`);
-          return null;
-        }
-        return mappedDomain;
-      })
-      .filter(d => d !== null); // Remove any unmapped domains
-    
-    return {
-      id: record.fields['ID'],
-      title: cleanText(record.fields['Title']),
-      description: cleanText(record.fields['English Description']),
-      domains: domains,
-      date: record.fields['Horizon'],
-      source: record.fields['Link'],
-      recNumber: record.fields['RecNumber'],
-      steepCategory: cleanText(record.fields['STEEP Category']),
-      participantIdentified: record.fields['Participant Identified'] || false,
-    };
-  });
+const transformData = (rows, domainNameMapping, categoryNameMapping, fields = getFieldMapping()) => {
+  assertRequiredColumns(rows, fields);
+
+  return rows.map(row => ({
+    ...readSignalRow(row, fields, domainNameMapping),
+    horizon: resolveHorizon(row[fields.date]),
+    steepCategory: resolveCategory(cleanText(row[fields.steepCategory]), categoryNameMapping),
+  }));
 };
 
 /**
@@ -380,7 +260,7 @@ const transformData = (records) => {
  * Features include:
  * - Dynamic text positioning with uniform spacing around the outer ring
  * - Interactive domain selection and filtering
- * - Real-time data fetching from AITable API
+ * - Data loading from AITable, a static JSON snapshot or a CSV export
  * - Responsive design with hover effects and transitions
  * 
  * @returns {JSX.Element} The rendered radial chart component
@@ -390,14 +270,30 @@ function RadialScanChart() {
   // STATE MANAGEMENT
   // ============================================================================
   const [scanHits, setScanHits] = useState([]);
+  const [domains, setDomains] = useState([]);
+  const [categoryScheme, setCategoryScheme] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // describeLoadError result when nothing could be shown
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0); // Bumped to fetch the data again (retry, refresh)
+  const [staleDataStatus, setStaleDataStatus] = useState(null); // { savedAt, isRefreshing, error } while showing cached or outdated data
+  const [lastLoadedAt, setLastLoadedAt] = useState(null);
+  const [autoRefreshMinutes, setAutoRefreshMinutes] = useState(DEFAULT_AUTO_REFRESH_MINUTES);
+  const [recentChanges, setRecentChanges] = useState(null); // diffScanHits result of the latest refresh
+  const loadedDataRef = useRef({ scanHits: null, loadedAt: null }); // Last data applied, for diffing and fallback
+  const manualRefreshRef = useRef(false);
+  const [dataIssues, setDataIssues] = useState([]);
+  const [recordCount, setRecordCount] = useState(0);
+  const [showDataIssues, setShowDataIssues] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [reportRadar, setReportRadar] = useState({ url: null, error: null });
   const [hoveredDomain, setHoveredDomain] = useState(null);
-  const [selectedDomain, setSelectedDomain] = useState(null);
   const [focusedScanHit, setFocusedScanHit] = useState(null);
   const [selectedScanHit, setSelectedScanHit] = useState(null);
-  const [selectedSteepCategory, setSelectedSteepCategory] = useState(null);
-  const [showParticipantIdentifiedOnly, setShowParticipantIdentifiedOnly] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [ringOrder, setRingOrder] = useState(DEFAULT_RING_ORDER);
+  const ringOrderRef = useRef(DEFAULT_RING_ORDER); // Read by data loading, which outlives renders
+  const [searchQuery, setSearchQuery] = useState('');
   const [hasInitiallyLoaded, setHasInitiallyLoaded] = useState(false);
   const [showDefaultModal, setShowDefaultModal] = useState(false);
   const [showModalPanel, setShowModalPanel] = useState(false); // Controls modal panel visibility independently
@@ -405,17 +301,89 @@ function RadialScanChart() {
   const [isResizing, setIsResizing] = useState(false);
   
   // State for dynamic positioning
-  const [labelPositions, setLabelPositions] = useState({});
+  const [measuredLabels, setMeasuredLabels] = useState({ scanHits: null, detailLevel: null, widths: NO_LABEL_WIDTHS });
+  const measureLabelText = useMemo(() => createTextMeasurer(), []);
   const textRefs = useRef({});
   const performanceTrackedRef = useRef(false);
   const renderCountRef = useRef(0);
   const lastRenderTimeRef = useRef(0);
 
-  // Zoom and pan state
+  // Zoom and pan state. Zooming moves the chart directly (see the d3-zoom
+  // effect); this only follows it when the level of detail changes and when
+  // a gesture ends, so the chart doesn't re-render on every zoom tick.
   const [transform, setTransform] = useState({ x: 0, y: 0, scale: 1 });
+  const zoomGroupRef = useRef(null);
+
+  // Canvas renderer: the draw function for the current state, and the frame
+  // it is queued for, so zoom ticks redraw at most once per frame
+  const canvasRef = useRef(null);
+  const drawCanvasRef = useRef(null);
+  const canvasFrameRef = useRef(null);
+  const scheduleCanvasDraw = useCallback(() => {
+    if (canvasFrameRef.current) return;
+    canvasFrameRef.current = requestAnimationFrame(() => {
+      canvasFrameRef.current = null;
+      drawCanvasRef.current?.();
+    });
+  }, []);
+
+  // Semantic zoom: what the radar shows depends on the zoom scale. The print
+  // report's snapshot always uses the standard level.
+  const detailLevel = showReport ? DETAIL_LEVELS.standard : getDetailLevel(transform.scale);
+  const detailSettings = DETAIL_LEVEL_SETTINGS[detailLevel];
+
+  const hasLabels = Boolean(detailSettings.labels); // Otherwise markers
+
+  // Large scans are drawn on a canvas. Exports and the print report are made
+  // from the SVG, so while one is being made the SVG draws everything.
+  const [isExportingSvg, setIsExportingSvg] = useState(false);
+  const svgReadyRef = useRef(null);
+  const chartRenderer = chooseChartRenderer(scanHits.length, CHART_RENDERER_SETTING, CANVAS_THRESHOLD);
+  const drawsOnCanvas = chartRenderer === CHART_RENDERERS.canvas && !showReport && !isExportingSvg;
+  const [hoveredCanvasSignal, setHoveredCanvasSignal] = useState(-1);
+
+  // Widths measured for other labels (other data or zoom level) no longer apply
+  const labelWidths = measuredLabels.scanHits === scanHits && measuredLabels.detailLevel === detailLevel
+    ? measuredLabels.widths
+    : NO_LABEL_WIDTHS;
+  const isLabelsMeasured = labelWidths !== NO_LABEL_WIDTHS;
+
+  // Position of each signal in scanHits, so lookups don't scan the whole list
+  const scanHitIndices = useMemo(() => new Map(scanHits.map((hit, index) => [hit, index])), [scanHits]);
+  const selectedIndex = selectedScanHit ? scanHitIndices.get(selectedScanHit) ?? -1 : -1;
+
+  // Every ring, segment, label and click target of the radar; the SVG below only
+  // draws it. Each part is recomputed only when what it depends on changes: the
+  // arcs when the data does, the labels on zoom level changes and measuring,
+  // and the domain names on selection.
+  const radarGeometry = useMemo(() => computeRadarGeometry(scanHits, domains), [scanHits, domains]);
+  const signalMarks = useMemo(() => computeSignalMarks(scanHits, radarGeometry.geometry, {
+    detailLevel,
+    measure: measureLabelText,
+    labelWidths,
+  }), [scanHits, radarGeometry, detailLevel, measureLabelText, labelWidths]);
+  const domainLabels = useMemo(() => computeDomainLabels(scanHits, radarGeometry.rings, radarGeometry.geometry, {
+    detailLevel,
+    selectedIndex,
+  }), [scanHits, radarGeometry, detailLevel, selectedIndex]);
+  const radarLayout = useMemo(() => ({ ...radarGeometry, detailLevel, ...signalMarks, domainLabels }),
+    [radarGeometry, detailLevel, signalMarks, domainLabels]);
   const [showNavigationHelp, setShowNavigationHelp] = useState(false);
   const svgRef = useRef(null);
   const zoomBehaviorRef = useRef(null);
+  // The mounted chart SVG, as state so zoom is set up again when it appears
+  // (e.g. after a retried first load replaces the error screen)
+  const [svgElement, setSvgElement] = useState(null);
+  const attachSvg = useCallback((node) => {
+    svgRef.current = node;
+    setSvgElement(node);
+  }, []);
+
+  // Ring order and name lookups derived from the loaded domain list
+  const domainModel = useMemo(() => buildDomainModel(domains), [domains]);
+
+  // Category order, colours and legend text from the active scheme (STEEP by default)
+  const categoryModel = useMemo(() => buildCategoryModel(categoryScheme), [categoryScheme]);
 
   // Analytics hook
   const { trackDomainSelection, trackScanHitClick, trackChartRender } = useChartAnalytics();
@@ -431,24 +399,22 @@ function RadialScanChart() {
   // OPTIMIZED EVENT HANDLERS & MEMOIZATION
   // ============================================================================
   const handleDomainClick = useCallback((domainId) => {
-    const domainLabel = DOMAIN_LABELS.find(d => d.id === domainId)?.label;
-    const isSelecting = selectedDomain !== domainId;
+    const domainLabel = domains.find(d => d.id === domainId)?.label;
+    const isSelecting = !filters.domains.includes(domainId);
     
     debugLog('Domain clicked', { 
       domainId, 
       domainLabel, 
       isSelecting,
       previousFocus: focusedScanHit,
-      previousDomain: selectedDomain 
+      previousDomains: filters.domains 
     });
     
-    // Clear any focused signal of change, selected signal of change, and legend selections when clicking domain rings
+    // Clear any focused or selected signal of change; other filters are kept so they combine
     setFocusedScanHit(null);
     setSelectedScanHit(null);
-    setSelectedSteepCategory(null);
-    setShowParticipantIdentifiedOnly(false);
     
-    setSelectedDomain(prev => prev === domainId ? null : domainId);
+    setFilters(prev => toggleFilterValue(prev, 'domains', domainId));
     
     // Open modal panel to show domain information
     setShowModalPanel(true);
@@ -457,14 +423,12 @@ function RadialScanChart() {
     if (isSelecting) {
       trackDomainSelection(domainId, domainLabel);
     }
-  }, [selectedDomain, trackDomainSelection, focusedScanHit, debugLog]);
+  }, [domains, filters, trackDomainSelection, focusedScanHit, debugLog]);
 
   const clearSelection = useCallback(() => {
-    setSelectedDomain(null);
+    setFilters(EMPTY_FILTERS);
     setSelectedScanHit(null);
     setFocusedScanHit(null);
-    setSelectedSteepCategory(null);
-    setShowParticipantIdentifiedOnly(false);
     setShowModalPanel(false);
   }, []);
 
@@ -472,7 +436,7 @@ function RadialScanChart() {
     // Only close the modal panel, keep selection state
     setShowModalPanel(false);
     setShowDefaultModal(false);
-    // Note: selectedScanHit and selectedDomain persist to maintain visual selection
+    // Note: selectedScanHit and filters persist to maintain visual selection
   }, []);
 
   const toggleNavigationHelp = useCallback(() => {
@@ -514,6 +478,25 @@ function RadialScanChart() {
     }
   }, []);
 
+  // Pan and zoom so a signal's label sits in the middle of the view
+  const zoomToScanHit = useCallback((index) => {
+    if (!svgRef.current || !zoomBehaviorRef.current || scanHits.length === 0) return;
+
+    const { centerX, centerY } = radarLayout.geometry;
+    const labelPoint = radarLayout.labels[index] || radarLayout.markers[index] || { x: centerX, y: centerY };
+    const scale = Math.max(zoomTransform(svgRef.current).k, 2.5);
+
+    d3Select(svgRef.current)
+      .transition()
+      .duration(750)
+      .call(
+        zoomBehaviorRef.current.transform,
+        zoomIdentity
+          .translate(centerX - labelPoint.x * scale, centerY - labelPoint.y * scale)
+          .scale(scale)
+      );
+  }, [scanHits.length, radarLayout]);
+
   const handleScanHitClick = useCallback((scanHit, index) => {
     const scanHitId = scanHit.id || index;
     
@@ -524,10 +507,7 @@ function RadialScanChart() {
       domains: scanHit.domains 
     });
     
-    // Clear domain selection, legend selections, and set the selected signal of change to show in modal
-    setSelectedDomain(null);
-    setSelectedSteepCategory(null);
-    setShowParticipantIdentifiedOnly(false);
+    // Set the selected signal of change to show in modal (filters stay in place underneath)
     setSelectedScanHit(scanHit);
     
     // Open modal panel to show scan hit details
@@ -538,41 +518,90 @@ function RadialScanChart() {
   }, [trackScanHitClick, selectedScanHit, debugLog]);
 
   const handleSteepCategoryClick = useCallback((category) => {
-    debugLog('STEEP category clicked', { 
+    debugLog('Category clicked', { 
       category,
-      previousCategory: selectedSteepCategory 
+      previousCategories: filters.categories 
     });
     
-    // Clear other selections
-    setSelectedDomain(null);
+    // Clear the signal selection; other filters are kept so they combine
     setSelectedScanHit(null);
     setFocusedScanHit(null);
-    setShowParticipantIdentifiedOnly(false);
     
-    // Toggle STEEP category selection
-    setSelectedSteepCategory(prev => prev === category ? null : category);
+    // Toggle category selection
+    setFilters(prev => toggleFilterValue(prev, 'categories', category));
     
-    // Open modal panel to show STEEP category information
+    // Open modal panel to show category information
     setShowModalPanel(true);
-  }, [selectedSteepCategory, debugLog]);
+  }, [filters, debugLog]);
 
   const handleParticipantIdentifiedClick = useCallback(() => {
     debugLog('Participant-identified filter clicked', { 
-      previousState: showParticipantIdentifiedOnly 
+      previousState: filters.participantOnly 
     });
     
-    // Clear other selections
-    setSelectedDomain(null);
+    // Clear the signal selection; other filters are kept so they combine
     setSelectedScanHit(null);
     setFocusedScanHit(null);
-    setSelectedSteepCategory(null);
     
     // Toggle participant-identified filter
-    setShowParticipantIdentifiedOnly(prev => !prev);
+    setFilters(prev => ({ ...prev, participantOnly: !prev.participantOnly }));
     
     // Open modal panel to show participant-identified information
     setShowModalPanel(true);
-  }, [showParticipantIdentifiedOnly, debugLog]);
+  }, [filters, debugLog]);
+
+  const handleHorizonClick = useCallback((horizonId) => {
+    debugLog('Horizon clicked', { 
+      horizonId,
+      previousHorizons: filters.horizons 
+    });
+    
+    // Clear the signal selection; other filters are kept so they combine
+    setSelectedScanHit(null);
+    setFocusedScanHit(null);
+    
+    // Toggle horizon selection
+    setFilters(prev => toggleFilterValue(prev, 'horizons', horizonId));
+    
+    // Open modal panel to show horizon information
+    setShowModalPanel(true);
+  }, [filters, debugLog]);
+
+  // Switch between matching all active facets (AND) and any of them (OR)
+  const handleFilterMatchChange = useCallback((match) => {
+    debugLog('Filter match changed', { match });
+    setFilters(prev => ({ ...prev, match }));
+  }, [debugLog]);
+
+  const handleSearchSelect = useCallback((scanHit, index) => {
+    handleScanHitClick(scanHit, index);
+    zoomToScanHit(index);
+  }, [handleScanHitClick, zoomToScanHit]);
+
+  // The report covers the filter set, so a selected signal or search would
+  // only dim the radar on its first page
+  const openReport = useCallback((e) => {
+    if (e) e.stopPropagation();
+    debugLog('Report opened', { filters });
+    setSelectedScanHit(null);
+    setFocusedScanHit(null);
+    setSearchQuery('');
+    setShowModalPanel(false);
+    setShowDefaultModal(false);
+    setShowReport(true);
+  }, [filters, debugLog]);
+
+  const closeReport = useCallback(() => {
+    setShowReport(false);
+  }, []);
+
+  // Regroup the ring; segment positions follow array order
+  const handleRingOrderChange = useCallback((order) => {
+    debugLog('Ring order changed', { order });
+    setRingOrder(order);
+    ringOrderRef.current = order;
+    setScanHits(prev => sortScanHits(prev, domainModel.order, categoryModel.order, order));
+  }, [domainModel, categoryModel, debugLog]);
 
   // Panel resize handlers
   const handleResizeStart = useCallback((e) => {
@@ -598,62 +627,420 @@ function RadialScanChart() {
     setIsResizing(false);
   }, []);
 
-  // Memoize domain labels lookup to avoid recalculation on every render
-  const selectedDomainLabel = useMemo(() => {
-    return selectedDomain ? DOMAIN_LABELS.find(d => d.id === selectedDomain)?.label : null;
-  }, [selectedDomain]);
+  // Signals whose category the active scheme does not recognise
+  const uncategorisedCount = useMemo(() => {
+    return scanHits.filter(hit => hit.steepCategory === UNCATEGORISED.label).length;
+  }, [scanHits]);
+
+  // Signals per horizon bucket, for the legend counts
+  const horizonCounts = useMemo(() => {
+    return scanHits.reduce((acc, hit) => {
+      acc[hit.horizon] = (acc[hit.horizon] || 0) + 1;
+      return acc;
+    }, {});
+  }, [scanHits]);
+
+  // Search matches in ranked order, plus their ring indices for dimming
+  // (null while there is no active query, so the radar isn't dimmed)
+  const searchResults = useMemo(() => searchSignals(scanHits, searchQuery), [scanHits, searchQuery]);
+  const searchMatchIndices = useMemo(() => {
+    return searchQuery.trim() ? new Set(searchResults.map(result => result.index)) : null;
+  }, [searchResults, searchQuery]);
+
+  // ============================================================================
+  // FILTERING
+  // ============================================================================
+  const isFiltered = hasActiveFilters(filters);
+  const filterPredicate = useMemo(() => createFilterPredicate(filters), [filters]);
+  const filteredScanHits = useMemo(() => scanHits.filter(filterPredicate), [scanHits, filterPredicate]);
+
+  // Signals passing both the filters and the search, i.e. what the radar shows
+  // at full strength when no single signal is selected
+  const visibleScanHits = useMemo(() => (searchMatchIndices
+    ? scanHits.filter((hit, index) => filterPredicate(hit) && searchMatchIndices.has(index))
+    : filteredScanHits
+  ), [scanHits, filterPredicate, filteredScanHits, searchMatchIndices]);
+
+  // The dedicated side-panel views apply when exactly one filter value is active;
+  // combinations get the "Filtered Signals" summary instead
+  const singleFilter = useMemo(() => getSingleFilter(filters), [filters]);
+  const selectedDomain = singleFilter?.facet === 'domains' ? singleFilter.value : null;
+  const selectedSteepCategory = singleFilter?.facet === 'categories' ? singleFilter.value : null;
+  const selectedHorizon = singleFilter?.facet === 'horizons' ? singleFilter.value : null;
+  const showParticipantIdentifiedOnly = singleFilter?.facet === 'participantOnly';
+  const selectedHorizonLabel = selectedHorizon ? getHorizon(selectedHorizon).label : null;
+
+  // Ring indices to show at full strength: the selected signal, otherwise the
+  // signals passing the filters and the search. Null when nothing is active.
+  // Labels, arc segments and segment lines all take their opacity from this.
+  const highlightedIndices = useMemo(() => {
+    if (selectedScanHit) {
+      return new Set([selectedIndex]);
+    }
+    if (!isFiltered && !searchMatchIndices) return null;
+
+    const indices = new Set();
+    scanHits.forEach((hit, index) => {
+      if (filterPredicate(hit) && (!searchMatchIndices || searchMatchIndices.has(index))) {
+        indices.add(index);
+      }
+    });
+    return indices;
+  }, [scanHits, selectedScanHit, selectedIndex, isFiltered, filterPredicate, searchMatchIndices]);
+
+  // Domains with at least one highlighted signal, for dimming the domain labels
+  const highlightedDomains = useMemo(() => {
+    if (!highlightedIndices) return null;
+    const domainIds = new Set();
+    highlightedIndices.forEach(index => scanHits[index]?.domains.forEach(domainId => domainIds.add(domainId)));
+    return domainIds;
+  }, [highlightedIndices, scanHits]);
+
+  // One readable clause per active facet, e.g. "Technological or Social category"
+  const filterClauses = useMemo(() => {
+    const orList = (labels) => labels.join(' or ');
+    const clauses = [];
+    if (filters.domains.length > 0) {
+      clauses.push(orList(filters.domains.map(id => domains.find(d => d.id === id)?.label || id)));
+    }
+    if (filters.categories.length > 0) {
+      clauses.push(`${orList(filters.categories)} ${filters.categories.length === 1 ? 'category' : 'categories'}`);
+    }
+    if (filters.horizons.length > 0) {
+      clauses.push(`${orList(filters.horizons.map(id => getHorizon(id).label))} horizon`);
+    }
+    if (filters.participantOnly) {
+      clauses.push('participant-identified');
+    }
+    return clauses;
+  }, [filters, domains]);
+
+  // Active filter values as removable chips for the side panel
+  const filterChips = useMemo(() => [
+    ...filters.domains.map(id => ({ facet: 'domains', value: id, label: domains.find(d => d.id === id)?.label || id })),
+    ...filters.categories.map(category => ({ facet: 'categories', value: category, label: category })),
+    ...filters.horizons.map(id => ({ facet: 'horizons', value: id, label: getHorizon(id).label })),
+    ...(filters.participantOnly ? [{ facet: 'participantOnly', value: true, label: 'Participant-identified' }] : []),
+  ], [filters, domains]);
+
+  const removeFilterChip = useCallback(({ facet, value }) => {
+    setFilters(prev => facet === 'participantOnly'
+      ? { ...prev, participantOnly: false }
+      : toggleFilterValue(prev, facet, value));
+  }, []);
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+  // Category key for exported images; categories outside the filter are dimmed
+  const exportLegend = useMemo(() => ({
+    title: categoryModel.legendTitle,
+    items: categoryModel.categories
+      .filter(({ label }) => label !== UNCATEGORISED.label || uncategorisedCount > 0)
+      .map(({ label, color }) => ({
+        label,
+        color,
+        dimmed: filters.categories.length > 0 && !filters.categories.includes(label),
+      })),
+  }), [categoryModel, uncategorisedCount, filters.categories]);
+
+  // Signals currently shown, with their breakdowns, for spreadsheets
+  const exportSignalData = useCallback((format, table) => {
+    const records = buildSignalRecords(visibleScanHits, domains);
+    const breakdowns = buildBreakdowns(visibleScanHits, { domains, categoryOrder: categoryModel.order });
+
+    if (format === 'json') {
+      const data = {
+        generatedAt: new Date().toISOString(),
+        source: getDataSourceLabel(),
+        categoryScheme: categoryModel.name,
+        view: {
+          filters: filterClauses.join(filters.match === 'any' ? ' or ' : ' and ') || null,
+          search: searchMatchIndices ? searchQuery.trim() : null,
+        },
+        signalCount: records.length,
+        signals: records,
+        breakdowns,
+      };
+      downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), datedFilename('signals', 'json'));
+    } else if (table === 'breakdowns') {
+      const csv = breakdownsToCsv(breakdowns, records.length, categoryModel.name);
+      downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), datedFilename('signal-breakdowns', 'csv'));
+    } else {
+      const csv = signalsToCsv(records, categoryModel.name);
+      downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), datedFilename('signals', 'csv'));
+    }
+    debugLog('Signal data exported', { format, table, count: records.length });
+  }, [visibleScanHits, domains, categoryModel, filterClauses, filters.match, searchMatchIndices, searchQuery, debugLog]);
+
+  const handleExport = useCallback(async ({ format, dpi, includeTitle, includeLegend, table }) => {
+    if (format === 'csv' || format === 'json') {
+      exportSignalData(format, table);
+      return;
+    }
+    if (!svgRef.current) return;
+
+    // Say what the image shows when it isn't the whole, unfiltered radar
+    const join = filters.match === 'any' ? ' or ' : ' and ';
+    const subtitles = ['Interactive Signal of Change Radar'];
+    if (selectedScanHit) {
+      subtitles.push(`Selected: ${selectedScanHit.title}`);
+    } else if (isFiltered) {
+      subtitles.push(`Showing ${filteredScanHits.length} signals: ${filterClauses.join(join)}`);
+    } else if (searchMatchIndices) {
+      subtitles.push(`Search: "${searchQuery.trim()}"`);
+    }
+
+    // A canvas chart is drawn as SVG for as long as it takes to copy it
+    if (chartRenderer === CHART_RENDERERS.canvas) {
+      await new Promise(resolve => {
+        svgReadyRef.current = resolve;
+        setIsExportingSvg(true);
+      });
+    }
+
+    let exported;
+    try {
+      exported = await buildExportSvg(svgRef.current, {
+        includeTitle,
+        includeLegend,
+        title: 'UNICEF Youth Foresight Fellows',
+        subtitles,
+        legend: exportLegend,
+      });
+    } finally {
+      setIsExportingSvg(false);
+    }
+
+    if (format === 'svg') {
+      downloadBlob(new Blob([exported.svg], { type: 'image/svg+xml' }), datedFilename('signal-radar', 'svg'));
+    } else {
+      downloadBlob(await svgToPng(exported, dpi), datedFilename(`signal-radar-${dpi}dpi`, 'png'));
+    }
+    debugLog('Chart exported', { format, dpi, includeTitle, includeLegend });
+  }, [chartRenderer, filters, selectedScanHit, isFiltered, filteredScanHits, filterClauses, searchMatchIndices, searchQuery, exportLegend, exportSignalData, debugLog]);
+
+  // ============================================================================
+  // PRINT REPORT
+  // ============================================================================
+  const reportSummary = isFiltered
+    ? `${filteredScanHits.length} signals of change: ${filterClauses.join(filters.match === 'any' ? ' or ' : ' and ')}`
+    : `All ${scanHits.length} signals of change`;
+
+  // One section per domain ring, innermost first, in ring order within each;
+  // a signal in several domains is listed under each of them
+  const reportSections = useMemo(() => {
+    if (!showReport) return [];
+    return domains
+      .map(domain => ({
+        id: domain.id,
+        label: domain.label,
+        description: domain.description,
+        scanHits: filteredScanHits.filter(hit => hit.domains.includes(domain.id)),
+      }))
+      .filter(section => section.scanHits.length > 0);
+  }, [showReport, domains, filteredScanHits]);
 
   const hoveredDomainLabel = useMemo(() => {
-    return hoveredDomain ? DOMAIN_LABELS.find(d => d.id === hoveredDomain)?.label : null;
-  }, [hoveredDomain]);
+    return hoveredDomain ? domains.find(d => d.id === hoveredDomain)?.label : null;
+  }, [domains, hoveredDomain]);
 
   // ============================================================================
   // EFFECTS & DATA LOADING
   // ============================================================================
+  // Stale-while-revalidate: data saved on the last visit renders straight
+  // away, fresh data replaces it when it arrives. Runs again on "Try again",
+  // "Refresh data" and auto-refresh, keeping the selection and zoom.
   useEffect(() => {
+    // Aborted when the chart unmounts or a newer load starts, which also stops pending retries
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const applyData = (records, domainList, loadedAt) => {
+      const { nameMapping, order } = buildDomainModel(domainList);
+      const scheme = getCategoryScheme();
+      const categories = buildCategoryModel(scheme);
+      const transformed = transformData(records, nameMapping, categories.nameMapping);
+      const sorted = sortScanHits(transformed, order, categories.order, ringOrderRef.current);
+      const issues = validateRecords(records, {
+        fields: getFieldMapping(),
+        domainNameMapping: nameMapping,
+        categoryNameMapping: categories.nameMapping,
+      });
+      if (issues.length > 0) {
+        console.warn(`Data validation found ${issues.length} issues in ${records.length} records`);
+      }
+      // Point out what changed since the data on screen
+      const previous = loadedDataRef.current.scanHits;
+      if (previous) {
+        const changes = diffScanHits(previous, sorted);
+        if (changes.count > 0 || manualRefreshRef.current) {
+          setRecentChanges(changes);
+        }
+      }
+      manualRefreshRef.current = false;
+      loadedDataRef.current = { scanHits: sorted, loadedAt };
+
+      setDataIssues(issues);
+      setRecordCount(records.length);
+      setDomains(domainList);
+      setCategoryScheme(scheme);
+      setScanHits(sorted);
+      setLastLoadedAt(loadedAt);
+      setError(null);
+
+      // Keep the open signal, now with its updated details (or close it if it was deleted)
+      setSelectedScanHit(prev => prev && (sorted.find(hit => getSignalKey(hit) === getSignalKey(prev)) || null));
+      debugLog('Signals of change loaded', {
+        total: sorted.length,
+        sample: sorted[0],
+        categories: [...new Set(sorted.map(s => s.steepCategory))],
+        participantIdentified: sorted.filter(s => s.participantIdentified).length,
+      });
+    };
+
     const loadData = async () => {
+      // First load: render the saved copy from the last visit straight away
+      const cached = loadAttempt === 0 && DATA_CACHE_CONFIG.enabled ? readDataCache(DATA_CACHE_NAME) : null;
+      if (cached) {
+        try {
+          applyData(cached.data.records, cached.data.domains, cached.savedAt);
+          setStaleDataStatus({ savedAt: cached.savedAt, isRefreshing: true, error: null });
+          setHasInitiallyLoaded(true);
+        } catch (err) {
+          console.warn('Cached data could not be used:', err.message);
+        }
+      } else {
+        setStaleDataStatus(prev => prev && { ...prev, isRefreshing: true, error: null });
+      }
+
       try {
         setLoading(true);
-        const records = await fetchScanHits();
-        const transformed = transformData(records);
-        const sorted = sortScanHits(transformed);
-        setScanHits(sorted);
-        setError(null);
-        console.log('Fetched signals of change:', sorted);
-        console.log('Total records:', sorted.length);
-        console.log('Sample record:', sorted[0]);
-        console.log('STEEP Categories found:', [...new Set(sorted.map(s => s.steepCategory))]);
-        console.log('Participant-identified signals:', sorted.filter(s => s.participantIdentified).length);
+        const [records, domainList] = await Promise.all([
+          fetchScanHits(setLoadProgress, signal),
+          loadDomains(undefined, { signal }),
+        ]);
+        if (signal.aborted) return;
+        applyData(records, domainList, Date.now());
+        if (DATA_CACHE_CONFIG.enabled) {
+          writeDataCache(DATA_CACHE_NAME, { records, domains: domainList });
+        }
+        setStaleDataStatus(null);
       } catch (err) {
-        setError('Failed to load signals of change. Please check your API credentials.');
+        if (signal.aborted) return;
         console.error('Full error:', err);
+
+        // Keep showing the data on screen rather than replacing the radar with an error
+        const { scanHits: shownScanHits, loadedAt } = loadedDataRef.current;
+        if (shownScanHits) {
+          setStaleDataStatus({ savedAt: loadedAt, isRefreshing: false, error: err.message });
+          return;
+        }
+
+        setError(describeLoadError(err, {
+          sourceType: DATA_SOURCE_CONFIG.type,
+          sourceLabel: getDataSourceLabel(),
+        }));
       } finally {
-        setLoading(false);
-        setHasInitiallyLoaded(true);
+        if (!signal.aborted) {
+          setLoading(false);
+          setHasInitiallyLoaded(true);
+        }
       }
     };
     
     loadData();
-  }, []);
+    return () => controller.abort();
+  }, [loadAttempt, debugLog]);
+
+  const refreshData = useCallback(() => {
+    debugLog('Data refresh requested', { loadAttempt });
+    manualRefreshRef.current = true;
+    setLoadAttempt(prev => prev + 1);
+  }, [loadAttempt, debugLog]);
+
+  // Auto-refresh, counted from the end of the previous load and skipped
+  // while the tab is in the background
+  useEffect(() => {
+    if (!autoRefreshMinutes || !hasInitiallyLoaded || loading) return;
+
+    const intervalId = setInterval(() => {
+      if (!document.hidden) {
+        setLoadAttempt(prev => prev + 1);
+      }
+    }, autoRefreshMinutes * 60 * 1000);
+    return () => clearInterval(intervalId);
+  }, [autoRefreshMinutes, hasInitiallyLoaded, loading]);
+
+  // Let refresh highlights fade after a while
+  useEffect(() => {
+    if (!recentChanges) return;
+    const timeoutId = setTimeout(() => setRecentChanges(null), CHANGE_HIGHLIGHT_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [recentChanges]);
+
+  // Showing saved data after a failed refresh, or the offline screen: try
+  // again as soon as the device is back online
+  const isWaitingForConnection = Boolean(staleDataStatus?.error) || error?.kind === 'offline';
+  useEffect(() => {
+    if (!isWaitingForConnection) return;
+
+    const handleOnline = () => setLoadAttempt(prev => prev + 1);
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [isWaitingForConnection]);
+
+  // Let a waiting export continue once the SVG chart has been drawn
+  useEffect(() => {
+    if (isExportingSvg && svgReadyRef.current) {
+      svgReadyRef.current();
+      svgReadyRef.current = null;
+    }
+  }, [isExportingSvg]);
 
-  // Initialize d3-zoom behavior - wait for data to be loaded and SVG to be rendered
+  // Initialize d3-zoom behavior once the SVG is rendered (it only is once data has loaded)
   useEffect(() => {
-    if (!svgRef.current || !hasInitiallyLoaded) {
+    if (!svgElement) {
       return;
     }
 
+    /**
+     * Moves the chart content to a zoom transform
+     * @param {Object} zoomState - d3-zoom transform ({ x, y, k })
+     */
+    const applyZoom = ({ x, y, k }) => {
+      zoomGroupRef.current?.setAttribute('transform', `translate(${x}, ${y}) scale(${k})`);
+      if (drawCanvasRef.current) scheduleCanvasDraw();
+    };
+
+    /**
+     * Hands a zoom transform to React (URL, level of detail, keyboard panning)
+     * @param {Object} zoomState - d3-zoom transform ({ x, y, k })
+     */
+    const commitZoom = ({ x, y, k }) => {
+      setTransform(prev => (prev.x === x && prev.y === y && prev.scale === k ? prev : { x, y, scale: k }));
+    };
+
     // Create zoom behavior with constraints
+    let detailLevelAtTick = getDetailLevel(zoomTransform(svgElement).k);
     const zoom = d3Zoom()
-      .scaleExtent([0.5, 4]) // Min 0.5x, max 4x zoom
+      .scaleExtent([0.5, 8]) // Min 0.5x, max 8x zoom (dense radars need it to read the detailed labels)
       .on('zoom', (event) => {
-        // Update transform state
-        const { x, y, k } = event.transform;
-        setTransform({ x, y, scale: k });
-      });
+        applyZoom(event.transform);
+
+        // Re-render mid-gesture only to swap markers, titles and full titles
+        const level = getDetailLevel(event.transform.k);
+        if (level !== detailLevelAtTick) {
+          detailLevelAtTick = level;
+          commitZoom(event.transform);
+        }
+      })
+      .on('end', (event) => commitZoom(event.transform));
 
     // Apply zoom behavior to SVG
-    const svg = d3Select(svgRef.current);
+    const svg = d3Select(svgElement);
     svg.call(zoom);
+    applyZoom(zoomTransform(svgElement));
 
     // Store zoom behavior for programmatic control
     zoomBehaviorRef.current = zoom;
@@ -661,12 +1048,58 @@ function RadialScanChart() {
     // Cleanup
     return () => {
       svg.on('.zoom', null);
+      zoomBehaviorRef.current = null;
+    };
+  }, [svgElement, scheduleCanvasDraw]);
+
+  // Apply a view decoded from the URL (shared link, or back/forward navigation).
+  // Ids the current data doesn't know are dropped.
+  const restoreUrlState = useCallback((urlState) => {
+    debugLog('Restoring view from URL', urlState);
+
+    const restoredFilters = {
+      ...urlState.filters,
+      domains: urlState.filters.domains.filter(id => domainModel.order.includes(id)),
+      categories: urlState.filters.categories.filter(category => categoryModel.order.includes(category)),
+      horizons: urlState.filters.horizons.filter(id => HORIZON_ORDER.includes(id)),
     };
-  }, [hasInitiallyLoaded]); // Wait for data to be loaded
+    const scanHit = urlState.signalId
+      ? scanHits.find(hit => String(hit.id) === urlState.signalId) || null
+      : null;
 
-  // Two-pass positioning effect - measure and adjust after initial render
+    setFilters(restoredFilters);
+    setSelectedScanHit(scanHit);
+    setFocusedScanHit(null);
+    setSearchQuery(urlState.query);
+    setShowDefaultModal(false);
+    setShowModalPanel(!urlState.report && (Boolean(scanHit) || hasActiveFilters(restoredFilters)));
+    setShowReport(urlState.report);
+
+    if (svgRef.current && zoomBehaviorRef.current) {
+      const { x, y, scale } = urlState.transform || { x: 0, y: 0, scale: 1 };
+      d3Select(svgRef.current).call(
+        zoomBehaviorRef.current.transform,
+        zoomIdentity.translate(x, y).scale(scale)
+      );
+    }
+  }, [scanHits, domainModel, categoryModel, debugLog]);
+
+  // Keep selection, filters, search and zoom in the query string
+  useUrlState({
+    state: {
+      signalId: selectedScanHit?.id ?? null,
+      filters,
+      transform,
+      query: searchQuery,
+      report: showReport,
+    },
+    ready: hasInitiallyLoaded && scanHits.length > 0,
+    onRestore: restoreUrlState,
+  });
+
+  // Two-pass positioning effect - measure the rendered labels so the layout can place them exactly
   useEffect(() => {
-    if (scanHits.length === 0) return;
+    if (scanHits.length === 0 || !hasLabels || drawsOnCanvas) return; // Markers and canvas labels need no measuring
     
     // Small delay to ensure DOM is rendered
     const timeoutId = setTimeout(() => {
@@ -675,38 +1108,21 @@ function RadialScanChart() {
       // Only track if enough time has passed since last render (throttling)
       if (currentTime - lastRenderTimeRef.current > 100) {
         const renderStartTime = performance.now();
-        const newPositions = {};
+        const widths = {};
         
         scanHits.forEach((scanHit, index) => {
           const textElement = textRefs.current[`text-${index}`];
           if (textElement) {
             try {
-              // Measure actual text dimensions and calculate precise position
-              const bbox = textElement.getBBox();
-              const anglePerHit = 360 / scanHits.length;
-              const segmentStartAngle = (index / scanHits.length) * 360;
-              const segmentCenterAngle = segmentStartAngle + (anglePerHit / 2);
-              const position = calculateTextPosition(bbox, segmentCenterAngle);
-              
-              newPositions[index] = position;
-            } catch (error) {
-              // Fallback to original positioning if measurement fails
-              const anglePerHit = 360 / scanHits.length;
-              const segmentStartAngle = (index / scanHits.length) * 360;
-              const segmentCenterAngle = segmentStartAngle + (anglePerHit / 2);
-              const adjustedRadius = (CONFIG.scanHitRadius + CONFIG.positioning.desiredGap) - CONFIG.positioning.baseOffset;
-              const position = polarToCartesian(
-                CONFIG.centerX,
-                CONFIG.centerY,
-                adjustedRadius,
-                segmentCenterAngle
-              );
-              newPositions[index] = position;
+              // Measure actual text dimensions (all lines of a wrapped label)
+              widths[index] = textElement.getBBox().width;
+            } catch {
+              // Measurement failed: the layout keeps its estimated width
             }
           }
         });
         
-        setLabelPositions(newPositions);
+        setMeasuredLabels({ scanHits, detailLevel, widths });
         
         // Track chart render performance only once per data load
         if (renderCountRef.current === 0) {
@@ -721,23 +1137,53 @@ function RadialScanChart() {
     }, CONFIG.positioning.measurementDelay);
     
     return () => clearTimeout(timeoutId);
-  }, [scanHits, trackChartRender]);
+  }, [scanHits, detailLevel, hasLabels, drawsOnCanvas, trackChartRender]);
+
+  // Snapshot the radar for the report's first page once labels are placed,
+  // and again whenever the filters change what is highlighted
+  useEffect(() => {
+    if (!showReport || !svgRef.current || !isLabelsMeasured) return;
+
+    let cancelled = false;
+    const buildReportRadar = async () => {
+      try {
+        const { svg } = await buildExportSvg(svgRef.current, { includeTitle: false, legend: exportLegend });
+        if (!cancelled) {
+          setReportRadar({ url: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`, error: null });
+        }
+      } catch (err) {
+        console.error('Report radar failed:', err);
+        if (!cancelled) {
+          setReportRadar({ url: null, error: err.message });
+        }
+      }
+    };
+
+    buildReportRadar();
+    return () => {
+      cancelled = true;
+    };
+  }, [showReport, isLabelsMeasured, radarLayout, highlightedIndices, exportLegend]);
 
   // ESC key listener for closing modals
   useEffect(() => {
     const handleKeyDown = (event) => {
       if (event.key === 'Escape') {
-        if (showModalPanel) {
+        if (showReport) {
+          closeReport();
+        } else if (showModalPanel) {
           closeModal();
         } else if (showNavigationHelp) {
           closeNavigationHelp();
+        } else if (showDataIssues) {
+          setShowDataIssues(false);
         }
       }
     };
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [showModalPanel, showNavigationHelp, closeModal, closeNavigationHelp]);
+  }, [showReport, showModalPanel, showNavigationHelp, showDataIssues, closeModal, closeNavigationHelp, closeReport]);
 
   // Keyboard shortcuts for zoom and pan
   useEffect(() => {
@@ -746,6 +1192,10 @@ function RadialScanChart() {
       if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
         return;
       }
+      // The report covers the chart; arrow keys scroll it instead
+      if (showReport) {
+        return;
+      }
 
       const PAN_AMOUNT = 100;
 
@@ -766,37 +1216,41 @@ function RadialScanChart() {
         case 'ArrowUp':
           event.preventDefault();
           if (svgRef.current && zoomBehaviorRef.current) {
-            const currentTransform = zoomIdentity
-              .translate(transform.x, transform.y + PAN_AMOUNT)
-              .scale(transform.scale);
-            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, currentTransform);
+            const current = zoomTransform(svgRef.current);
+            const nextTransform = zoomIdentity
+              .translate(current.x, current.y + PAN_AMOUNT)
+              .scale(current.k);
+            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, nextTransform);
           }
           break;
         case 'ArrowDown':
           event.preventDefault();
           if (svgRef.current && zoomBehaviorRef.current) {
-            const currentTransform = zoomIdentity
-              .translate(transform.x, transform.y - PAN_AMOUNT)
-              .scale(transform.scale);
-            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, currentTransform);
+            const current = zoomTransform(svgRef.current);
+            const nextTransform = zoomIdentity
+              .translate(current.x, current.y - PAN_AMOUNT)
+              .scale(current.k);
+            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, nextTransform);
           }
           break;
         case 'ArrowLeft':
           event.preventDefault();
           if (svgRef.current && zoomBehaviorRef.current) {
-            const currentTransform = zoomIdentity
-              .translate(transform.x + PAN_AMOUNT, transform.y)
-              .scale(transform.scale);
-            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, currentTransform);
+            const current = zoomTransform(svgRef.current);
+            const nextTransform = zoomIdentity
+              .translate(current.x + PAN_AMOUNT, current.y)
+              .scale(current.k);
+            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, nextTransform);
           }
           break;
         case 'ArrowRight':
           event.preventDefault();
           if (svgRef.current && zoomBehaviorRef.current) {
-            const currentTransform = zoomIdentity
-              .translate(transform.x - PAN_AMOUNT, transform.y)
-              .scale(transform.scale);
-            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, currentTransform);
+            const current = zoomTransform(svgRef.current);
+            const nextTransform = zoomIdentity
+              .translate(current.x - PAN_AMOUNT, current.y)
+              .scale(current.k);
+            d3Select(svgRef.current).call(zoomBehaviorRef.current.transform, nextTransform);
           }
           break;
         default:
@@ -806,7 +1260,7 @@ function RadialScanChart() {
 
     document.addEventListener('keydown', handleKeyDown);
     return () => document.removeEventListener('keydown', handleKeyDown);
-  }, [transform, handleZoomIn, handleZoomOut, handleResetZoom]);
+  }, [showReport, handleZoomIn, handleZoomOut, handleResetZoom]);
 
   // Click outside modal to close it
   useEffect(() => {
@@ -840,6 +1294,359 @@ function RadialScanChart() {
     }
   }, [isResizing, handleResizeMove, handleResizeEnd]);
 
+  // ============================================================================
+  // CHART LAYERS
+  // ============================================================================
+  // The per-signal layers of the radar, built once per change to what they
+  // show. Renders for anything else (hovering a domain, resizing the panel)
+  // reuse them instead of rebuilding thousands of elements. How each mark
+  // looks is decided once, below, for both the SVG and the canvas renderer.
+
+  // Domain ring borders ({ stroke, strokeWidth, opacity }): darker around
+  // selected domains, dimmed otherwise
+  const getRingStyle = useCallback((index) => {
+    const { rings } = radarGeometry;
+    const isSelected = filters.domains.includes(rings[index].domainId);
+    const isOtherSelected = filters.domains.length > 0 && !isSelected;
+    
+    // Check if this ring is the inner boundary of a selected domain
+    const isInnerBoundaryOfSelected = index < rings.length - 1 && filters.domains.includes(rings[index + 1].domainId);
+    
+    if (selectedScanHit) {
+      // If a signal of change is selected, dim all domain ring borders
+      // (the colored segments will still be highlighted)
+      return { stroke: CONFIG.ringColor, strokeWidth: CONFIG.ringWidth, opacity: 0.3 };
+    }
+    if (isSelected || isInnerBoundaryOfSelected) {
+      // Darker gray-800, thicker border for selected domain boundaries
+      return { stroke: '#1f2937', strokeWidth: 6, opacity: 1.0 };
+    }
+    return { stroke: CONFIG.ringColor, strokeWidth: CONFIG.ringWidth, opacity: isOtherSelected ? 0.3 : 1.0 };
+  }, [radarGeometry, filters.domains, selectedScanHit]);
+
+  // Single ring between center and first domain
+  const getCentreRingStyle = useCallback(() => {
+    if (selectedScanHit) {
+      // Keep normal color and width, dimmed like the other ring borders
+      return { stroke: CONFIG.ringColor, strokeWidth: CONFIG.ringWidth, opacity: 0.3 };
+    }
+    const isInnermostSelected = filters.domains.includes(domainModel.order[0]);
+    return {
+      stroke: isInnermostSelected ? '#1f2937' : CONFIG.ringColor,
+      strokeWidth: isInnermostSelected ? 6 : CONFIG.ringWidth,
+      opacity: filters.domains.length > 0 && !isInnermostSelected ? 0.3 : 1.0,
+    };
+  }, [filters.domains, domainModel, selectedScanHit]);
+
+  // Radiating lines: dim signals outside the current highlight
+  const getBoundaryOpacity = useCallback((index) => (
+    !highlightedIndices || highlightedIndices.has(index) ? 0.7 : 0.1
+  ), [highlightedIndices]);
+
+  // Arc segments: highlighted signals at full opacity, with their segments in
+  // unselected domain rings toned down
+  const getSegmentOpacity = useCallback((index, domainId) => {
+    if (!highlightedIndices) return 0.6; // Semi-transparent by default
+    if (!highlightedIndices.has(index)) return 0.1;
+    if (!selectedScanHit && filters.domains.length > 0 && !filters.domains.includes(domainId)) return 0.2;
+    return 1.0;
+  }, [highlightedIndices, selectedScanHit, filters.domains]);
+
+  const getLeaderOpacity = useCallback((index) => (
+    highlightedIndices && !highlightedIndices.has(index) ? 0.2 : 1
+  ), [highlightedIndices]);
+
+  // Signal labels and markers: colour and opacity from selection, focus and the latest refresh
+  const getSignalMarkStyle = useCallback((index) => {
+    const scanHit = scanHits[index];
+    let opacity = 1.0;
+    let fillColor = "#4B5563";
+    
+    if (highlightedIndices) {
+      // Dim signals of change outside the selection, filters and search
+      opacity = highlightedIndices.has(index) ? 1.0 : 0.2;
+    }
+    
+    // Added or edited in the latest refresh: green or amber, pulsing briefly
+    const signalKey = getSignalKey(scanHit);
+    const isNew = Boolean(recentChanges?.added.has(signalKey));
+    const isEdited = Boolean(recentChanges?.changed.has(signalKey));
+    if (isNew || isEdited) {
+      fillColor = isNew ? "#15803D" : "#B45309";
+      opacity = 1.0;
+    }
+    
+    // Check if this signal of change is focused
+    const isFocused = focusedScanHit === (scanHit.id || index);
+    if (isFocused) {
+      fillColor = "#1D4ED8"; // Blue color for focused signal of change
+      opacity = 1.0;
+    }
+    
+    return { fillColor, opacity, isNew, isEdited, isFocused };
+  }, [scanHits, highlightedIndices, recentChanges, focusedScanHit]);
+
+  const boundaryElements = useMemo(() => (drawsOnCanvas ? null :
+    radarLayout.boundaries.map((boundary) => {
+      const { index } = boundary;
+      
+      return (
+        <line
+          key={`boundary-${scanHits[index].id || index}`}
+          x1={boundary.x1}
+          y1={boundary.y1}
+          x2={boundary.x2}
+          y2={boundary.y2}
+          stroke="#e5e7eb"
+          strokeWidth="3"
+          opacity={getBoundaryOpacity(index)}
+          className="transition-opacity duration-300"
+        />
+      );
+    })
+  ), [drawsOnCanvas, radarLayout.boundaries, scanHits, getBoundaryOpacity]);
+
+  const segmentElements = useMemo(() => (drawsOnCanvas ? null :
+    radarLayout.segments.map((segment) => {
+      const { index, domainId } = segment;
+      const scanHit = scanHits[index];
+      
+      return (
+        <path
+          key={`segment-${scanHit.id || index}-${domainId}`}
+          d={segment.d}
+          fill={getSteepColor(scanHit.steepCategory, categoryModel.colors)}
+          stroke="#ffffff"
+          strokeWidth="3"
+          opacity={getSegmentOpacity(index, domainId)}
+          className="transition-opacity duration-200"
+        />
+      );
+    })
+  ), [drawsOnCanvas, radarLayout.segments, scanHits, getSegmentOpacity, categoryModel.colors]);
+
+  const leaderElements = useMemo(() => (drawsOnCanvas ? null :
+    radarLayout.leaders.map(({ index, d }) => (
+      <path
+        key={`leader-${scanHits[index].id || index}`}
+        d={d}
+        stroke={CONFIG.leaderColor}
+        strokeWidth="2"
+        fill="none"
+        opacity={getLeaderOpacity(index)}
+        pointerEvents="none"
+      />
+    ))
+  ), [drawsOnCanvas, radarLayout.leaders, scanHits, getLeaderOpacity]);
+
+  const signalMarkElements = useMemo(() => (drawsOnCanvas ? null :
+    (hasLabels ? radarLayout.labels : radarLayout.markers).map((item) => {
+      const { index } = item;
+      const scanHit = scanHits[index];
+      const cleanTitle = scanHit.title.trim(); // Remove leading/trailing spaces
+      const { fillColor, opacity, isNew, isEdited, isFocused } = getSignalMarkStyle(index);
+      
+      // Labels and markers open the signal the same way
+      const buttonProps = {
+        onClick: (e) => {
+          e.stopPropagation();
+          handleScanHitClick(scanHit, index);
+        },
+        onKeyDown: (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            e.stopPropagation();
+            handleScanHitClick(scanHit, index);
+          }
+        },
+        tabIndex: 0,
+        role: 'button',
+        'aria-label': `Signal of change${hasLabels ? '' : ` ${index + 1}`}: ${cleanTitle}${scanHit.domains.length > 1 ? ` (belongs to ${scanHit.domains.length} domains)` : ''}`,
+        'aria-pressed': isFocused,
+      };
+      
+      // Zoomed out: a dot in the signal's slot, numbered where there is room
+      if (!hasLabels) {
+        return (
+          <g
+            key={`scan-hit-${scanHit.id || index}`}
+            opacity={opacity}
+            className={`cursor-pointer focus:outline-none ${isNew || isEdited ? 'signal-updated' : ''}`}
+            {...buttonProps}
+          >
+            <title>{cleanTitle}</title>
+            <circle cx={item.x} cy={item.y} r={item.radius} fill={scanHit.participantIdentified ? '#FFD700' : fillColor} stroke={fillColor} strokeWidth="3" />
+            {item.number && (
+              <text
+                x={item.number.x}
+                y={item.number.y}
+                fontSize={item.number.fontSize}
+                fill={fillColor}
+                fontWeight="bold"
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="select-none"
+              >
+                {item.number.text}
+              </text>
+            )}
+          </g>
+        );
+      }
+      
+      const label = item;
+      return (
+        <text
+          ref={(el) => textRefs.current[`text-${index}`] = el}
+          key={`scan-hit-${scanHit.id || index}`}
+          x={label.x}
+          y={label.y}
+          fontSize={label.fontSize}
+          fill={fillColor}
+          fontWeight={isNew || isEdited ? "bold" : "normal"}
+          textAnchor="middle" // Back to middle since we're positioning precisely
+          dominantBaseline="middle"
+          opacity={opacity}
+          transform={`rotate(${label.rotation}, ${label.x}, ${label.y})`}
+          className={`cursor-pointer transition-all duration-200 select-none hover:fill-gray-800 hover:opacity-80 focus:outline-none focus:fill-blue-600 ${isNew || isEdited ? 'signal-updated' : ''}`}
+          {...buttonProps}
+        >
+          {label.lines.map((line, lineIndex) => (
+            <tspan
+              key={lineIndex}
+              x={label.x}
+              dy={lineIndex === 0 ? label.firstLineOffset : label.lineHeight}
+            >
+              {/* The participant star goes on the first line */}
+              {lineIndex === 0 && label.starSide === 'start' && (
+                <tspan fontSize={label.fontSize * 1.2} fill="#FFD700">⭐</tspan>
+              )}
+              <tspan dx={lineIndex === 0 && label.starSide === 'start' ? label.fontSize * 0.2 : 0}>
+                {line}
+              </tspan>
+              {lineIndex === 0 && label.starSide === 'end' && (
+                <tspan fontSize={label.fontSize * 1.2} fill="#FFD700" dx={label.fontSize * 0.2}>⭐</tspan>
+              )}
+            </tspan>
+          ))}
+          {/* Zoomed in: the start of the description under the title */}
+          {label.caption && (
+            <tspan
+              x={label.x}
+              dy={label.lineHeight}
+              fontSize={label.captionFontSize}
+              fontWeight="normal"
+              fill="#6B7280"
+            >
+              {label.caption}
+            </tspan>
+          )}
+        </text>
+      );
+    })
+  ), [drawsOnCanvas, hasLabels, radarLayout.labels, radarLayout.markers, scanHits, getSignalMarkStyle, handleScanHitClick]);
+
+  // Canvas renderer: the same marks in the same styles, redrawn whenever any
+  // of them change. Hovered labels darken as they do in the SVG.
+  const centreImageRef = useRef(null);
+  const canvasStyles = useMemo(() => ({
+    ring: getRingStyle,
+    centreRing: getCentreRingStyle,
+    centreCaption: detailSettings.centreCaption ? 'signals of change' : null,
+    centreCount: scanHits.length,
+    boundaryOpacity: getBoundaryOpacity,
+    segment: ({ index, domainId }) => ({
+      fill: getSteepColor(scanHits[index].steepCategory, categoryModel.colors),
+      opacity: getSegmentOpacity(index, domainId),
+    }),
+    leader: (index) => ({ color: CONFIG.leaderColor, opacity: getLeaderOpacity(index) }),
+    signal: (index) => {
+      const { fillColor, opacity, isNew, isEdited } = getSignalMarkStyle(index);
+      const isHovered = hasLabels && index === hoveredCanvasSignal;
+      return {
+        fill: isHovered ? '#1f2937' : fillColor,
+        opacity: isHovered ? 0.8 : opacity,
+        bold: isNew || isEdited,
+        dotFill: scanHits[index].participantIdentified ? '#FFD700' : fillColor,
+      };
+    },
+  }), [getRingStyle, getCentreRingStyle, detailSettings, scanHits, getBoundaryOpacity, categoryModel.colors,
+    getSegmentOpacity, getLeaderOpacity, getSignalMarkStyle, hasLabels, hoveredCanvasSignal]);
+
+  const drawCanvas = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !svgRef.current) return;
+
+    // Match the SVG's box, in device pixels so text stays sharp
+    const { width, height } = svgRef.current.getBoundingClientRect();
+    const pixelRatio = window.devicePixelRatio || 1;
+    const pixelWidth = Math.round(width * pixelRatio);
+    const pixelHeight = Math.round(height * pixelRatio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+    }
+
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    drawRadar(context, radarLayout, {
+      width,
+      height,
+      pixelRatio,
+      transform: zoomTransform(svgRef.current),
+      styles: {
+        ...canvasStyles,
+        centreImage: { image: centreImageRef.current, opacity: detailSettings.centreImageOpacity },
+      },
+    });
+  }, [radarLayout, canvasStyles, detailSettings]);
+
+  useEffect(() => {
+    drawCanvasRef.current = drawsOnCanvas ? drawCanvas : null;
+    if (!drawsOnCanvas) return;
+
+    if (!centreImageRef.current) {
+      const image = new Image();
+      image.onload = scheduleCanvasDraw;
+      image.src = CONFIG.centreImage;
+      centreImageRef.current = image;
+    }
+
+    scheduleCanvasDraw();
+
+    // Redraw when the chart changes size (window resized, side panel opened)
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(scheduleCanvasDraw) : null;
+    if (resizeObserver && svgElement) {
+      resizeObserver.observe(svgElement);
+    } else {
+      window.addEventListener('resize', scheduleCanvasDraw);
+    }
+    return () => {
+      resizeObserver?.disconnect();
+      window.removeEventListener('resize', scheduleCanvasDraw);
+    };
+  }, [drawsOnCanvas, drawCanvas, scheduleCanvasDraw, svgElement]);
+
+  // The canvas has no elements to click, so find the signal under the pointer from the layout
+  const getCanvasSignalAt = useCallback((e) => {
+    const matrix = zoomGroupRef.current?.getScreenCTM?.();
+    if (!matrix) return -1;
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(matrix.inverse());
+    return hitTestSignal(radarLayout, point, CONFIG.canvasHitTolerance / matrix.a);
+  }, [radarLayout]);
+
+  const handleCanvasClick = useCallback((e) => {
+    const index = getCanvasSignalAt(e);
+    if (index < 0) return;
+    e.stopPropagation();
+    handleScanHitClick(scanHits[index], index);
+  }, [getCanvasSignalAt, handleScanHitClick, scanHits]);
+
+  const handleCanvasPointerMove = useCallback((e) => {
+    const index = getCanvasSignalAt(e);
+    setHoveredCanvasSignal(prev => (prev === index ? prev : index));
+  }, [getCanvasSignalAt]);
+
   // ============================================================================
   // CONDITIONAL RENDERING
   // ============================================================================
@@ -857,7 +1664,21 @@ function RadialScanChart() {
           
           {/* Loading messages */}
           <h2 className="text-xl font-semibold text-gray-800 mb-2">Loading Futures Data</h2>
-          <p className="text-gray-600 mb-4">Fetching signals of change from AITable...</p>
+          <p className="text-gray-600 mb-4">
+            {loadProgress
+              ? `Fetched ${loadProgress.loaded} of ${loadProgress.total} signals of change (page ${loadProgress.page} of ${loadProgress.pageCount})...`
+              : `Fetching signals of change from ${getDataSourceLabel()}...`}
+          </p>
+          
+          {/* Page progress bar */}
+          {loadProgress && loadProgress.total > 0 && (
+            <div className="w-full h-2 bg-blue-100 rounded-full overflow-hidden mb-4">
+              <div
+                className="h-full bg-blue-600 transition-all duration-300"
+                style={{ width: `${Math.round((loadProgress.loaded / loadProgress.total) * 100)}%` }}
+              />
+            </div>
+          )}
           
           {/* Progress indicators */}
           <div className="space-y-2 text-sm text-gray-500">
@@ -877,7 +1698,7 @@ function RadialScanChart() {
           
           {/* Accessibility */}
           <div className="sr-only" role="status" aria-live="polite">
-            Loading signals of change data from AITable API. Please wait.
+            Loading signals of change data from {getDataSourceLabel()}. Please wait.
           </div>
         </div>
       </div>
@@ -886,49 +1707,11 @@ function RadialScanChart() {
 
   if (error) {
     return (
-      <div className="flex items-center justify-center h-screen">
-        <div className="text-center max-w-md mx-auto p-6">
-          {/* Error icon */}
-          <div className="mx-auto flex items-center justify-center h-16 w-16 rounded-full bg-red-100 mb-6">
-            <svg
-              className="h-8 w-8 text-red-600"
-              fill="none"
-              viewBox="0 0 24 24"
-              stroke="currentColor"
-              aria-hidden="true"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.732-.833-2.5 0L4.268 18.5c-.77.833.192 2.5 1.732 2.5z"
-              />
-            </svg>
-          </div>
-          
-          {/* Error messages */}
-          <h2 className="text-xl font-semibold text-red-800 mb-2">Unable to Load Data</h2>
-          <p className="text-red-600 mb-4">{error}</p>
-          
-          {/* Retry button */}
-          <button
-            onClick={() => window.location.reload()}
-            className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
-          >
-            Retry Loading
-          </button>
-          
-          {/* Help text */}
-          <p className="text-sm text-gray-500 mt-4">
-            If the problem persists, please check your internet connection and API credentials.
-          </p>
-          
-          {/* Accessibility */}
-          <div className="sr-only" role="alert" aria-live="assertive">
-            Error loading data: {error}
-          </div>
-        </div>
-      </div>
+      <LoadErrorScreen
+        error={error}
+        isRetrying={loading}
+        onRetry={() => setLoadAttempt(prev => prev + 1)}
+      />
     );
   }
 
@@ -936,25 +1719,50 @@ function RadialScanChart() {
   // MAIN RENDER
   // ============================================================================
   return (
-    <div className="w-full max-w-[2400px] mx-auto bg-white rounded-lg shadow-md overflow-x-hidden">
+    <div className={`w-full max-w-[2400px] mx-auto bg-white rounded-lg shadow-md overflow-x-hidden ${showReport ? 'print-report-open' : ''}`}>
       {/* Integrated Header */}
       <header className="text-center p-4 pb-4 sm:pb-6 lg:pb-8">
         <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-blue-600 mb-2">UNICEF Youth Foresight Fellows</h1>
         <p className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-600">Interactive Signal of Change Radar</p>
       </header>
+
+      {/* Data refresh controls */}
+      <DataRefreshBar
+        lastLoadedAt={lastLoadedAt}
+        isRefreshing={loading}
+        onRefresh={refreshData}
+        autoRefreshMinutes={autoRefreshMinutes}
+        onAutoRefreshChange={setAutoRefreshMinutes}
+        changes={recentChanges}
+      />
+
+      {/* Outdated data notice - while cached data is shown or a refresh failed */}
+      {staleDataStatus && (
+        <StaleDataBanner
+          savedAt={staleDataStatus.savedAt}
+          isRefreshing={staleDataStatus.isRefreshing}
+          refreshError={staleDataStatus.error}
+          onRetry={() => setLoadAttempt(prev => prev + 1)}
+        />
+      )}
       
       {/* Main Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-[auto_1fr_auto] gap-2 sm:gap-4 p-2 sm:p-4 lg:p-8">
         
-        {/* STEEP Category Legend - Left column on desktop, below chart on mobile */}
+        {/* Category Legend - Left column on desktop, below chart on mobile */}
         <div className="order-2 lg:order-1 bg-white p-3 sm:p-4 lg:p-6 rounded-lg shadow-md border border-gray-200 self-start">
           <h3 className="text-sm sm:text-base lg:text-lg xl:text-xl font-semibold text-gray-700 mb-2 sm:mb-3 lg:mb-4">
-            STEEP Categories
+            {categoryModel.legendTitle}
           </h3>
           <div className="space-y-2 lg:space-y-3">
-            {Object.entries(STEEP_COLORS).map(([category, color]) => {
-              const isSelected = selectedSteepCategory === category;
-              const isOtherSelected = (selectedSteepCategory && selectedSteepCategory !== category) || selectedDomain || showParticipantIdentifiedOnly;
+            {categoryModel.categories.map(({ label: category, color }) => {
+              // Only list Uncategorised when some signals actually fall into it
+              if (category === UNCATEGORISED.label && uncategorisedCount === 0) {
+                return null;
+              }
+
+              const isSelected = filters.categories.includes(category);
+              const isOtherSelected = filters.categories.length > 0 && !isSelected;
               
               return (
                 <button
@@ -971,7 +1779,10 @@ function RadialScanChart() {
                     style={{ backgroundColor: color }}
                     aria-hidden="true"
                   />
-                  <span className="text-xs lg:text-sm text-gray-600 font-medium">{category}</span>
+                  <span className="text-xs lg:text-sm text-gray-600 font-medium">
+                    {category}
+                    {category === UNCATEGORISED.label && ` (${uncategorisedCount})`}
+                  </span>
                 </button>
               );
             })}
@@ -982,10 +1793,10 @@ function RadialScanChart() {
             <button
               onClick={handleParticipantIdentifiedClick}
               className={`flex items-center gap-2 lg:gap-3 w-full text-left p-2 rounded-lg transition-all duration-200 cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
-                showParticipantIdentifiedOnly ? 'bg-blue-50 ring-2 ring-blue-400' : (selectedSteepCategory || selectedDomain) ? 'opacity-40' : ''
+                filters.participantOnly ? 'bg-blue-50 ring-2 ring-blue-400' : ''
               }`}
               aria-label="Filter by participant-identified signals"
-              aria-pressed={showParticipantIdentifiedOnly}
+              aria-pressed={filters.participantOnly}
             >
               <svg width="16" height="16" viewBox="0 0 24 24" className="text-yellow-500 flex-shrink-0 lg:w-5 lg:h-5">
                 <path 
@@ -996,18 +1807,80 @@ function RadialScanChart() {
               <span className="text-xs lg:text-sm text-gray-600 font-medium">Participant-identified signals</span>
             </button>
           </div>
+
+          {/* Time horizon legend */}
+          <div className="mt-4 lg:mt-6 pt-3 lg:pt-4 border-t border-gray-200">
+            <h3 className="text-sm sm:text-base lg:text-lg font-semibold text-gray-700 mb-2">
+              Time Horizon
+            </h3>
+            <div className="space-y-1 lg:space-y-2">
+              {[...HORIZON_BUCKETS, UNSPECIFIED_HORIZON].map(horizon => {
+                const count = horizonCounts[horizon.id] || 0;
+                // Only list Unspecified when some signals actually fall into it
+                if (horizon.id === UNSPECIFIED_HORIZON.id && count === 0) {
+                  return null;
+                }
+
+                const isSelected = filters.horizons.includes(horizon.id);
+                const isOtherSelected = filters.horizons.length > 0 && !isSelected;
+
+                return (
+                  <button
+                    key={horizon.id}
+                    onClick={() => handleHorizonClick(horizon.id)}
+                    className={`flex items-center justify-between gap-2 w-full text-left p-2 rounded-lg transition-all duration-200 cursor-pointer hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      isSelected ? 'bg-blue-50 ring-2 ring-blue-400' : isOtherSelected ? 'opacity-40' : ''
+                    }`}
+                    aria-label={`Filter by ${horizon.label} horizon`}
+                    aria-pressed={isSelected}
+                    title={horizon.description}
+                  >
+                    <span className="text-xs lg:text-sm text-gray-600 font-medium">{horizon.label}</span>
+                    <span className="text-xs text-gray-400">{count}</span>
+                  </button>
+                );
+              })}
+            </div>
+
+            {/* Ring order toggle */}
+            <div className="mt-3 flex items-center gap-2 text-xs text-gray-500" role="group" aria-label="Order signals around the ring by">
+              <span>Order ring by</span>
+              {[['category', categoryModel.name], ['horizon', 'Horizon']].map(([order, label]) => (
+                <button
+                  key={order}
+                  onClick={() => handleRingOrderChange(order)}
+                  className={`px-2 py-1 rounded border transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    ringOrder === order ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-100'
+                  }`}
+                  aria-pressed={ringOrder === order}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
         
         {/* Chart Container - Center column */}
         <div className="order-1 lg:order-2 relative">
+          {/* Search - top left of the chart, opposite the zoom controls */}
+          <div className="absolute top-2 left-2 z-20">
+            <SignalSearch
+              query={searchQuery}
+              onQueryChange={setSearchQuery}
+              results={searchResults}
+              onSelect={handleSearchSelect}
+            />
+          </div>
+
           {/* Zoom controls - positioned relative to chart container */}
           <div className="absolute top-2 right-2 z-10 flex gap-1 sm:gap-2 items-center">
             {/* Clear Selection Button */}
-            {(selectedDomain || selectedSteepCategory || showParticipantIdentifiedOnly) && (
+            {isFiltered && (
               <button
                 onClick={clearSelection}
                 className="bg-gray-700 hover:bg-gray-800 text-white px-2 py-1 sm:px-3 sm:py-2 rounded-lg transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
-                aria-label={`Clear selection${selectedDomainLabel ? ` of ${selectedDomainLabel} domain` : selectedSteepCategory ? ` of ${selectedSteepCategory} category` : showParticipantIdentifiedOnly ? ' of participant-identified filter' : ''}`}
+                aria-label={`Clear ${countActiveFilters(filters)} active filter${countActiveFilters(filters) === 1 ? '' : 's'}`}
               >
                 Clear
               </button>
@@ -1049,6 +1922,41 @@ function RadialScanChart() {
               </button>
             </div>
             
+            {/* Export */}
+            <ExportMenu onExport={handleExport} signalCount={visibleScanHits.length} />
+
+            {/* Print report */}
+            <button
+              onClick={openReport}
+              className="h-7 sm:h-8 lg:h-9 px-2 sm:px-3 flex items-center gap-1 bg-white hover:bg-gray-100 text-gray-700 rounded-lg shadow-md border border-gray-200 transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Open printable report"
+              title="Printable report"
+            >
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4" />
+              </svg>
+              <span className="hidden sm:inline">Report</span>
+            </button>
+            
+            {/* Data Issues Button - admin mode only */}
+            {isAdminMode && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setShowDataIssues(true);
+                }}
+                className={`px-2 py-1 sm:px-3 sm:py-2 rounded-lg transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 ${
+                  dataIssues.length > 0
+                    ? 'bg-amber-500 hover:bg-amber-600 text-white focus:ring-amber-500'
+                    : 'bg-white hover:bg-gray-100 text-gray-700 border border-gray-200 focus:ring-blue-500'
+                }`}
+                aria-label={`Show data issues (${dataIssues.length})`}
+                title="Data issues"
+              >
+                Data issues ({dataIssues.length})
+              </button>
+            )}
+            
             {/* Help Button */}
             <button
               onClick={toggleNavigationHelp}
@@ -1064,76 +1972,65 @@ function RadialScanChart() {
 
           {/* Chart SVG */}
           <div className="chart-container flex justify-center items-center min-h-[300px] sm:min-h-[400px] lg:min-h-[500px]">
+            <div className="relative w-full">
+            {/* Large scans: signals drawn here, under the SVG's domain names and click targets */}
+            {drawsOnCanvas && (
+              <canvas
+                ref={canvasRef}
+                className="absolute inset-0 w-full h-full pointer-events-none"
+                aria-hidden="true"
+              />
+            )}
             <svg 
-              ref={svgRef}
+              ref={attachSvg}
               viewBox="0 0 5000 5000" 
-              className="w-full h-auto max-h-[70vh] sm:max-h-[75vh] lg:max-h-[80vh]"
+              className="relative block w-full h-auto max-h-[70vh] sm:max-h-[75vh] lg:max-h-[80vh]"
               xmlns="http://www.w3.org/2000/svg"
               role="img"
               aria-labelledby="chart-title chart-description"
               aria-describedby="chart-instructions"
-              style={{ touchAction: 'none', cursor: 'grab' }}
+              style={{ touchAction: 'none', cursor: drawsOnCanvas && hoveredCanvasSignal >= 0 ? 'pointer' : 'grab' }}
+              onClick={drawsOnCanvas ? handleCanvasClick : undefined}
+              onPointerMove={drawsOnCanvas ? handleCanvasPointerMove : undefined}
+              onPointerLeave={drawsOnCanvas ? () => setHoveredCanvasSignal(-1) : undefined}
             >
           {/* Hidden descriptive text for screen readers */}
           <title id="chart-title">Interactive Radial Signals of Change Chart</title>
           <desc id="chart-description">
-            A radial chart showing education domain signals of change data. The chart displays seven concentric circles representing different education domains, with signal of change labels positioned around the outer perimeter. Each signal of change can belong to multiple domains.
-          </desc>
-          <desc id="chart-instructions">
-            Use your mouse to click on domain labels or signal of change dots to filter and interact with the chart elements.
-          </desc>
-
-          {/* Transform group for zoom and pan - all chart content goes inside this */}
-          <g transform={`translate(${transform.x}, ${transform.y}) scale(${transform.scale})`}>
-
-          {/* Concentric circles for each domain */}
-          {DOMAIN_LABELS.map((domain, index) => {
-            const radius = CONFIG.domainRadii[domain.id];
-            const isSelected = selectedDomain === domain.id;
-            const isOtherSelected = selectedDomain && selectedDomain !== domain.id;
-            
-            // Check if this ring is the inner boundary of the selected domain
-            const selectedDomainIndex = DOMAIN_LABELS.findIndex(d => d.id === selectedDomain);
-            const isInnerBoundaryOfSelected = selectedDomainIndex > 0 && index === selectedDomainIndex - 1;
-            
-            let strokeColor = CONFIG.ringColor;
-            let strokeWidth = CONFIG.ringWidth;
-            let opacity = 1.0;
-            
-            if (selectedScanHit) {
-              // If a signal of change is selected, dim all domain ring borders
-              // (the colored segments will still be highlighted)
-              opacity = 0.3;
-            } else if (isSelected || isInnerBoundaryOfSelected) {
-              strokeColor = '#1f2937'; // Darker gray-800 for selected domain boundaries
-              strokeWidth = 6; // Thicker border for selected domain boundaries
-              opacity = 1.0;
-            } else if (isOtherSelected) {
-              opacity = 0.3;
-            }
-            
-            return (
-              <circle
-                key={domain.id}
-                cx={CONFIG.centerX}
-                cy={CONFIG.centerY}
-                r={radius}
-                fill="none"
-                stroke={strokeColor}
-                strokeWidth={strokeWidth}
-                opacity={opacity}
-                className="transition-all duration-300"
-              />
-            );
-          })}
+            A radial chart showing education domain signals of change data. The chart displays {domains.length} concentric circles representing different education domains, with signal of change labels positioned around the outer perimeter. Each signal of change can belong to multiple domains.
+          </desc>
+          <desc id="chart-instructions">
+            Use your mouse to click on domain labels or signal of change dots to filter and interact with the chart elements.
+            {drawsOnCanvas && ' Signals of change are drawn as an image on this radar; use the search box or the side panel to reach them with the keyboard.'}
+          </desc>
+
+          {/* Transform group for zoom and pan - all chart content goes inside this */}
+          <g ref={zoomGroupRef}>
+
+          {/* Drawn on the canvas instead for large scans, up to the segments */}
+          {!drawsOnCanvas && (
+          <>
+          {/* Concentric circles for each domain */}
+          {radarLayout.rings.map((ring, index) => (
+            <circle
+              key={ring.domainId}
+              cx={radarLayout.centre.x}
+              cy={radarLayout.centre.y}
+              r={ring.radius}
+              fill="none"
+              {...getRingStyle(index)}
+              className="transition-all duration-300"
+            />
+          ))}
 
           {/* Map of Africa in the center */}
           <image
-            href="/graphics/mapofafrica.png"
-            x={CONFIG.centerX - 300}
-            y={CONFIG.centerY - 300}
-            width={600}
-            height={600}
+            href={CONFIG.centreImage}
+            x={radarLayout.centre.image.x}
+            y={radarLayout.centre.image.y}
+            width={radarLayout.centre.image.width}
+            height={radarLayout.centre.image.height}
+            opacity={detailSettings.centreImageOpacity}
             className="transition-all duration-300 cursor-pointer hover:opacity-80"
             role="img"
             aria-label="Map of Africa silhouette"
@@ -1141,9 +2038,7 @@ function RadialScanChart() {
             onClick={(e) => {
               e.stopPropagation();
               setSelectedScanHit(null);
-              setSelectedDomain(null);
-              setSelectedSteepCategory(null);
-              setShowParticipantIdentifiedOnly(false);
+              setFilters(EMPTY_FILTERS);
               setShowDefaultModal(true);
               setShowModalPanel(true);
             }}
@@ -1152,9 +2047,7 @@ function RadialScanChart() {
                 e.preventDefault();
                 e.stopPropagation();
                 setSelectedScanHit(null);
-                setSelectedDomain(null);
-                setSelectedSteepCategory(null);
-                setShowParticipantIdentifiedOnly(false);
+                setFilters(EMPTY_FILTERS);
                 setShowDefaultModal(true);
                 setShowModalPanel(true);
               }
@@ -1162,450 +2055,164 @@ function RadialScanChart() {
             tabIndex={0}
           />
 
+          {/* Zoomed out: how many signals the radar holds, over the map */}
+          {detailSettings.centreCaption && (
+            <text
+              x={radarLayout.centre.x}
+              y={radarLayout.centre.y}
+              textAnchor="middle"
+              fill="#1f2937"
+              stroke="#ffffff"
+              strokeWidth="12"
+              paintOrder="stroke"
+              pointerEvents="none"
+              className="select-none"
+            >
+              <tspan x={radarLayout.centre.x} fontSize="160" fontWeight="bold">{scanHits.length}</tspan>
+              <tspan x={radarLayout.centre.x} dy="100" fontSize="64">signals of change</tspan>
+            </text>
+          )}
+
           {/* Single ring between center and first domain */}
           <circle
-            cx={CONFIG.centerX}
-            cy={CONFIG.centerY}
-            r={225}
+            cx={radarLayout.centre.x}
+            cy={radarLayout.centre.y}
+            r={radarLayout.centre.ringRadius}
             fill="none"
-            stroke={
-              selectedScanHit 
-                ? CONFIG.ringColor  // Keep normal color when scan hit is selected
-                : (selectedDomain === 'teaching-learning' ? '#1f2937' : CONFIG.ringColor)
-            }
-            strokeWidth={
-              selectedScanHit
-                ? CONFIG.ringWidth  // Keep normal width when scan hit is selected
-                : (selectedDomain === 'teaching-learning' ? 6 : CONFIG.ringWidth)
-            }
-            opacity={
-              selectedScanHit 
-                ? 0.3  // Dim all ring borders when scan hit is selected
-                : (selectedDomain && selectedDomain !== 'teaching-learning' ? 0.3 : 1.0)
-            }
+            {...getCentreRingStyle()}
             className="transition-all duration-300"
           />
 
           {/* Radiating segment boundary lines */}
           <g id="segment-boundaries">
-            {scanHits.map((scanHit, index) => {
-              const anglePerHit = 360 / scanHits.length;
-              const segmentStartAngle = (index / scanHits.length) * 360;
-              
-              // Calculate line endpoints from center to outer ring
-              const innerPoint = polarToCartesian(CONFIG.centerX, CONFIG.centerY, 0, segmentStartAngle);
-              const outerPoint = polarToCartesian(CONFIG.centerX, CONFIG.centerY, CONFIG.scanHitRadius, segmentStartAngle);
-              
-              // Determine opacity for radiating lines
-              let lineOpacity = 0.7; // Default opacity
-              if (selectedScanHit) {
-                // If a signal of change is selected, only show the line for that signal of change
-                lineOpacity = (scanHit.id || index) === (selectedScanHit.id || scanHits.findIndex(hit => hit.id === selectedScanHit.id)) ? 0.7 : 0.1;
-              } else if (selectedSteepCategory) {
-                // If a STEEP category is selected, only show lines for signals of change that belong to that category
-                lineOpacity = scanHit.steepCategory === selectedSteepCategory ? 0.7 : 0.1;
-              } else if (showParticipantIdentifiedOnly) {
-                // If participant-identified filter is active, only show participant-identified signals
-                lineOpacity = scanHit.participantIdentified ? 0.7 : 0.1;
-              } else if (selectedDomain) {
-                // If a domain is selected, only show lines for signals of change that belong to that domain
-                lineOpacity = scanHit.domains.includes(selectedDomain) ? 0.7 : 0.1;
-              }
-              
-              return (
-                <line
-                  key={`boundary-${scanHit.id || index}`}
-                  x1={innerPoint.x}
-                  y1={innerPoint.y}
-                  x2={outerPoint.x}
-                  y2={outerPoint.y}
-                  stroke="#e5e7eb"
-                  strokeWidth="3"
-                  opacity={lineOpacity}
-                  className="transition-opacity duration-300"
-                />
-              );
-            })}
+            {boundaryElements}
           </g>
 
           {/* Colored arc segments - show which domains each signal of change belongs to */}
           <g id="domain-segments">
-            {scanHits.map((scanHit, index) => {
-              // Calculate the angle and width for this signal of change
-              const anglePerHit = 360 / scanHits.length;
-              const startAngle = (index / scanHits.length) * 360;
-              const endAngle = startAngle + anglePerHit;
-              
-              // Create a segment for each domain this signal of change belongs to
-              return scanHit.domains.map((domainId) => {
-                // Get the radius for this domain
-                const domainRadius = CONFIG.domainRadii[domainId];
-                
-                // Calculate inner and outer radii for the segment
-                // Find the previous domain radius or use center/intermediate rings
-                let innerRadius;
-                if (domainId === 'teaching-learning') {
-                  innerRadius = 225; // Second intermediate ring
-                } else {
-                  const domainIndex = DOMAIN_ORDER.indexOf(domainId);
-                  const previousDomainId = DOMAIN_ORDER[domainIndex - 1];
-                  innerRadius = CONFIG.domainRadii[previousDomainId];
-                }
-                
-                const outerRadius = domainRadius;
-                
-                // Determine opacity based on selection
-                let opacity = 0.6; // Semi-transparent by default
-                
-                if (selectedScanHit) {
-                  // If a signal of change is selected, only show segments for that specific signal of change
-                  opacity = (scanHit.id || index) === (selectedScanHit.id || scanHits.findIndex(hit => hit.id === selectedScanHit.id)) ? 1.0 : 0.1;
-                } else if (selectedSteepCategory) {
-                  // Show segments for the selected STEEP category at full opacity
-                  opacity = scanHit.steepCategory === selectedSteepCategory ? 1.0 : 0.1;
-                } else if (showParticipantIdentifiedOnly) {
-                  // Show segments for participant-identified signals at full opacity
-                  opacity = scanHit.participantIdentified ? 1.0 : 0.1;
-                } else if (selectedDomain) {
-                  // Show segments for the selected domain ring at full opacity
-                  // Dim segments for other domain rings
-                  opacity = domainId === selectedDomain ? 1.0 : 0.2;
-                }
-                
-                return (
-                  <path
-                    key={`segment-${scanHit.id || index}-${domainId}`}
-                    d={createArcPath(CONFIG.centerX, CONFIG.centerY, innerRadius, outerRadius, startAngle, endAngle)}
-                    fill={getSteepColor(scanHit.steepCategory)}
-                    stroke="#ffffff"
-                    strokeWidth="3"
-                    opacity={opacity}
-                    className="transition-opacity duration-200"
-                  />
-                );
-              });
-            })}
+            {segmentElements}
           </g>
+          </>
+          )}
 
           {/* Invisible clickable rings for each domain band - larger click targets */}
           <g id="domain-clickable-areas">
-            {DOMAIN_LABELS.map((domain, index) => {
-              // Calculate inner and outer radius for this domain band
-              let innerRadius;
-              if (index === 0) {
-                innerRadius = 225; // Start from second intermediate ring
-              } else {
-                const previousDomainId = DOMAIN_LABELS[index - 1].id;
-                innerRadius = CONFIG.domainRadii[previousDomainId];
-              }
-              const outerRadius = CONFIG.domainRadii[domain.id];
-              
-              // Create a full circle annulus path using the helper function
-              const ringPath = createFullAnnulusPath(
-                CONFIG.centerX, 
-                CONFIG.centerY, 
-                innerRadius, 
-                outerRadius
-              );
-              
-              return (
-                <path
-                  key={`clickable-${domain.id}`}
-                  d={ringPath}
-                  fill="transparent"
-                  stroke="none"
-                  fillRule="evenodd"
-                  className="cursor-pointer transition-all duration-200 focus:outline-none"
-                  onClick={(e) => {
+            {radarLayout.domainHitAreas.map(({ domainId, label, d }) => (
+              <path
+                key={`clickable-${domainId}`}
+                d={d}
+                fill="transparent"
+                stroke="none"
+                fillRule="evenodd"
+                className="cursor-pointer transition-all duration-200 focus:outline-none"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDomainClick(domainId);
+                }}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
                     e.stopPropagation();
-                    handleDomainClick(domain.id);
-                  }}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      handleDomainClick(domain.id);
-                    }
-                  }}
-                  tabIndex={0}
-                  role="button"
-                  aria-label={`Select ${domain.label} domain`}
-                  aria-pressed={selectedDomain === domain.id}
-                />
-              );
-            })}
+                    handleDomainClick(domainId);
+                  }
+                }}
+                tabIndex={0}
+                role="button"
+                aria-label={`Select ${label} domain`}
+                aria-pressed={filters.domains.includes(domainId)}
+              />
+            ))}
+          </g>
+
+          {/* Leader lines from crowded labels back to their slots */}
+          <g id="label-leaders">
+            {leaderElements}
           </g>
 
-          {/* Signal of change labels around the outer perimeter */}
+          {/* Signal of change labels around the outer perimeter (markers when zoomed out) */}
           <g id="signal-labels">
-            {scanHits.map((scanHit, index) => {
-              // Step 1: Calculate angle for segment center (not start)
-              const anglePerHit = 360 / scanHits.length;
-              const segmentStartAngle = (index / scanHits.length) * 360;
-              const segmentCenterAngle = segmentStartAngle + (anglePerHit / 2);
-              
-              // Step 2: Use calculated position if available, otherwise use initial estimate
-              const position = labelPositions[index] || 
-                polarToCartesian(
-                  CONFIG.centerX,
-                  CONFIG.centerY,
-                  (CONFIG.scanHitRadius + CONFIG.positioning.desiredGap) - CONFIG.positioning.baseOffset,
-                  segmentCenterAngle
-                );
-              
-              // Step 3: Handle text rotation to keep text right-side-up
-              let rotation;
-              
-              // Calculate base rotation (perpendicular to radius)
-              rotation = segmentCenterAngle + 90;
-              
-              // Normalize rotation to keep text right-side-up (between -90 and 90 degrees)
-              while (rotation > 90) {
-                rotation -= 180;
-              }
-              while (rotation < -90) {
-                rotation += 180;
-              }
-              
-              // Step 4: Truncate title to 50-55 characters and trim whitespace
-              const cleanTitle = scanHit.title.trim(); // Remove leading/trailing spaces
-              const truncatedTitle = cleanTitle.length > 55 
-                ? cleanTitle.substring(0, 52) + "..."
-                : cleanTitle;
-              
-              // Determine opacity and styling based on selection and focus state
-              let opacity = 1.0;
-              let fillColor = "#4B5563";
-              
-              if (selectedScanHit) {
-                // If a signal of change is selected, dim all other signals of change
-                opacity = (scanHit.id || index) === (selectedScanHit.id || scanHits.findIndex(hit => hit.id === selectedScanHit.id)) ? 1.0 : 0.2;
-              } else if (selectedSteepCategory) {
-                // If a STEEP category is selected, only show labels for signals of change that belong to that category
-                opacity = scanHit.steepCategory === selectedSteepCategory ? 1.0 : 0.2;
-              } else if (showParticipantIdentifiedOnly) {
-                // If participant-identified filter is active, only show participant-identified signals
-                opacity = scanHit.participantIdentified ? 1.0 : 0.2;
-              } else if (selectedDomain) {
-                // If a domain is selected, only show labels for signals of change that belong to that domain
-                opacity = scanHit.domains.includes(selectedDomain) ? 1.0 : 0.2;
-              }
-              
-              // Check if this signal of change is focused
-              const isFocused = focusedScanHit === (scanHit.id || index);
-              if (isFocused) {
-                fillColor = "#1D4ED8"; // Blue color for focused signal of change
-                opacity = 1.0;
-              }
-              
-              // Determine star position based on text rotation
-              // Text on right side (0° to 180°): star at END (so it's on the outside)
-              // Text on left side (180° to 360°): star at BEGINNING (so it's on the outside)
-              const isRightSide = segmentCenterAngle >= 0 && segmentCenterAngle <= 180;
-              const showStar = scanHit.participantIdentified;
-              
-              return (
-                <text
-                  ref={(el) => textRefs.current[`text-${index}`] = el}
-                  key={`scan-hit-${scanHit.id || index}`}
-                  x={position.x}
-                  y={position.y}
-                  fontSize="40"
-                  fill={fillColor}
-                  fontWeight="normal"
-                  textAnchor="middle" // Back to middle since we're positioning precisely
-                  dominantBaseline="middle"
-                  opacity={opacity}
-                  transform={`rotate(${rotation}, ${position.x}, ${position.y})`}
-                  className="cursor-pointer transition-all duration-200 select-none hover:fill-gray-800 hover:opacity-80 focus:outline-none focus:fill-blue-600"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleScanHitClick(scanHit, index);
-                  }}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      handleScanHitClick(scanHit, index);
-                    }
-                  }}
-                  tabIndex={0}
-                  role="button"
-                  aria-label={`Signal of change: ${truncatedTitle}${scanHit.domains.length > 1 ? ` (belongs to ${scanHit.domains.length} domains)` : ''}`}
-                  aria-pressed={isFocused}
-                >
-                  {showStar && !isRightSide && (
-                    <tspan fontSize="48" fill="#FFD700" dx="0" dy="0">
-                      ⭐
-                    </tspan>
-                  )}
-                  <tspan dx={showStar && !isRightSide ? "8" : "0"}>
-                    {truncatedTitle}
-                  </tspan>
-                  {showStar && isRightSide && (
-                    <tspan fontSize="48" fill="#FFD700" dx="8" dy="0">
-                      ⭐
-                    </tspan>
-                  )}
-                </text>
-              );
-            })}
+            {signalMarkElements}
           </g>
 
 
-          {/* Domain labels positioned between rings at the bottom center (180 degrees) - Rendered last to appear on top */}
-          {DOMAIN_LABELS.map((domain, index) => {
-            // Calculate the midpoint between the previous ring and this domain's ring
-            let previousRadius;
-            if (index === 0) {
-              // First label: between second intermediate ring (225px) and first domain ring (300px)
-              previousRadius = 225;
-            } else {
-              // Use the previous domain's radius
-              const previousDomainId = DOMAIN_LABELS[index - 1].id;
-              previousRadius = CONFIG.domainRadii[previousDomainId];
-            }
-            
-            const currentRadius = CONFIG.domainRadii[domain.id];
-            
-            // Position label at the midpoint between previous ring and current ring
-            const labelRadius = previousRadius + (currentRadius - previousRadius) / 2;
-            
-            // Default position at bottom center (180 degrees)
-            let position = polarToCartesian(
-              CONFIG.centerX, 
-              CONFIG.centerY, 
-              labelRadius, 
-              180
-            );
-            
-            // If a scan hit is selected and this domain is associated with it, move label near the scan hit's segment
-            if (selectedScanHit && selectedScanHit.domains && selectedScanHit.domains.includes(domain.id)) {
-              // Find the scan hit's index to get its angle
-              const scanHitIndex = scanHits.findIndex(hit => hit.id === selectedScanHit.id);
-              if (scanHitIndex !== -1) {
-                const anglePerHit = 360 / scanHits.length;
-                const segmentStartAngle = (scanHitIndex / scanHits.length) * 360;
-                const segmentCenterAngle = segmentStartAngle + (anglePerHit / 2);
-                
-                // Position label near the scan hit's segment but offset slightly to avoid overlapping colored segments
-                // Use a small offset angle to position the label adjacent to the segment
-                const offsetAngle = segmentCenterAngle + (segmentCenterAngle > 180 ? -15 : 15); // 15 degree offset
-                
-                position = polarToCartesian(
-                  CONFIG.centerX,
-                  CONFIG.centerY,
-                  labelRadius,
-                  offsetAngle
-                );
-              }
-            }
-            
-            
-            // Split long labels into multiple lines
-            const splitLabel = domain.label.split(' ');
-            const midPoint = Math.ceil(splitLabel.length / 2);
-            const line1 = splitLabel.slice(0, midPoint).join(' ');
-            const line2 = splitLabel.slice(midPoint).join(' ');
-            
+          {/* Domain labels between rings - Rendered last to appear on top */}
+          {radarLayout.domainLabels.map(({ domainId, label, lines, fontSize, placements }) => {
             // Determine visual state based on selection
-            const isSelected = selectedDomain === domain.id;
-            const isOtherSelected = selectedDomain && selectedDomain !== domain.id;
+            const isSelected = filters.domains.includes(domainId);
+            const isOtherSelected = filters.domains.length > 0 && !isSelected;
             
             let opacity = 1.0;
             
             if (selectedScanHit) {
               // If a signal of change is selected, check if this domain is associated with it
-              const isAssociatedDomain = selectedScanHit.domains && selectedScanHit.domains.includes(domain.id);
+              const isAssociatedDomain = selectedScanHit.domains && selectedScanHit.domains.includes(domainId);
               opacity = isAssociatedDomain ? 1.0 : 0.2;
-            } else if (selectedSteepCategory) {
-              // If a STEEP category is selected, check if this domain has signals in that category
-              const hasCategorySignals = scanHits.some(hit => 
-                hit.steepCategory === selectedSteepCategory && hit.domains.includes(domain.id)
-              );
-              opacity = hasCategorySignals ? 1.0 : 0.2;
-            } else if (showParticipantIdentifiedOnly) {
-              // If participant filter is active, check if this domain has participant-identified signals
-              const hasParticipantSignals = scanHits.some(hit => 
-                hit.participantIdentified && hit.domains.includes(domain.id)
-              );
-              opacity = hasParticipantSignals ? 1.0 : 0.2;
             } else if (isSelected) {
               opacity = 1.0;
             } else if (isOtherSelected) {
               opacity = 0.3;
+            } else if (highlightedDomains) {
+              // Otherwise keep domains that contain any highlighted signal
+              opacity = highlightedDomains.has(domainId) ? 1.0 : 0.2;
             }
             
             return (
-              <g key={`label-${domain.id}`}>
-                <text
-                  x={position.x}
-                  y={position.y - 3}
-                  fontSize="42"
-                  fill="#374151"
-                  textAnchor="middle"
-                  opacity={opacity}
-                  fontWeight="bold"
-                  className="cursor-pointer transition-all duration-500 ease-in-out select-none hover:fill-gray-800 focus:outline-none focus:fill-blue-600"
-                  onMouseEnter={() => setHoveredDomain(domain.id)}
-                  onMouseLeave={() => setHoveredDomain(null)}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleDomainClick(domain.id);
-                  }}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                      e.preventDefault();
-                      e.stopPropagation();
-                      handleDomainClick(domain.id);
-                    }
-                  }}
-                  tabIndex={0}
-                  role="button"
-                  aria-label={`${domain.label} domain`}
-                  aria-pressed={selectedDomain === domain.id}
-                >
-                  {line1}
-                </text>
-                {line2 && (
-                  <text
-                    x={position.x}
-                    y={position.y + 46}
-                    fontSize="42"
-                    fill="#374151"
-                    textAnchor="middle"
-                    opacity={opacity}
-                    fontWeight="bold"
-                    className="cursor-pointer transition-all duration-500 ease-in-out select-none hover:fill-gray-800"
-                    onMouseEnter={() => setHoveredDomain(domain.id)}
-                    onMouseLeave={() => setHoveredDomain(null)}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleDomainClick(domain.id);
-                    }}
-                    aria-hidden="true"
-                  >
-                    {line2}
-                  </text>
-                )}
+              <g key={`label-${domainId}`}>
+                {/* Repeats are for the eye only; keyboard and screen readers get the first */}
+                {placements.map((placement, placementIndex) => (
+                  <g key={placementIndex} transform={placement.rotation ? `rotate(${placement.rotation}, ${placement.x}, ${placement.y})` : undefined}>
+                    {lines.map((line, lineIndex) => (
+                      <text
+                        key={lineIndex}
+                        x={placement.x}
+                        y={lineIndex === 0 ? placement.y - fontSize * 0.07 : placement.y + fontSize * 1.1}
+                        fontSize={fontSize}
+                        fill="#374151"
+                        textAnchor="middle"
+                        opacity={opacity}
+                        fontWeight="bold"
+                        className={`cursor-pointer transition-all duration-500 ease-in-out select-none hover:fill-gray-800${lineIndex === 0 ? ' focus:outline-none focus:fill-blue-600' : ''}`}
+                        onMouseEnter={() => setHoveredDomain(domainId)}
+                        onMouseLeave={() => setHoveredDomain(null)}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDomainClick(domainId);
+                        }}
+                        {...(placementIndex === 0 && lineIndex === 0 ? {
+                          onKeyDown: (e) => {
+                            if (e.key === 'Enter' || e.key === ' ') {
+                              e.preventDefault();
+                              e.stopPropagation();
+                              handleDomainClick(domainId);
+                            }
+                          },
+                          tabIndex: 0,
+                          role: 'button',
+                          'aria-label': `${label} domain`,
+                          'aria-pressed': isSelected,
+                        } : { 'aria-hidden': 'true' })}
+                      >
+                        {line}
+                      </text>
+                    ))}
+                  </g>
+                ))}
               </g>
             );
           })}
 
           {/* Clickable center circle to show About modal - rendered last to be on top */}
           <circle
-            cx={CONFIG.centerX}
-            cy={CONFIG.centerY}
-            r={225}
+            cx={radarLayout.centre.x}
+            cy={radarLayout.centre.y}
+            r={radarLayout.centre.ringRadius}
             fill="transparent"
             stroke="none"
             className="cursor-pointer transition-all duration-200 focus:outline-none"
             onClick={(e) => {
               e.stopPropagation();
               setSelectedScanHit(null);
-              setSelectedDomain(null);
-              setSelectedSteepCategory(null);
-              setShowParticipantIdentifiedOnly(false);
+              setFilters(EMPTY_FILTERS);
               setShowDefaultModal(true);
               setShowModalPanel(true);
             }}
@@ -1614,9 +2221,7 @@ function RadialScanChart() {
                 e.preventDefault();
                 e.stopPropagation();
                 setSelectedScanHit(null);
-                setSelectedDomain(null);
-                setSelectedSteepCategory(null);
-                setShowParticipantIdentifiedOnly(false);
+                setFilters(EMPTY_FILTERS);
                 setShowDefaultModal(true);
                 setShowModalPanel(true);
               }
@@ -1629,6 +2234,7 @@ function RadialScanChart() {
           {/* End of transform group */}
           </g>
             </svg>
+            </div>
           </div>
         </div>
         
@@ -1636,41 +2242,42 @@ function RadialScanChart() {
 
       {/* Status Messages with proper ARIA live regions */}
       <div className="px-2 sm:px-4 lg:px-8 pb-4 sm:pb-6 lg:pb-8">
-        {selectedDomainLabel && (
+        {isFiltered && (
           <div 
             className="mb-4 p-3 sm:p-4 bg-blue-100 rounded-md text-center text-xs sm:text-sm text-blue-800 font-medium"
             role="status"
             aria-live="polite"
-            aria-label={`Domain filter applied`}
-          >
-            Showing signals of change for: <strong>{selectedDomainLabel}</strong>
-          </div>
-        )}
-        
-        {selectedSteepCategory && (
-          <div 
-            className="mb-4 p-3 sm:p-4 bg-purple-100 rounded-md text-center text-xs sm:text-sm text-purple-800 font-medium"
-            role="status"
-            aria-live="polite"
-            aria-label={`STEEP category filter applied`}
+            aria-label={`Filters applied`}
           >
-            Showing signals of change for: <strong>{selectedSteepCategory}</strong> category
+            Showing <strong>{filteredScanHits.length}</strong> signal{filteredScanHits.length === 1 ? '' : 's'} of change for:{' '}
+            {filterClauses.map((clause, index) => (
+              <span key={clause}>
+                {index > 0 && (filters.match === 'any' ? ' or ' : ' and ')}
+                <strong>{clause}</strong>
+              </span>
+            ))}
           </div>
         )}
         
-        {showParticipantIdentifiedOnly && (
+        {searchMatchIndices && !selectedScanHit && (
           <div 
-            className="mb-4 p-3 sm:p-4 bg-yellow-100 rounded-md text-center text-xs sm:text-sm text-yellow-800 font-medium"
+            className="mb-4 p-3 sm:p-4 bg-gray-100 rounded-md text-center text-xs sm:text-sm text-gray-800 font-medium"
             role="status"
             aria-live="polite"
-            aria-label={`Participant-identified filter applied`}
+            aria-label={`Search applied`}
           >
-            Showing <strong>participant-identified</strong> signals of change only
+            Highlighting <strong>{searchResults.length}</strong> signal{searchResults.length === 1 ? '' : 's'} of change matching &ldquo;{searchQuery.trim()}&rdquo;
           </div>
         )}
         
         <div className="min-h-[3rem] sm:min-h-[3.5rem] flex items-center justify-center transition-all duration-200">
-          {hoveredDomainLabel && !selectedDomain && !selectedSteepCategory && !showParticipantIdentifiedOnly && (
+          {/* Canvas labels and markers have no tooltip of their own */}
+          {drawsOnCanvas && scanHits[hoveredCanvasSignal] && (
+            <div className="p-3 sm:p-4 bg-gray-200 rounded-md text-center text-xs sm:text-sm text-gray-700 font-medium">
+              {hasLabels ? '' : `${hoveredCanvasSignal + 1}. `}{scanHits[hoveredCanvasSignal].title.trim()}
+            </div>
+          )}
+          {hoveredDomainLabel && !isFiltered && !(drawsOnCanvas && scanHits[hoveredCanvasSignal]) && (
             <div 
               className="p-3 sm:p-4 bg-gray-200 rounded-md text-center text-xs sm:text-sm text-gray-700 font-medium"
               role="status"
@@ -1684,7 +2291,7 @@ function RadialScanChart() {
       </div>
 
       {/* Information Modal - Side Panel */}
-      {showModalPanel && (selectedScanHit || selectedDomain || selectedSteepCategory || showParticipantIdentifiedOnly || showDefaultModal) && (
+      {showModalPanel && (selectedScanHit || isFiltered || showDefaultModal) && (
         <div className="fixed inset-0 z-50 pointer-events-none">
           {/* Modal Content - Full screen on mobile, right panel on desktop */}
           <div 
@@ -1707,9 +2314,11 @@ function RadialScanChart() {
             <div className="flex items-start justify-between p-4 sm:p-6 border-b border-gray-200">
               <h2 className="text-lg sm:text-xl lg:text-2xl font-semibold text-gray-900 pr-4 sm:pr-8 leading-tight">
                 {selectedScanHit ? selectedScanHit.title : 
-                 selectedDomain ? DOMAIN_LABELS.find(d => d.id === selectedDomain)?.label :
+                 selectedDomain ? domains.find(d => d.id === selectedDomain)?.label :
                  selectedSteepCategory ? `${selectedSteepCategory} Category` :
                  showParticipantIdentifiedOnly ? 'Participant-Identified Signals' :
+                 selectedHorizonLabel ? `${selectedHorizonLabel} Horizon` :
+                 isFiltered ? 'Filtered Signals' :
                  'About the Futures of Education in Africa'}
               </h2>
               <button
@@ -1725,6 +2334,53 @@ function RadialScanChart() {
 
             {/* Scrollable Content */}
             <div className="p-4 sm:p-6 overflow-y-auto h-[calc(100vh-80px)] sm:h-[calc(100vh-100px)] lg:h-[calc(100vh-120px)]">
+              {/* Active Filters */}
+              {!selectedScanHit && isFiltered && (
+                <div className="mb-6 p-3 bg-gray-50 rounded-lg border border-gray-200">
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <h3 className="text-sm font-semibold text-gray-700">
+                      Active filters ({filteredScanHits.length} of {scanHits.length} signals)
+                    </h3>
+                    <button
+                      onClick={clearSelection}
+                      className="text-xs text-blue-600 hover:text-blue-800 underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                    >
+                      Clear all
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {filterChips.map(chip => (
+                      <button
+                        key={`${chip.facet}-${chip.value}`}
+                        onClick={() => removeFilterChip(chip)}
+                        className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        aria-label={`Remove ${chip.label} filter`}
+                      >
+                        {chip.label}
+                        <span aria-hidden="true">&times;</span>
+                      </button>
+                    ))}
+                  </div>
+                  {filterClauses.length > 1 && (
+                    <div className="mt-3 flex items-center gap-2 text-xs text-gray-600" role="group" aria-label="Combine filters">
+                      <span>Signals matching</span>
+                      {[['all', 'all filters'], ['any', 'any filter']].map(([match, label]) => (
+                        <button
+                          key={match}
+                          onClick={() => handleFilterMatchChange(match)}
+                          className={`px-2 py-1 rounded border transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                            filters.match === match ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-100'
+                          }`}
+                          aria-pressed={filters.match === match}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
               {selectedScanHit ? (
                 // Signal of Change Details Content
                 <>
@@ -1734,7 +2390,7 @@ function RadialScanChart() {
                       <h3 className="text-lg font-semibold text-gray-700 mb-3">Associated Domains</h3>
                       <div className="flex flex-wrap gap-2">
                         {selectedScanHit.domains.map((domainId) => {
-                          const domainLabel = DOMAIN_LABELS.find(d => d.id === domainId)?.label;
+                          const domainLabel = domains.find(d => d.id === domainId)?.label;
                           return (
                             <span
                               key={domainId}
@@ -1748,16 +2404,16 @@ function RadialScanChart() {
                     </div>
                   )}
 
-                  {/* STEEP Category */}
+                  {/* Category */}
                   {selectedScanHit.steepCategory && (
                     <div className="mb-6">
-                      <h3 className="text-lg font-semibold text-gray-700 mb-2">STEEP Category</h3>
+                      <h3 className="text-lg font-semibold text-gray-700 mb-2">{categoryModel.name} Category</h3>
                       <span
                         className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium border"
                         style={{ 
-                          backgroundColor: getSteepColor(selectedScanHit.steepCategory) + '20',
-                          color: getSteepColor(selectedScanHit.steepCategory),
-                          borderColor: getSteepColor(selectedScanHit.steepCategory)
+                          backgroundColor: getSteepColor(selectedScanHit.steepCategory, categoryModel.colors) + '20',
+                          color: getSteepColor(selectedScanHit.steepCategory, categoryModel.colors),
+                          borderColor: getSteepColor(selectedScanHit.steepCategory, categoryModel.colors)
                         }}
                       >
                         {selectedScanHit.steepCategory}
@@ -1765,6 +2421,21 @@ function RadialScanChart() {
                     </div>
                   )}
 
+                  {/* Time Horizon */}
+                  {selectedScanHit.horizon && (
+                    <div className="mb-6">
+                      <h3 className="text-lg font-semibold text-gray-700 mb-2">Time Horizon</h3>
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-green-100 text-green-800">
+                          {getHorizon(selectedScanHit.horizon).label}
+                        </span>
+                        {selectedScanHit.date && String(selectedScanHit.date).trim() !== getHorizon(selectedScanHit.horizon).label && (
+                          <span className="text-sm text-gray-600">{selectedScanHit.date}</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Source */}
                   {selectedScanHit.source && (
                     <div className="mb-6">
@@ -1793,7 +2464,7 @@ function RadialScanChart() {
                   )}
                 </>
               ) : selectedSteepCategory ? (
-                // STEEP Category Information Content
+                // Category Information Content
                 (() => {
                   const categoryScanHits = scanHits.filter(hit => hit.steepCategory === selectedSteepCategory);
                   const domainBreakdown = categoryScanHits.reduce((acc, hit) => {
@@ -1803,6 +2474,7 @@ function RadialScanChart() {
                     return acc;
                   }, {});
                   const participantCount = categoryScanHits.filter(hit => hit.participantIdentified).length;
+                  const categoryDescription = categoryModel.categories.find(c => c.label === selectedSteepCategory)?.description;
 
                   return (
                     <>
@@ -1812,12 +2484,14 @@ function RadialScanChart() {
                         <div 
                           className="p-4 rounded-lg border-l-4"
                           style={{ 
-                            backgroundColor: getSteepColor(selectedSteepCategory) + '20',
-                            borderColor: getSteepColor(selectedSteepCategory)
+                            backgroundColor: getSteepColor(selectedSteepCategory, categoryModel.colors) + '20',
+                            borderColor: getSteepColor(selectedSteepCategory, categoryModel.colors)
                           }}
                         >
                           <p className="text-gray-700 leading-relaxed">
-                            This category represents <strong>{selectedSteepCategory}</strong> signals of change in the futures of African education.
+                            {categoryDescription || (
+                              <>This category represents <strong>{selectedSteepCategory}</strong> signals of change in the futures of African education.</>
+                            )}
                           </p>
                         </div>
                       </div>
@@ -1857,7 +2531,7 @@ function RadialScanChart() {
                             {Object.entries(domainBreakdown)
                               .sort(([, a], [, b]) => b - a)
                               .map(([domainId, count]) => {
-                                const domainLabel = DOMAIN_LABELS.find(d => d.id === domainId)?.label;
+                                const domainLabel = domains.find(d => d.id === domainId)?.label;
                                 return (
                                   <div key={domainId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                                     <span className="text-gray-700 font-medium">{domainLabel}</span>
@@ -1876,7 +2550,7 @@ function RadialScanChart() {
                 (() => {
                   const participantScanHits = scanHits.filter(hit => hit.participantIdentified);
                   const steepBreakdown = participantScanHits.reduce((acc, hit) => {
-                    const category = hit.steepCategory || 'Unknown';
+                    const category = hit.steepCategory;
                     acc[category] = (acc[category] || 0) + 1;
                     return acc;
                   }, {});
@@ -1917,19 +2591,20 @@ function RadialScanChart() {
                         </div>
                       </div>
 
-                      {/* STEEP Category Breakdown */}
+                      {/* Category Breakdown */}
                       {Object.keys(steepBreakdown).length > 0 && (
                         <div className="mb-6">
-                          <h3 className="text-lg font-semibold text-gray-700 mb-3">STEEP Category Distribution</h3>
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">{categoryModel.name} Category Distribution</h3>
                           <div className="space-y-2">
-                            {Object.entries(steepBreakdown)
-                              .sort(([, a], [, b]) => b - a)
+                            {categoryModel.order
+                              .filter(category => steepBreakdown[category])
+                              .map(category => [category, steepBreakdown[category]])
                               .map(([category, count]) => (
                                 <div key={category} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                                   <div className="flex items-center gap-3">
                                     <div 
                                       className="w-4 h-4 rounded-full"
-                                      style={{ backgroundColor: getSteepColor(category) }}
+                                      style={{ backgroundColor: getSteepColor(category, categoryModel.colors) }}
                                     />
                                     <span className="text-gray-700 font-medium">{category}</span>
                                   </div>
@@ -1948,7 +2623,95 @@ function RadialScanChart() {
                             {Object.entries(domainBreakdown)
                               .sort(([, a], [, b]) => b - a)
                               .map(([domainId, count]) => {
-                                const domainLabel = DOMAIN_LABELS.find(d => d.id === domainId)?.label;
+                                const domainLabel = domains.find(d => d.id === domainId)?.label;
+                                return (
+                                  <div key={domainId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                    <span className="text-gray-700 font-medium">{domainLabel}</span>
+                                    <span className="text-gray-600 font-semibold">{count}</span>
+                                  </div>
+                                );
+                              })}
+                          </div>
+                        </div>
+                      )}
+                    </>
+                  );
+                })()
+              ) : selectedHorizon ? (
+                // Time Horizon Content
+                (() => {
+                  const horizon = getHorizon(selectedHorizon);
+                  const horizonScanHits = scanHits.filter(hit => hit.horizon === selectedHorizon);
+                  const steepBreakdown = horizonScanHits.reduce((acc, hit) => {
+                    const category = hit.steepCategory;
+                    acc[category] = (acc[category] || 0) + 1;
+                    return acc;
+                  }, {});
+                  const domainBreakdown = horizonScanHits.reduce((acc, hit) => {
+                    hit.domains.forEach(domainId => {
+                      acc[domainId] = (acc[domainId] || 0) + 1;
+                    });
+                    return acc;
+                  }, {});
+                  const participantCount = horizonScanHits.filter(hit => hit.participantIdentified).length;
+
+                  return (
+                    <>
+                      {/* Overview */}
+                      <div className="mb-6">
+                        <h3 className="text-lg font-semibold text-gray-700 mb-3">Overview</h3>
+                        <div className="bg-green-50 p-4 rounded-lg border-l-4 border-green-400">
+                          <p className="text-gray-700 leading-relaxed">
+                            Signals of change expected to play out in the <strong>{horizon.label.toLowerCase()}</strong>
+                            {horizon.description ? ` (${horizon.description.toLowerCase()})` : ''}.
+                          </p>
+                        </div>
+                      </div>
+
+                      {/* Signals Count */}
+                      <div className="mb-6">
+                        <h3 className="text-lg font-semibold text-gray-700 mb-3">Signals of Change</h3>
+                        <div className="bg-blue-50 p-4 rounded-lg">
+                          <p className="text-2xl font-bold text-blue-800">{horizonScanHits.length}</p>
+                          <p className="text-sm text-blue-600">
+                            signals in this horizon
+                            {participantCount > 0 && ` (${participantCount} participant-identified)`}
+                          </p>
+                        </div>
+                      </div>
+
+                      {/* Category Breakdown */}
+                      {Object.keys(steepBreakdown).length > 0 && (
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">{categoryModel.name} Category Distribution</h3>
+                          <div className="space-y-2">
+                            {categoryModel.order
+                              .filter(category => steepBreakdown[category])
+                              .map(category => (
+                                <div key={category} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                  <div className="flex items-center gap-3">
+                                    <div 
+                                      className="w-4 h-4 rounded-full"
+                                      style={{ backgroundColor: getSteepColor(category, categoryModel.colors) }}
+                                    />
+                                    <span className="text-gray-700 font-medium">{category}</span>
+                                  </div>
+                                  <span className="text-gray-600 font-semibold">{steepBreakdown[category]}</span>
+                                </div>
+                              ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Domain Distribution */}
+                      {Object.keys(domainBreakdown).length > 0 && (
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">Domain Distribution</h3>
+                          <div className="space-y-2">
+                            {Object.entries(domainBreakdown)
+                              .sort(([, a], [, b]) => b - a)
+                              .map(([domainId, count]) => {
+                                const domainLabel = domains.find(d => d.id === domainId)?.label;
                                 return (
                                   <div key={domainId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                                     <span className="text-gray-700 font-medium">{domainLabel}</span>
@@ -1965,10 +2728,10 @@ function RadialScanChart() {
               ) : selectedDomain ? (
                 // Domain Information Content
                 (() => {
-                  const domain = DOMAIN_LABELS.find(d => d.id === selectedDomain);
+                  const domain = domains.find(d => d.id === selectedDomain);
                   const domainScanHits = scanHits.filter(hit => hit.domains.includes(selectedDomain));
                   const steepBreakdown = domainScanHits.reduce((acc, hit) => {
-                    const category = hit.steepCategory || 'Unknown';
+                    const category = hit.steepCategory;
                     acc[category] = (acc[category] || 0) + 1;
                     return acc;
                   }, {});
@@ -2002,27 +2765,141 @@ function RadialScanChart() {
                         </div>
                       </div>
 
-                      {/* STEEP Category Breakdown */}
+                      {/* Category Breakdown */}
                       {Object.keys(steepBreakdown).length > 0 && (
                         <div className="mb-6">
-                          <h3 className="text-lg font-semibold text-gray-700 mb-3">STEEP Category Distribution</h3>
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">{categoryModel.name} Category Distribution</h3>
                           <div className="space-y-2">
-                            {Object.entries(steepBreakdown).map(([category, count]) => (
-                              <div key={category} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                                <div className="flex items-center gap-3">
-                                  <div 
-                                    className="w-4 h-4 rounded-full"
-                                    style={{ backgroundColor: getSteepColor(category) }}
-                                  />
-                                  <span className="text-gray-700 font-medium">{category}</span>
+                            {categoryModel.order
+                              .filter(category => steepBreakdown[category])
+                              .map(category => [category, steepBreakdown[category]])
+                              .map(([category, count]) => (
+                                <div key={category} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                  <div className="flex items-center gap-3">
+                                    <div 
+                                      className="w-4 h-4 rounded-full"
+                                      style={{ backgroundColor: getSteepColor(category, categoryModel.colors) }}
+                                    />
+                                    <span className="text-gray-700 font-medium">{category}</span>
+                                  </div>
+                                  <span className="text-gray-600 font-semibold">{count}</span>
                                 </div>
-                                <span className="text-gray-600 font-semibold">{count}</span>
-                              </div>
-                            ))}
+                              ))}
+                          </div>
+                        </div>
+                      )}
+
+                    </>
+                  );
+                })()
+              ) : isFiltered ? (
+                // Combined Filter Content
+                (() => {
+                  const steepBreakdown = filteredScanHits.reduce((acc, hit) => {
+                    acc[hit.steepCategory] = (acc[hit.steepCategory] || 0) + 1;
+                    return acc;
+                  }, {});
+                  const horizonBreakdown = filteredScanHits.reduce((acc, hit) => {
+                    acc[hit.horizon] = (acc[hit.horizon] || 0) + 1;
+                    return acc;
+                  }, {});
+                  const domainBreakdown = filteredScanHits.reduce((acc, hit) => {
+                    hit.domains.forEach(domainId => {
+                      acc[domainId] = (acc[domainId] || 0) + 1;
+                    });
+                    return acc;
+                  }, {});
+
+                  return (
+                    <>
+                      {/* Category Breakdown */}
+                      {Object.keys(steepBreakdown).length > 0 && (
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">{categoryModel.name} Category Distribution</h3>
+                          <div className="space-y-2">
+                            {categoryModel.order
+                              .filter(category => steepBreakdown[category])
+                              .map(category => (
+                                <div key={category} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                  <div className="flex items-center gap-3">
+                                    <div 
+                                      className="w-4 h-4 rounded-full"
+                                      style={{ backgroundColor: getSteepColor(category, categoryModel.colors) }}
+                                    />
+                                    <span className="text-gray-700 font-medium">{category}</span>
+                                  </div>
+                                  <span className="text-gray-600 font-semibold">{steepBreakdown[category]}</span>
+                                </div>
+                              ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Horizon Breakdown */}
+                      {Object.keys(horizonBreakdown).length > 0 && (
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">Horizon Distribution</h3>
+                          <div className="space-y-2">
+                            {HORIZON_ORDER
+                              .filter(horizonId => horizonBreakdown[horizonId])
+                              .map(horizonId => (
+                                <div key={horizonId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                  <span className="text-gray-700 font-medium">{getHorizon(horizonId).label}</span>
+                                  <span className="text-gray-600 font-semibold">{horizonBreakdown[horizonId]}</span>
+                                </div>
+                              ))}
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Domain Distribution */}
+                      {Object.keys(domainBreakdown).length > 0 && (
+                        <div className="mb-6">
+                          <h3 className="text-lg font-semibold text-gray-700 mb-3">Domain Distribution</h3>
+                          <div className="space-y-2">
+                            {Object.entries(domainBreakdown)
+                              .sort(([, a], [, b]) => b - a)
+                              .map(([domainId, count]) => {
+                                const domainLabel = domains.find(d => d.id === domainId)?.label;
+                                return (
+                                  <div key={domainId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                                    <span className="text-gray-700 font-medium">{domainLabel}</span>
+                                    <span className="text-gray-600 font-semibold">{count}</span>
+                                  </div>
+                                );
+                              })}
                           </div>
                         </div>
                       )}
 
+                      {/* Matching Signals */}
+                      <div className="mb-6">
+                        <h3 className="text-lg font-semibold text-gray-700 mb-3">Signals of Change</h3>
+                        {filteredScanHits.length === 0 ? (
+                          <p className="text-sm text-gray-500">No signals of change match these filters.</p>
+                        ) : (
+                          <ul className="space-y-1">
+                            {filteredScanHits.map(hit => (
+                              <li key={hit.id || hit.title}>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleScanHitClick(hit, scanHitIndices.get(hit));
+                                  }}
+                                  className="w-full text-left p-2 rounded-lg text-sm text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 flex items-center gap-2"
+                                >
+                                  <span
+                                    className="w-3 h-3 rounded-full flex-shrink-0"
+                                    style={{ backgroundColor: getSteepColor(hit.steepCategory, categoryModel.colors) }}
+                                    aria-hidden="true"
+                                  />
+                                  {hit.title}
+                                </button>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
                     </>
                   );
                 })()
@@ -2037,7 +2914,7 @@ function RadialScanChart() {
                   <div className="mb-6">
                     <h3 className="text-lg font-semibold text-gray-700 mb-3">Overview</h3>
                     <p className="text-gray-600 leading-relaxed mb-4">
-                      This interactive radar showcases signals of change identified by young people that could greatly impact the future of education in Africa. In 2025, fifteen UNICEF Youth Foresight Fellows from around the world identified emerging issues they believe could transform how we learn, teach, and grow. Their collective insights reveal signals of change across seven vital education domains, explored through Social, Technological, Economic, Environmental, and Political and Legal (STEEP) perspectives.
+                      This interactive radar showcases signals of change identified by young people that could greatly impact the future of education in Africa. In 2025, fifteen UNICEF Youth Foresight Fellows from around the world identified emerging issues they believe could transform how we learn, teach, and grow. Their collective insights reveal signals of change across {domains.length} education {domains.length === 1 ? 'domain' : 'domains'} ({LIST_FORMAT.format(domains.map(domain => domain.label))}), explored through {LIST_FORMAT.format(categoryModel.order.filter(label => label !== UNCATEGORISED.label))}{categoryModel.name && ` (${categoryModel.name})`} perspectives.
                     </p>
                   </div>
 
@@ -2055,7 +2932,7 @@ function RadialScanChart() {
                     <ul className="text-gray-600 space-y-2">
                       <li className="flex items-start gap-2">
                         <span className="text-blue-600 font-bold">•</span>
-                        <span>Refer to STEEP categories to understand the nature of each signal of change</span>
+                        <span>Refer to the {categoryModel.legendTitle} to understand the nature of each signal of change</span>
                       </li>
                       <li className="flex items-start gap-2">
                         <span className="text-blue-600 font-bold">•</span>
@@ -2089,6 +2966,16 @@ function RadialScanChart() {
         </div>
       )}
 
+      {/* Data Issues Modal - admin mode only */}
+      {isAdminMode && showDataIssues && (
+        <DataIssuesPanel
+          issues={dataIssues}
+          recordCount={recordCount}
+          sourceLabel={getDataSourceLabel()}
+          onClose={() => setShowDataIssues(false)}
+        />
+      )}
+
       {/* Navigation Help Modal */}
       {showNavigationHelp && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-2 sm:p-4">
@@ -2234,6 +3121,21 @@ function RadialScanChart() {
           </div>
         </div>
       )}
+
+      {/* Print Report - the only thing printed while it is open */}
+      {showReport && (
+        <PrintReport
+          title="UNICEF Youth Foresight Fellows"
+          subtitle="Interactive Signal of Change Radar"
+          summary={reportSummary}
+          sourceLabel={getDataSourceLabel()}
+          radarUrl={reportRadar.url}
+          radarError={reportRadar.error}
+          sections={reportSections}
+          categoryModel={categoryModel}
+          onClose={closeReport}
+        />
+      )}
       
     </div>
   );
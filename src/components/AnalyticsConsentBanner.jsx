@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Analytics Consent Banner Component
+ *
+ * Asks visitors whether usage statistics may be collected, the first time
+ * they open a build with analytics enabled. Afterwards a small "Usage
+ * statistics" button in the corner lets them change their answer.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// React imports
+import { useState } from 'react';
+
+// Hook imports
+import { useAnalyticsConsent } from '../hooks/useAnalytics';
+
+/**
+ * Analytics Consent Banner
+ * @returns {JSX.Element|null} The banner, the settings button, or nothing when analytics is off
+ */
+function AnalyticsConsentBanner() {
+  const { consent, isEnabled, grant, deny } = useAnalyticsConsent();
+  const [isReopened, setIsReopened] = useState(false);
+
+  if (!isEnabled) return null;
+
+  if (consent && !isReopened) {
+    return (
+      <button
+        onClick={() => setIsReopened(true)}
+        className="fixed bottom-2 right-2 z-40 text-xs text-gray-500 bg-white/90 border border-gray-200 rounded px-2 py-1 hover:text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 print:hidden"
+      >
+        Usage statistics: {consent === 'granted' ? 'on' : 'off'}
+      </button>
+    );
+  }
+
+  /**
+   * Records the answer and closes the banner
+   * @param {Function} answer - grant or deny
+   */
+  const choose = (answer) => {
+    answer();
+    setIsReopened(false);
+  };
+
+  return (
+    <div
+      className="fixed inset-x-0 bottom-0 z-50 bg-white border-t border-gray-200 shadow-lg print:hidden"
+      role="dialog"
+      aria-labelledby="analytics-consent-title"
+    >
+      <div className="max-w-4xl mx-auto flex flex-col sm:flex-row sm:items-center gap-3 px-4 py-3 text-sm text-gray-700">
+        <p className="flex-1">
+          <span id="analytics-consent-title" className="font-semibold">Help us improve the radar.</span>{' '}
+          May we collect usage statistics: which domains and signals are opened, how long loading takes and any errors?
+          They include the page address and browser type, but no names or contact details.
+        </p>
+        <div className="flex gap-2 shrink-0">
+          <button
+            onClick={() => choose(deny)}
+            className="px-3 py-1.5 rounded-lg border border-gray-300 bg-white hover:bg-gray-100 text-gray-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            No thanks
+          </button>
+          <button
+            onClick={() => choose(grant)}
+            className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-700 text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            Allow
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsConsentBanner;
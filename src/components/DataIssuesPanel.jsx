@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Data Issues Panel Component
+ * 
+ * Admin-only modal listing every problem found by the data validation pass,
+ * with an export to JSON so curators can fix the source sheet before a launch.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// React imports
+import { useCallback, useMemo } from 'react';
+
+// Utility imports
+import { datedFilename, downloadBlob } from '../utils/fileDownload';
+
+/**
+ * Data Issues Panel
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.issues - Issues from validateRecords
+ * @param {number} props.recordCount - Number of records that were validated
+ * @param {string} props.sourceLabel - Name of the data source the records came from
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @returns {JSX.Element} The rendered panel
+ */
+function DataIssuesPanel({ issues, recordCount, sourceLabel, onClose }) {
+  const counts = useMemo(() => ({
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    records: new Set(issues.map(issue => issue.row)).size,
+  }), [issues]);
+
+  const handleExport = useCallback(() => {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      source: sourceLabel,
+      recordCount,
+      issueCount: issues.length,
+      issues,
+    };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, datedFilename('data-issues', 'json'));
+  }, [issues, recordCount, sourceLabel]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-2 sm:p-4">
+      <div
+        className="modal-panel bg-white rounded-lg shadow-2xl max-w-full sm:max-w-4xl w-full max-h-[95vh] sm:max-h-[90vh] overflow-hidden"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="data-issues-title"
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between p-4 sm:p-6 border-b border-gray-200">
+          <div>
+            <h2 id="data-issues-title" className="text-xl sm:text-2xl font-bold text-gray-900">Data Issues</h2>
+            <p className="text-xs sm:text-sm text-gray-600 mt-1">
+              {issues.length === 0
+                ? `All ${recordCount} records from ${sourceLabel} passed validation.`
+                : `${counts.errors} errors and ${counts.warnings} warnings in ${counts.records} of ${recordCount} records from ${sourceLabel}.`}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={handleExport}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              Export JSON
+            </button>
+            <button
+              onClick={onClose}
+              className="flex-shrink-0 p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Close data issues"
+            >
+              <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        {/* Issue table */}
+        <div className="p-4 sm:p-6 overflow-auto max-h-[calc(95vh-100px)] sm:max-h-[calc(90vh-120px)]">
+          {issues.length > 0 && (
+            <table className="w-full text-left text-xs sm:text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-700">
+                  <th className="py-2 pr-3 font-semibold">Row</th>
+                  <th className="py-2 pr-3 font-semibold">Record ID</th>
+                  <th className="py-2 pr-3 font-semibold">Field</th>
+                  <th className="py-2 font-semibold">Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {issues.map((issue, index) => (
+                  <tr key={`${issue.row}-${issue.field}-${index}`} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-3 text-gray-500">{issue.row}</td>
+                    <td className="py-2 pr-3 font-mono text-gray-700">{issue.recordId ?? '—'}</td>
+                    <td className="py-2 pr-3 text-gray-700">{issue.column}</td>
+                    <td className="py-2">
+                      <span
+                        className={`inline-flex items-center px-2 py-0.5 mr-2 rounded-full text-xs font-medium ${
+                          issue.severity === 'error' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}
+                      >
+                        {issue.severity}
+                      </span>
+                      <span className="text-gray-600">{issue.problem}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DataIssuesPanel;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Data Refresh Bar Component
+ *
+ * Slim line under the header showing when the data was last loaded, with a
+ * "Refresh data" button, an auto-refresh interval and a short summary of what
+ * changed in the latest refresh.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Auto-refresh choices in minutes; 0 turns it off
+ */
+const AUTO_REFRESH_OPTIONS = [0, 1, 5, 15, 30];
+
+/**
+ * Titles of removed signals named in the summary before it says "and N more"
+ */
+const MAX_REMOVED_TITLES = 3;
+
+/**
+ * Describes a refresh result, e.g. "2 new, 1 edited and 1 removed (Signal A)"
+ * @param {Object} changes - From diffScanHits
+ * @returns {string} Summary sentence
+ */
+const describeChanges = ({ added, changed, removed, count }) => {
+  if (count === 0) return 'No changes since the last update.';
+
+  const parts = [
+    added.size > 0 && `${added.size} new`,
+    changed.size > 0 && `${changed.size} edited`,
+    removed.length > 0 && `${removed.length} removed`,
+  ].filter(Boolean);
+  const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+
+  const removedTitles = removed.slice(0, MAX_REMOVED_TITLES).map(hit => hit.title).join('; ');
+  const moreRemoved = removed.length > MAX_REMOVED_TITLES ? ` and ${removed.length - MAX_REMOVED_TITLES} more` : '';
+
+  const removedNote = removed.length > 0 ? ` (removed: ${removedTitles}${moreRemoved})` : '';
+  const highlightNote = added.size > 0 || changed.size > 0 ? ' New signals are highlighted in green, edited ones in amber.' : '';
+
+  return `Updated: ${list} signal${count === 1 ? '' : 's'}${removedNote}.${highlightNote}`;
+};
+
+/**
+ * Data Refresh Bar
+ * @param {Object} props - Component props
+ * @param {number|null} props.lastLoadedAt - When the shown data was loaded (ms since epoch)
+ * @param {boolean} props.isRefreshing - True while data is being fetched
+ * @param {Function} props.onRefresh - Called to fetch the data again
+ * @param {number} props.autoRefreshMinutes - Current auto-refresh interval; 0 when off
+ * @param {Function} props.onAutoRefreshChange - Called with the new interval in minutes
+ * @param {Object|null} props.changes - Result of the latest refresh (from diffScanHits), shown briefly
+ * @returns {JSX.Element} The rendered bar
+ */
+function DataRefreshBar({ lastLoadedAt, isRefreshing, onRefresh, autoRefreshMinutes, onAutoRefreshChange, changes }) {
+  // Keep a configured interval that isn't one of the standard choices selectable
+  const intervalOptions = AUTO_REFRESH_OPTIONS.includes(autoRefreshMinutes)
+    ? AUTO_REFRESH_OPTIONS
+    : [...AUTO_REFRESH_OPTIONS, autoRefreshMinutes].sort((a, b) => a - b);
+  const loadedTime = lastLoadedAt
+    ? new Date(lastLoadedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  return (
+    <div className="mx-2 sm:mx-4 lg:mx-8 flex flex-wrap items-center justify-end gap-x-3 gap-y-1 text-xs text-gray-500 print:hidden">
+      {changes && (
+        <p className="mr-auto text-gray-700" role="status" aria-live="polite">
+          {describeChanges(changes)}
+        </p>
+      )}
+
+      {loadedTime && <span>Data loaded at {loadedTime}</span>}
+
+      <button
+        onClick={onRefresh}
+        disabled={isRefreshing}
+        className="flex items-center gap-1 px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-100 disabled:opacity-60 text-gray-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <svg className={`w-3.5 h-3.5 ${isRefreshing ? 'animate-spin' : ''}`} fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+        </svg>
+        {isRefreshing ? 'Refreshing…' : 'Refresh data'}
+      </button>
+
+      <label className="flex items-center gap-1">
+        Auto-refresh
+        <select
+          value={autoRefreshMinutes}
+          onChange={(e) => onAutoRefreshChange(Number(e.target.value))}
+          className="border border-gray-300 rounded px-1 py-0.5 bg-white text-gray-700"
+        >
+          {intervalOptions.map(minutes => (
+            <option key={minutes} value={minutes}>
+              {minutes === 0 ? 'Off' : `Every ${minutes} min`}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default DataRefreshBar;
@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Export Menu Component
+ *
+ * Button beside the zoom controls that opens a small menu for downloading the
+ * radar as SVG or PNG, or the signals currently shown as CSV or JSON. The
+ * chart does the actual export; this component only collects the options and
+ * reports progress and errors.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// React imports
+import { useEffect, useRef, useState } from 'react';
+
+// Utility imports
+import { PNG_DPI_OPTIONS, PNG_PRINT_WIDTH_INCHES } from '../utils/chartExport';
+
+/**
+ * Formats offered, images first
+ */
+const FORMATS = [
+  ['png', 'PNG image'],
+  ['svg', 'SVG vector'],
+  ['csv', 'CSV table'],
+  ['json', 'JSON data'],
+];
+
+/**
+ * Export Menu
+ * @param {Object} props - Component props
+ * @param {Function} props.onExport - Called with { format, dpi, includeTitle, includeLegend, table }; may return a Promise
+ * @param {number} props.signalCount - Number of signals a data export would contain
+ * @returns {JSX.Element} The rendered button and menu
+ */
+function ExportMenu({ onExport, signalCount }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('png');
+  const [dpi, setDpi] = useState(300);
+  const [includeTitle, setIncludeTitle] = useState(true);
+  const [includeLegend, setIncludeLegend] = useState(true);
+  const [table, setTable] = useState('signals');
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleMouseDown = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    return () => document.removeEventListener('mousedown', handleMouseDown);
+  }, [isOpen]);
+
+  const isImage = format === 'png' || format === 'svg';
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      await onExport({ format, dpi, includeTitle, includeLegend, table });
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Export failed:', error);
+      setExportError(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef} onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={() => setIsOpen(prev => !prev)}
+        className="h-7 sm:h-8 lg:h-9 px-2 sm:px-3 flex items-center gap-1 bg-white hover:bg-gray-100 text-gray-700 rounded-lg shadow-md border border-gray-200 transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
+        aria-haspopup="dialog"
+        aria-expanded={isOpen}
+        title="Export chart"
+      >
+        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M7 10l5 5 5-5M12 15V3" />
+        </svg>
+        <span className="hidden sm:inline">Export</span>
+      </button>
+
+      {isOpen && (
+        <div
+          className="absolute right-0 mt-2 w-64 bg-white rounded-lg shadow-xl border border-gray-200 p-4 text-sm text-gray-700 space-y-3"
+          role="dialog"
+          aria-label="Export chart"
+        >
+          <fieldset>
+            <legend className="font-semibold mb-1">Format</legend>
+            <div className="grid grid-cols-2 gap-x-4 gap-y-1">
+              {FORMATS.map(([value, label]) => (
+                <label key={value} className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={value}
+                    checked={format === value}
+                    onChange={() => setFormat(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          {format === 'png' && (
+            <label className="block">
+              <span className="font-semibold">Resolution</span>
+              <select
+                value={dpi}
+                onChange={(e) => setDpi(Number(e.target.value))}
+                className="mt-1 block w-full border border-gray-300 rounded px-2 py-1"
+              >
+                {PNG_DPI_OPTIONS.map(option => (
+                  <option key={option} value={option}>
+                    {option} DPI ({Math.round(option * PNG_PRINT_WIDTH_INCHES)} px wide)
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          {format === 'csv' && (
+            <label className="block">
+              <span className="font-semibold">Table</span>
+              <select
+                value={table}
+                onChange={(e) => setTable(e.target.value)}
+                className="mt-1 block w-full border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="signals">Signals</option>
+                <option value="breakdowns">Breakdowns (counts per category, horizon and domain)</option>
+              </select>
+            </label>
+          )}
+
+          {isImage && (
+            <div className="space-y-1">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={includeTitle} onChange={(e) => setIncludeTitle(e.target.checked)} />
+                Include title
+              </label>
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={includeLegend} onChange={(e) => setIncludeLegend(e.target.checked)} />
+                Include legend
+              </label>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {isImage
+              ? 'The export shows the whole radar with the current filters applied.'
+              : `The export contains the ${signalCount} signal${signalCount === 1 ? '' : 's'} currently shown${format === 'json' ? ', with their breakdowns' : ''}.`}
+          </p>
+
+          {exportError && (
+            <p className="text-xs text-red-600" role="alert">{exportError}</p>
+          )}
+
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-3 py-2 rounded-lg transition-colors duration-200 font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            {isExporting ? 'Exporting…' : `Download ${format.toUpperCase()}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Load Error Screen Component
+ *
+ * Full-page message shown when the signals could not be loaded and there is
+ * no earlier data to fall back on. Explains the kind of failure (see
+ * src/utils/loadErrors.js) and retries the load in place.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Failures that usually fix themselves, shown as a warning rather than an error
+ */
+const TRANSIENT_KINDS = ['offline', 'rateLimited'];
+
+/**
+ * Load Error Screen
+ * @param {Object} props - Component props
+ * @param {Object} props.error - Described error from describeLoadError
+ * @param {boolean} props.isRetrying - True while the load runs again
+ * @param {Function} props.onRetry - Called to run the data load again
+ * @returns {JSX.Element} The rendered screen
+ */
+function LoadErrorScreen({ error, isRetrying, onRetry }) {
+  const isTransient = TRANSIENT_KINDS.includes(error.kind);
+
+  return (
+    <div className="flex items-center justify-center h-screen">
+      <div className="text-center max-w-md mx-auto p-6">
+        {/* Error icon */}
+        <div className={`mx-auto flex items-center justify-center h-16 w-16 rounded-full mb-6 ${isTransient ? 'bg-amber-100' : 'bg-red-100'}`}>
+          <svg
+            className={`h-8 w-8 ${isTransient ? 'text-amber-600' : 'text-red-600'}`}
+            fill="none"
+            viewBox="0 0 24 24"
+            stroke="currentColor"
+            aria-hidden="true"
+          >
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.732-.833-2.5 0L4.268 18.5c-.77.833.192 2.5 1.732 2.5z"
+            />
+          </svg>
+        </div>
+
+        {/* Error messages */}
+        <h2 className={`text-xl font-semibold mb-2 ${isTransient ? 'text-amber-800' : 'text-red-800'}`}>{error.title}</h2>
+        <p className={`mb-4 ${isTransient ? 'text-amber-700' : 'text-red-600'}`}>{error.message}</p>
+
+        {/* Retry button */}
+        <button
+          onClick={onRetry}
+          disabled={isRetrying}
+          className="bg-red-600 hover:bg-red-700 disabled:opacity-60 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
+        >
+          {isRetrying ? 'Retrying…' : 'Retry Loading'}
+        </button>
+
+        {/* Guidance for this kind of failure */}
+        <ul className="text-sm text-gray-500 mt-4 space-y-1">
+          {error.hints.map(hint => (
+            <li key={hint}>{hint}</li>
+          ))}
+        </ul>
+
+        {/* Raw error for whoever maintains the deployment */}
+        {error.details !== error.message && (
+          <details className="text-xs text-gray-400 mt-4 text-left">
+            <summary className="cursor-pointer text-center">Technical details</summary>
+            <p className="mt-2 break-words">{error.details}</p>
+          </details>
+        )}
+
+        {/* Accessibility */}
+        <div className="sr-only" role="alert" aria-live="assertive">
+          {error.title}. {error.message}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LoadErrorScreen;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Print Report Component
+ *
+ * Full-page brief of the scan for printing or saving as PDF from the browser's
+ * print dialog: the radar on the first page, then one section per domain
+ * listing its signals with description, category, time horizon and source.
+ * On screen it covers the chart with a toolbar; in print only the report
+ * itself is output (see the print rules in index.css).
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Configuration imports
+import { UNCATEGORISED } from '../config/categories';
+import { getHorizon } from '../config/horizons';
+
+/**
+ * One signal entry in a domain section
+ * @param {Object} props - Component props
+ * @param {Object} props.scanHit - Signal of change
+ * @param {string} props.categoryName - Category scheme name (e.g. "STEEP")
+ * @param {string} props.color - Category colour
+ * @returns {JSX.Element} The rendered entry
+ */
+function ReportSignal({ scanHit, categoryName, color }) {
+  const horizonLabel = getHorizon(scanHit.horizon).label;
+  const showDate = scanHit.date && String(scanHit.date).trim() !== horizonLabel;
+
+  return (
+    <article className="py-3 border-b border-gray-200 break-inside-avoid">
+      <h3 className="font-semibold text-gray-900">
+        {scanHit.title}
+        {scanHit.participantIdentified && (
+          <span className="ml-1 text-yellow-500" title="Participant-identified signal">★</span>
+        )}
+      </h3>
+      <dl className="mt-1 flex flex-wrap gap-x-6 gap-y-1 text-xs text-gray-600">
+        <div className="flex items-center gap-1">
+          <dt className="font-medium">{categoryName}:</dt>
+          <dd className="flex items-center gap-1">
+            <span className="inline-block w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />
+            {scanHit.steepCategory}
+          </dd>
+        </div>
+        <div className="flex items-center gap-1">
+          <dt className="font-medium">Horizon:</dt>
+          <dd>{horizonLabel}{showDate && ` (${scanHit.date})`}</dd>
+        </div>
+      </dl>
+      {scanHit.description && (
+        <p className="mt-2 text-sm text-gray-700 leading-relaxed whitespace-pre-wrap">{scanHit.description}</p>
+      )}
+      {scanHit.source && (
+        <p className="mt-1 text-xs text-gray-500 break-all">
+          Source: <a href={scanHit.source} className="text-blue-600 underline">{scanHit.source}</a>
+        </p>
+      )}
+    </article>
+  );
+}
+
+/**
+ * Print Report
+ * @param {Object} props - Component props
+ * @param {string} props.title - Report title
+ * @param {string} props.subtitle - Line under the title
+ * @param {string} props.summary - What the report covers, e.g. "All 141 signals of change"
+ * @param {string} props.sourceLabel - Name of the data source
+ * @param {string|null} props.radarUrl - Radar image URL, or null while it is being prepared
+ * @param {string|null} props.radarError - Why the radar image could not be prepared
+ * @param {Array<Object>} props.sections - { id, label, description, scanHits } per domain
+ * @param {Object} props.categoryModel - Active category scheme (from buildCategoryModel)
+ * @param {Function} props.onClose - Called when the report is closed
+ * @returns {JSX.Element} The rendered report
+ */
+function PrintReport({ title, subtitle, summary, sourceLabel, radarUrl, radarError, sections, categoryModel, onClose }) {
+  const generatedOn = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return (
+    <div
+      className="print-report fixed inset-0 z-[60] overflow-y-auto bg-gray-100 print:static print:overflow-visible print:bg-white"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="print-report-title"
+    >
+      {/* Toolbar - screen only */}
+      <div className="sticky top-0 z-10 flex items-center justify-between gap-2 px-4 py-3 bg-white border-b border-gray-200 shadow-sm print:hidden">
+        <p className="text-sm text-gray-600">Use your browser&rsquo;s print dialog to print the report or save it as PDF.</p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => window.print()}
+            disabled={!radarUrl && !radarError}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-60 text-white px-3 py-2 rounded-lg transition-colors duration-200 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            Print / Save as PDF
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-shrink-0 p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-full transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Close report"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto my-6 bg-white shadow-md p-8 print:max-w-none print:m-0 print:p-0 print:shadow-none">
+        {/* Page one: the radar */}
+        <section>
+          <header className="text-center mb-4">
+            <h1 id="print-report-title" className="text-3xl font-bold text-blue-600">{title}</h1>
+            <p className="text-xl font-bold text-gray-600">{subtitle}</p>
+            <p className="mt-2 text-sm text-gray-600">{summary}</p>
+            <p className="text-xs text-gray-400">Data from {sourceLabel} · Generated {generatedOn}</p>
+          </header>
+          {radarUrl ? (
+            <img src={radarUrl} alt={`Signal of change radar: ${summary}`} className="w-full max-h-[85vh] object-contain print:max-h-[8in]" />
+          ) : radarError ? (
+            <p className="py-24 text-center text-red-600" role="alert">The radar could not be added to the report: {radarError}</p>
+          ) : (
+            <p className="py-24 text-center text-gray-500" role="status">Preparing radar…</p>
+          )}
+        </section>
+
+        {/* One section per domain */}
+        {sections.map(({ id, label, description, scanHits }) => (
+          <section key={id} className="mt-10 break-before-page print:mt-0">
+            <h2 className="text-2xl font-bold text-gray-900 border-b-2 border-blue-600 pb-1">{label}</h2>
+            <p className="mt-1 text-sm text-gray-500">
+              {scanHits.length} signal{scanHits.length === 1 ? '' : 's'} of change
+              {description && ` · ${description}`}
+            </p>
+            {scanHits.map(scanHit => (
+              <ReportSignal
+                key={scanHit.id ?? scanHit.title}
+                scanHit={scanHit}
+                categoryName={categoryModel.name}
+                color={categoryModel.colors[scanHit.steepCategory] || UNCATEGORISED.color}
+              />
+            ))}
+          </section>
+        ))}
+
+        {sections.length === 0 && (
+          <p className="mt-10 text-center text-gray-500">No signals of change match the current filters.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PrintReport;
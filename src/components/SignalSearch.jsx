@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Signal Search Component
+ *
+ * Search box over the radar with a dropdown of matching signals. The query is
+ * owned by the chart so it can dim non-matching signals; picking a result hands
+ * the signal back to the chart to select and zoom to it.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// React imports
+import { useState } from 'react';
+
+/**
+ * Most results listed at once; the radar still highlights every match
+ */
+const MAX_RESULTS = 8;
+
+/**
+ * Signal Search
+ * @param {Object} props - Component props
+ * @param {string} props.query - Current search query
+ * @param {Function} props.onQueryChange - Called with the new query text
+ * @param {Array<Object>} props.results - Matches from searchSignals
+ * @param {Function} props.onSelect - Called with (scanHit, index) when a result is chosen
+ * @returns {JSX.Element} The rendered search box
+ */
+function SignalSearch({ query, onQueryChange, results, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const visibleResults = results.slice(0, MAX_RESULTS);
+  const showResults = isOpen && query.trim().length > 0;
+
+  const selectResult = (result) => {
+    onSelect(result.scanHit, result.index);
+    setIsOpen(false);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => Math.min(prev + 1, visibleResults.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (event.key === 'Enter' && visibleResults[activeIndex]) {
+      event.preventDefault();
+      selectResult(visibleResults[activeIndex]);
+    } else if (event.key === 'Escape') {
+      // Keep ESC from also closing the side panel
+      event.nativeEvent.stopImmediatePropagation();
+      onQueryChange('');
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-48 sm:w-64 lg:w-80" onClick={(e) => e.stopPropagation()}>
+      <label htmlFor="signal-search" className="sr-only">Search signals of change</label>
+      <div className="flex items-center bg-white rounded-lg shadow-md border border-gray-200">
+        <svg className="w-4 h-4 ml-2 text-gray-400 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-4.35-4.35M11 18a7 7 0 100-14 7 7 0 000 14z" />
+        </svg>
+        <input
+          id="signal-search"
+          type="search"
+          value={query}
+          onChange={(e) => {
+            onQueryChange(e.target.value);
+            setActiveIndex(0);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search signals…"
+          className="w-full px-2 py-1 sm:py-2 text-xs sm:text-sm text-gray-700 bg-transparent rounded-lg focus:outline-none"
+          role="combobox"
+          aria-expanded={showResults}
+          aria-controls="signal-search-results"
+          aria-autocomplete="list"
+          autoComplete="off"
+        />
+      </div>
+
+      {showResults && (
+        <div
+          id="signal-search-results"
+          className="absolute left-0 right-0 mt-1 bg-white rounded-lg shadow-lg border border-gray-200 max-h-80 overflow-y-auto"
+          role="listbox"
+          aria-label="Matching signals of change"
+        >
+          <p className="px-3 py-2 text-xs text-gray-500 border-b border-gray-100" role="status" aria-live="polite">
+            {results.length === 0
+              ? 'No matching signals'
+              : `${results.length} matching signal${results.length === 1 ? '' : 's'}${results.length > MAX_RESULTS ? ` (showing ${MAX_RESULTS})` : ''}`}
+          </p>
+          {visibleResults.map((result, position) => (
+            <button
+              key={result.scanHit.id || result.index}
+              type="button"
+              // Select on mousedown so the input's blur doesn't close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                selectResult(result);
+              }}
+              onMouseEnter={() => setActiveIndex(position)}
+              className={`block w-full text-left px-3 py-2 text-xs sm:text-sm focus:outline-none ${
+                position === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+              }`}
+              role="option"
+              aria-selected={position === activeIndex}
+            >
+              <span className="block text-gray-800 font-medium">{result.scanHit.title}</span>
+              {result.snippet && (
+                <span className="block text-gray-500 mt-0.5">{result.snippet}</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SignalSearch;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Stale Data Banner Component
+ *
+ * Notice above the radar while it shows the dataset saved on a previous
+ * visit, or the data from before a refresh that failed: first while fresh
+ * data is being fetched, then with a retry button if the data source could
+ * not be reached (the chart also retries by itself
+ * when the device comes back online).
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Stale Data Banner
+ * @param {Object} props - Component props
+ * @param {number} props.savedAt - When the shown data was loaded (ms since epoch)
+ * @param {boolean} props.isRefreshing - True while fresh data is being fetched
+ * @param {string|null} props.refreshError - Why the last refresh failed
+ * @param {Function} props.onRetry - Called to fetch fresh data again
+ * @returns {JSX.Element} The rendered banner
+ */
+function StaleDataBanner({ savedAt, isRefreshing, refreshError, onRetry }) {
+  const savedOn = new Date(savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div
+      className={`mx-2 sm:mx-4 lg:mx-8 flex flex-wrap items-center justify-between gap-2 px-4 py-2 rounded-lg border text-sm print:hidden ${
+        refreshError ? 'bg-amber-50 border-amber-300 text-amber-900' : 'bg-blue-50 border-blue-200 text-blue-900'
+      }`}
+      role="status"
+      aria-live="polite"
+    >
+      <p>
+        <span className="font-semibold">Showing data from {savedOn}.</span>{' '}
+        {isRefreshing
+          ? 'Checking for updates…'
+          : !navigator.onLine
+            ? 'You are offline; the latest data will load when the connection is back.'
+            : `The latest data could not be loaded${refreshError ? ` (${refreshError})` : ''}.`}
+      </p>
+      {!isRefreshing && (
+        <button
+          onClick={onRetry}
+          className="bg-white hover:bg-gray-100 text-gray-700 border border-gray-300 px-3 py-1 rounded-lg transition-colors duration-200 text-xs sm:text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default StaleDataBanner;
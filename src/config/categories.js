@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Category Scheme Configuration
+ * 
+ * Defines the category taxonomy (STEEP by default) used to colour, order and
+ * filter signals. Built-in schemes live in categorySchemes.json; pick one with
+ * VITE_CATEGORY_SCHEME, or supply a custom scheme as JSON in
+ * VITE_CATEGORY_SCHEME_JSON:
+ * 
+ *   { "name": "Custom", "legendTitle": "Themes", "categories": [{ "label": "Health", "color": "#00A6FB" }] }
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import CATEGORY_SCHEMES from './categorySchemes.json';
+
+/**
+ * Category given to values the active scheme does not recognise
+ */
+export const UNCATEGORISED = {
+  label: 'Uncategorised',
+  color: '#374151',
+  description: 'Signals whose category is empty or not part of the active scheme.',
+};
+
+/**
+ * Creates a category scheme error with a consistent name for the UI to recognise
+ * @param {string} message - Error message
+ * @returns {Error} Error named CategorySchemeError
+ */
+const createCategorySchemeError = (message) => {
+  const error = new Error(message);
+  error.name = 'CategorySchemeError';
+  return error;
+};
+
+/**
+ * Gets the configured category scheme
+ * @returns {Object} Scheme with name, legendTitle and categories [{ label, color, description?, aliases? }]
+ * @throws {Error} If the scheme is unknown or the custom JSON is invalid
+ */
+export const getCategoryScheme = () => {
+  const customJson = import.meta.env.VITE_CATEGORY_SCHEME_JSON;
+  let scheme;
+
+  if (customJson) {
+    try {
+      scheme = JSON.parse(customJson);
+    } catch (error) {
+      throw createCategorySchemeError(`VITE_CATEGORY_SCHEME_JSON is not valid JSON: ${error.message}`);
+    }
+  } else {
+    const key = (import.meta.env.VITE_CATEGORY_SCHEME || 'steep').toLowerCase();
+    scheme = CATEGORY_SCHEMES[key];
+
+    if (!scheme) {
+      throw createCategorySchemeError(
+        `Unknown category scheme "${key}". Expected one of: ${Object.keys(CATEGORY_SCHEMES).join(', ')}`
+      );
+    }
+  }
+
+  if (!Array.isArray(scheme?.categories) || scheme.categories.length === 0) {
+    throw createCategorySchemeError('A category scheme needs a non-empty "categories" array');
+  }
+
+  return scheme;
+};
+
+/**
+ * Derives ordering, colours and name lookups from a category scheme
+ * The Uncategorised entry is always last.
+ * @param {Object|null} scheme - Category scheme, or null before it has loaded
+ * @returns {Object} { name, legendTitle, categories, order, colors, nameMapping }
+ */
+export const buildCategoryModel = (scheme) => {
+  const categories = [...(scheme?.categories || []), UNCATEGORISED];
+  const colors = {};
+  const nameMapping = {};
+
+  categories.forEach(category => {
+    colors[category.label] = category.color;
+
+    // Data values are matched case-insensitively against the label and aliases
+    [category.label, ...(category.aliases || [])].forEach(name => {
+      nameMapping[String(name).trim().toLowerCase()] = category.label;
+    });
+  });
+
+  return {
+    name: scheme?.name || '',
+    legendTitle: scheme?.legendTitle || `${scheme?.name || ''} Categories`.trim(),
+    categories,
+    order: categories.map(category => category.label),
+    colors,
+    nameMapping,
+  };
+};
+
+/**
+ * Resolves a raw category value to its label in the scheme
+ * @param {string} value - Raw category value from the data
+ * @param {Object} nameMapping - Lowercased name to label (from buildCategoryModel)
+ * @returns {string} Category label, or the Uncategorised label if not recognised
+ */
+export const resolveCategory = (value, nameMapping) => {
+  if (!value) return UNCATEGORISED.label;
+  return nameMapping[String(value).trim().toLowerCase()] || UNCATEGORISED.label;
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Domain Configuration
+ * 
+ * Loads the list of domain rings (innermost first) and derives the ring
+ * geometry from however many domains are defined. The list comes from
+ * domains.json by default, or from a JSON/CSV file or a second AITable
+ * datasheet selected with VITE_DOMAINS_SOURCE.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import DEFAULT_DOMAINS from './domains.json';
+import { createDataSource } from '../dataSources';
+
+/**
+ * Default URL for each external domain source
+ */
+const DOMAIN_SOURCE_URLS = {
+  aitable: '/api/domains',
+  json: '/data/domains.json',
+  csv: '/data/domains.csv',
+};
+
+/**
+ * Column names read from external domain rows (camelCase keys are also accepted)
+ */
+const DOMAIN_COLUMNS = {
+  id: 'ID',
+  label: 'Label',
+  description: 'Description',
+  futuresContext: 'Futures Context',
+  aliases: 'Aliases',
+  order: 'Order',
+};
+
+/**
+ * Domain source configuration from environment variables
+ * 'config' uses the bundled domains.json.
+ */
+export const DOMAINS_CONFIG = {
+  type: (import.meta.env.VITE_DOMAINS_SOURCE || 'config').toLowerCase(),
+  url: import.meta.env.VITE_DOMAINS_URL || undefined,
+};
+
+/**
+ * Turns a label into a stable id, e.g. "Equity & Access" -> "equity-access"
+ * @param {string} label - Domain label
+ * @returns {string} Slug id
+ */
+const slugify = (label) => label.toLowerCase().replace(/&/g, ' ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Normalises a domain row from any source into { id, label, description, futuresContext, aliases }
+ * @param {Object} row - Domain row keyed by camelCase property or column name
+ * @returns {Object|null} Domain, or null if the row has no label
+ */
+const toDomain = (row) => {
+  const read = (key) => row[key] ?? row[DOMAIN_COLUMNS[key]];
+  const label = String(read('label') || '').trim();
+  if (!label) return null;
+
+  const aliases = read('aliases') || [];
+
+  return {
+    id: String(read('id') || slugify(label)),
+    label,
+    description: read('description') || '',
+    futuresContext: read('futuresContext') || '',
+    aliases: Array.isArray(aliases) ? aliases : String(aliases).split('|').map(a => a.trim()).filter(Boolean),
+    order: Number(read('order')),
+  };
+};
+
+/**
+ * Loads the configured domain list, innermost ring first
+ * @param {Object} config - Domain source configuration
+ * @param {string} config.type - 'config' (bundled domains.json), 'aitable', 'json' or 'csv'
+ * @param {string} [config.url] - Overrides the source's default URL
+ * @param {Object} [options] - Load options
+ * @param {AbortSignal} [options.signal] - Stops loading (and retrying) when aborted
+ * @returns {Promise<Array<Object>>} Domains with id, label, description, futuresContext and aliases
+ * @throws {Error} If the domain source fails or defines no domains
+ */
+export const loadDomains = async ({ type, url } = DOMAINS_CONFIG, { signal } = {}) => {
+  const rows = type === 'config'
+    ? DEFAULT_DOMAINS
+    : await createDataSource({ type, url: url || DOMAIN_SOURCE_URLS[type] }).fetchRecords({ signal });
+
+  const domains = rows.map(toDomain).filter(Boolean);
+
+  if (domains.length === 0) {
+    throw new Error('No domains are defined. Check src/config/domains.json or the configured domain source.');
+  }
+
+  // Explicit Order column wins; rows without one keep their original position
+  return domains
+    .map((domain, index) => ({ ...domain, order: Number.isFinite(domain.order) ? domain.order : index }))
+    .sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Derives ring order and name lookups from the domain list
+ * (ring geometry is computed by computeRadarLayout in src/utils/radarLayout.js)
+ * @param {Array<Object>} domains - Domains, innermost first
+ * @returns {Object} { order, nameMapping }
+ */
+export const buildDomainModel = (domains) => {
+  const nameMapping = {};
+
+  domains.forEach((domain) => {
+    // Data values are matched case-insensitively against the label, id and aliases
+    [domain.label, domain.id, ...(domain.aliases || [])].forEach(name => {
+      nameMapping[String(name).trim().toLowerCase()] = domain.id;
+    });
+  });
+
+  return {
+    order: domains.map(domain => domain.id),
+    nameMapping,
+  };
+};
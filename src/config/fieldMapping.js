@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Field Mapping Configuration
+ * 
+ * Maps each signal of change property to the data source column it is read from.
+ * Defaults come from fieldMapping.json; individual columns can be overridden at
+ * build time with VITE_FIELD_MAPPING, e.g.
+ * 
+ *   VITE_FIELD_MAPPING={"title":"Titre","description":"Description (FR)"}
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import DEFAULT_FIELD_MAPPING from './fieldMapping.json';
+
+/**
+ * Signal properties that must have a column present in the data
+ */
+export const REQUIRED_FIELDS = ['id', 'title', 'description', 'domains', 'steepCategory'];
+
+/**
+ * Creates a field mapping error with a consistent name for the UI to recognise
+ * @param {string} message - Error message
+ * @returns {Error} Error named FieldMappingError
+ */
+const createFieldMappingError = (message) => {
+  const error = new Error(message);
+  error.name = 'FieldMappingError';
+  return error;
+};
+
+/**
+ * Gets the active field mapping (defaults merged with VITE_FIELD_MAPPING)
+ * @returns {Object} Map of signal property name to column name
+ * @throws {Error} If VITE_FIELD_MAPPING is not a valid JSON object
+ */
+export const getFieldMapping = () => {
+  const override = import.meta.env.VITE_FIELD_MAPPING;
+  if (!override) return DEFAULT_FIELD_MAPPING;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(override);
+  } catch (error) {
+    throw createFieldMappingError(`VITE_FIELD_MAPPING is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw createFieldMappingError('VITE_FIELD_MAPPING must be a JSON object of { field: "Column name" }');
+  }
+
+  return { ...DEFAULT_FIELD_MAPPING, ...parsed };
+};
+
+/**
+ * Checks that every required column appears in the data
+ * A column counts as present if at least one row has it (AITable omits empty cells).
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Object} mapping - Field mapping
+ * @throws {Error} Listing each missing column and the columns that were found
+ */
+export const assertRequiredColumns = (rows, mapping) => {
+  if (rows.length === 0) return;
+
+  const availableColumns = new Set(rows.flatMap(row => Object.keys(row)));
+  const missing = REQUIRED_FIELDS.filter(field => !availableColumns.has(mapping[field]));
+
+  if (missing.length > 0) {
+    const missingList = missing.map(field => `"${mapping[field]}" (${field})`).join(', ');
+    throw createFieldMappingError(
+      `The data is missing required column${missing.length > 1 ? 's' : ''} ${missingList}. ` +
+      `Columns found: ${[...availableColumns].map(column => `"${column}"`).join(', ')}. ` +
+      'Update src/config/fieldMapping.json or VITE_FIELD_MAPPING to match your column names.'
+    );
+  }
+};
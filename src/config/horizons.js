@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Time Horizon Configuration
+ * 
+ * Groups the free-text Horizon column into ordered buckets (near, mid and long
+ * term by default, see horizons.json). A value matches a bucket by label or
+ * alias; otherwise the latest year it mentions is compared with each bucket's
+ * maxYear, so "2025-2030" and "by 2035" both resolve.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import HORIZONS from './horizons.json';
+
+/**
+ * Horizon buckets in order, nearest first
+ */
+export const HORIZON_BUCKETS = HORIZONS;
+
+/**
+ * Bucket for signals with an empty or unrecognised Horizon value
+ */
+export const UNSPECIFIED_HORIZON = {
+  id: 'unspecified',
+  label: 'Unspecified',
+  description: 'No recognisable horizon recorded',
+};
+
+/**
+ * Bucket ids in order, nearest first (Unspecified last)
+ */
+export const HORIZON_ORDER = [...HORIZONS.map(horizon => horizon.id), UNSPECIFIED_HORIZON.id];
+
+/**
+ * Lowercased label/alias to bucket id
+ */
+const HORIZON_NAME_MAPPING = HORIZONS.reduce((acc, horizon) => {
+  [horizon.id, horizon.label, ...(horizon.aliases || [])].forEach(name => {
+    acc[name.trim().toLowerCase()] = horizon.id;
+  });
+  return acc;
+}, {});
+
+/**
+ * Resolves a raw Horizon value to a bucket id
+ * @param {*} value - Raw Horizon cell (text, year number or range)
+ * @returns {string} Bucket id, or UNSPECIFIED_HORIZON.id if the value is empty or unrecognised
+ */
+export const resolveHorizon = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return UNSPECIFIED_HORIZON.id;
+
+  const text = String(value).trim();
+  const named = HORIZON_NAME_MAPPING[text.toLowerCase()];
+  if (named) return named;
+
+  const years = (text.match(/\b(19|20|21)\d{2}\b/g) || []).map(Number);
+  if (years.length === 0) return UNSPECIFIED_HORIZON.id;
+
+  const latestYear = Math.max(...years);
+  const bucket = HORIZONS.find(horizon => horizon.maxYear === undefined || latestYear <= horizon.maxYear);
+  return bucket ? bucket.id : UNSPECIFIED_HORIZON.id;
+};
+
+/**
+ * Gets the bucket definition for an id
+ * @param {string} horizonId - Bucket id
+ * @returns {Object} Bucket ({ id, label, description }), or UNSPECIFIED_HORIZON
+ */
+export const getHorizon = (horizonId) => {
+  return HORIZONS.find(horizon => horizon.id === horizonId) || UNSPECIFIED_HORIZON;
+};
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview AITable Data Source
+ * 
+ * Loads signal of change records from AITable, page by page, through the
+ * server's /api/signals proxy (which holds the AITable token).
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { axiosWithRetry, fetchAllPages } from '../utils/apiUtils.js';
+import { createDataFormatError } from './errors.js';
+
+/**
+ * Number of records requested per AITable page (the API maximum)
+ */
+const AITABLE_PAGE_SIZE = 1000;
+
+/**
+ * Creates an AITable data source
+ * @param {Object} options - Source options
+ * @param {string} [options.url='/api/signals'] - Proxy endpoint returning AITable's paginated response shape
+ * @param {number} [options.pageSize] - Records requested per page
+ * @returns {Object} Data source with a fetchRecords({ onProgress }) method
+ */
+export const createAitableSource = ({ url = '/api/signals', pageSize = AITABLE_PAGE_SIZE } = {}) => {
+  const fetchPage = async (pageNum, signal) => {
+    const response = await axiosWithRetry(url, {
+      params: { pageNum, pageSize },
+      signal,
+    });
+    const page = response.data?.data;
+
+    // AITable can report errors in the body, with its own status code
+    if (response.data?.success === false) {
+      const apiError = new Error(response.data.message || 'AITable request failed');
+      apiError.status = Number(response.data.code) || null;
+      throw apiError;
+    }
+
+    if (!page || !Array.isArray(page.records)) {
+      throw createDataFormatError('Unexpected response format from AITable');
+    }
+
+    return { records: page.records, total: page.total };
+  };
+
+  return {
+    id: 'aitable',
+
+    /**
+     * Fetches every record and returns each record's fields as a flat row
+     * @param {Object} options - Fetch options
+     * @param {Function} [options.onProgress] - Called after each page with { loaded, total, page, pageCount }
+     * @param {AbortSignal} [options.signal] - Stops loading (and retrying) when aborted
+     * @returns {Promise<Array<Object>>} Rows keyed by AITable column name
+     */
+    fetchRecords: async ({ onProgress, signal } = {}) => {
+      const records = await fetchAllPages(pageNum => fetchPage(pageNum, signal), { pageSize, onProgress });
+      return records.map(record => record.fields || {});
+    },
+  };
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview CSV Data Source
+ * 
+ * Loads signal of change records from a CSV export (e.g. AITable's "Export CSV"),
+ * using the header row as column names.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { axiosWithRetry } from '../utils/apiUtils';
+import { createDataFormatError } from './errors';
+
+/**
+ * Parses CSV text into rows of cells (RFC 4180: quoted fields, "" escapes, embedded newlines)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cell values, with blank lines removed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Strip byte order mark from spreadsheet exports
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Creates a CSV data source
+ * @param {Object} options - Source options
+ * @param {string} [options.url='/data/signals.csv'] - URL of the CSV file
+ * @returns {Object} Data source with a fetchRecords({ onProgress }) method
+ */
+export const createCsvSource = ({ url = '/data/signals.csv' } = {}) => ({
+  id: 'csv',
+
+  /**
+   * Fetches the CSV file and returns one row object per data line
+   * @param {Object} options - Fetch options
+   * @param {Function} [options.onProgress] - Called once with { loaded, total, page, pageCount }
+   * @param {AbortSignal} [options.signal] - Stops loading (and retrying) when aborted
+   * @returns {Promise<Array<Object>>} Rows keyed by header column name
+   * @throws {Error} If the file has no header row
+   */
+  fetchRecords: async ({ onProgress, signal } = {}) => {
+    const response = await axiosWithRetry(url, { responseType: 'text', signal });
+    const [header, ...lines] = parseCsv(String(response.data));
+
+    if (!header) {
+      throw createDataFormatError('CSV data source is empty');
+    }
+
+    const columns = header.map(name => name.trim());
+    const rows = lines.map(cells =>
+      columns.reduce((row, column, index) => {
+        row[column] = cells[index] ?? '';
+        return row;
+      }, {})
+    );
+
+    if (onProgress) {
+      onProgress({ loaded: rows.length, total: rows.length, page: 1, pageCount: 1 });
+    }
+
+    return rows;
+  },
+});
@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Data Source Errors
+ * 
+ * Error helpers shared by the data source adapters, so the chart can tell a
+ * source that answered with something unusable apart from one it could not reach.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Creates an error for a response that arrived but doesn't hold the expected data
+ * @param {string} message - Error message
+ * @returns {Error} Error named DataFormatError
+ */
+export const createDataFormatError = (message) => {
+  const error = new Error(message);
+  error.name = 'DataFormatError';
+  return error;
+};
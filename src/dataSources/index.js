@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Data Source Registry
+ * 
+ * Picks the signal of change data source from configuration. Every source
+ * exposes the same interface:
+ * 
+ *   { id, fetchRecords({ onProgress, signal }) => Promise<Array<Object>> }
+ * 
+ * where each returned row maps column names to values (AITable's record.fields).
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import { createAitableSource } from './aitableSource';
+import { createJsonSource } from './jsonSource';
+import { createCsvSource } from './csvSource';
+
+/**
+ * Available data sources, keyed by VITE_DATA_SOURCE value
+ */
+const DATA_SOURCES = {
+  aitable: { label: 'AITable', create: createAitableSource },
+  json: { label: 'JSON snapshot', create: createJsonSource },
+  csv: { label: 'CSV export', create: createCsvSource },
+};
+
+/**
+ * Data source configuration from environment variables
+ */
+export const DATA_SOURCE_CONFIG = {
+  type: (import.meta.env.VITE_DATA_SOURCE || 'aitable').toLowerCase(),
+  url: import.meta.env.VITE_DATA_URL || undefined,
+};
+
+/**
+ * Gets a human-readable name for a data source type
+ * @param {string} type - Data source type
+ * @returns {string} Display label, or the type itself if unknown
+ */
+export const getDataSourceLabel = (type = DATA_SOURCE_CONFIG.type) => DATA_SOURCES[type]?.label || type;
+
+/**
+ * Creates the configured data source
+ * @param {Object} config - Data source configuration
+ * @param {string} config.type - One of 'aitable', 'json' or 'csv'
+ * @param {string} [config.url] - Overrides the source's default URL
+ * @returns {Object} Data source
+ * @throws {Error} If the type is not a known data source
+ */
+export const createDataSource = ({ type, url } = DATA_SOURCE_CONFIG) => {
+  const source = DATA_SOURCES[type];
+
+  if (!source) {
+    const error = new Error(`Unknown data source "${type}". Check VITE_DATA_SOURCE; expected one of: ${Object.keys(DATA_SOURCES).join(', ')}`);
+    error.name = 'ConfigurationError';
+    throw error;
+  }
+
+  return source.create(url ? { url } : {});
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Static JSON Data Source
+ * 
+ * Loads a snapshot of signal of change records from a JSON file, typically
+ * served from public/, so a scan can be shown without network access to AITable.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { axiosWithRetry } from '../utils/apiUtils';
+import { createDataFormatError } from './errors';
+
+/**
+ * Normalises the supported JSON snapshot layouts into flat rows
+ * Accepts an array of rows, an array of AITable records ({ fields }), or an
+ * AITable response/export object with a records array.
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} Rows keyed by column name
+ * @throws {Error} If the JSON does not contain a list of records
+ */
+const toRows = (data) => {
+  const records = Array.isArray(data) ? data : (data?.data?.records || data?.records);
+
+  if (!Array.isArray(records)) {
+    throw createDataFormatError('JSON data source must contain an array of records');
+  }
+
+  return records.map(record => (record && typeof record.fields === 'object' ? record.fields : record));
+};
+
+/**
+ * Creates a static JSON data source
+ * @param {Object} options - Source options
+ * @param {string} [options.url='/data/signals.json'] - URL of the JSON snapshot
+ * @returns {Object} Data source with a fetchRecords({ onProgress }) method
+ */
+export const createJsonSource = ({ url = '/data/signals.json' } = {}) => ({
+  id: 'json',
+
+  /**
+   * Fetches the snapshot and returns its records as flat rows
+   * @param {Object} options - Fetch options
+   * @param {Function} [options.onProgress] - Called once with { loaded, total, page, pageCount }
+   * @param {AbortSignal} [options.signal] - Stops loading (and retrying) when aborted
+   * @returns {Promise<Array<Object>>} Rows keyed by column name
+   */
+  fetchRecords: async ({ onProgress, signal } = {}) => {
+    const response = await axiosWithRetry(url, { signal });
+    const rows = toRows(response.data);
+
+    if (onProgress) {
+      onProgress({ loaded: rows.length, total: rows.length, page: 1, pageCount: 1 });
+    }
+
+    return rows;
+  },
+});
@@ -2,14 +2,20 @@
  * @fileoverview Analytics and Performance Monitoring Hook
  * 
  * Custom React hook for tracking user interactions, performance metrics,
- * and application analytics.
+ * and application analytics. Records are only collected once the visitor has
+ * agreed (see useAnalyticsConsent) and are delivered in batches by
+ * src/utils/analyticsTransport.js.
  * 
  * @author UNICEF/Radial Interactive Team
  * @version 2.0.0
  */
 
 // React imports
-import { useEffect, useCallback, useMemo } from 'react';
+import { useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
+
+// Utility imports
+import { enqueueAnalytics, startAnalyticsTransport, stopAnalyticsTransport } from '../utils/analyticsTransport';
+import { CONSENT, getAnalyticsConsent, setAnalyticsConsent, subscribeAnalyticsConsent } from '../utils/analyticsConsent';
 
 /**
  * Analytics configuration
@@ -18,13 +24,6 @@ const ANALYTICS_CONFIG = {
   // Enable/disable analytics in development
   enabled: import.meta.env.MODE === 'production' || import.meta.env.VITE_ANALYTICS_ENABLED === 'true',
   
-  // Analytics service endpoints (placeholder)
-  endpoints: {
-    events: '/api/analytics/events',
-    performance: '/api/analytics/performance',
-    errors: '/api/analytics/errors',
-  },
-  
   // Performance thresholds
   thresholds: {
     slowApiCall: 2000, // 2 seconds
@@ -33,6 +32,23 @@ const ANALYTICS_CONFIG = {
   },
 };
 
+/**
+ * Hook for the visitor's analytics consent
+ * @returns {{consent: string|null, isEnabled: boolean, grant: Function, deny: Function}}
+ *   consent is 'granted', 'denied' or null (not asked yet); isEnabled is false
+ *   when analytics is switched off for this build, in which case nothing is asked
+ */
+export const useAnalyticsConsent = () => {
+  const consent = useSyncExternalStore(subscribeAnalyticsConsent, getAnalyticsConsent);
+
+  return {
+    consent,
+    isEnabled: ANALYTICS_CONFIG.enabled,
+    grant: useCallback(() => setAnalyticsConsent(CONSENT.granted), []),
+    deny: useCallback(() => setAnalyticsConsent(CONSENT.denied), []),
+  };
+};
+
 /**
  * Custom hook for analytics and performance monitoring
  * @param {Object} options - Analytics options
@@ -40,6 +56,11 @@ const ANALYTICS_CONFIG = {
  */
 export const useAnalytics = (options = {}) => {
   const config = { ...ANALYTICS_CONFIG, ...options };
+  // Primitive dependencies keep the callbacks (and the page view effect) stable across renders
+  const { enabled } = config;
+  const { slowRender } = config.thresholds;
+  const { consent } = useAnalyticsConsent();
+  const canSend = enabled && consent === CONSENT.granted;
 
   /**
    * Track a custom event
@@ -47,10 +68,11 @@ export const useAnalytics = (options = {}) => {
    * @param {Object} properties - Event properties
    */
   const trackEvent = useCallback((eventName, properties = {}) => {
-    if (!config.enabled) {
+    if (!enabled) {
       console.log('Analytics (disabled):', eventName, properties);
       return;
     }
+    if (!canSend) return; // No consent (yet)
 
     const eventData = {
       event: eventName,
@@ -62,16 +84,8 @@ export const useAnalytics = (options = {}) => {
       },
     };
 
-    // In a real application, you would send this to your analytics service
-    console.log('Analytics Event:', eventData);
-    
-    // Example: Send to analytics service
-    // fetch(config.endpoints.events, {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(eventData),
-    // }).catch(console.error);
-  }, [config]);
+    enqueueAnalytics('events', eventData);
+  }, [enabled, canSend]);
 
   /**
    * Track performance metrics
@@ -80,30 +94,24 @@ export const useAnalytics = (options = {}) => {
    * @param {Object} metadata - Additional metadata
    */
   const trackPerformance = useCallback((operation, duration, metadata = {}) => {
-    if (!config.enabled) {
+    if (!enabled) {
       console.log('Performance (disabled):', operation, `${duration}ms`, metadata);
       return;
     }
+    if (!canSend) return;
 
     const performanceData = {
       operation,
       duration,
       timestamp: new Date().toISOString(),
       metadata: {
-        slow: duration > config.thresholds.slowRender,
+        slow: duration > slowRender,
         ...metadata,
       },
     };
 
-    console.log('Performance Metric:', performanceData);
-    
-    // In a real application, you would send this to your performance monitoring service
-    // fetch(config.endpoints.performance, {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(performanceData),
-    // }).catch(console.error);
-  }, [config]);
+    enqueueAnalytics('performance', performanceData);
+  }, [enabled, canSend, slowRender]);
 
   /**
    * Track errors
@@ -111,10 +119,11 @@ export const useAnalytics = (options = {}) => {
    * @param {Object} context - Error context
    */
   const trackError = useCallback((error, context = {}) => {
-    if (!config.enabled) {
+    if (!enabled) {
       console.log('Error (disabled):', error, context);
       return;
     }
+    if (!canSend) return;
 
     const errorData = {
       error: {
@@ -131,14 +140,8 @@ export const useAnalytics = (options = {}) => {
     };
 
     console.error('Error Tracking:', errorData);
-    
-    // In a real application, you would send this to your error reporting service
-    // fetch(config.endpoints.errors, {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify(errorData),
-    // }).catch(console.error);
-  }, [config]);
+    enqueueAnalytics('errors', errorData);
+  }, [enabled, canSend]);
 
   /**
    * Track user interactions
@@ -209,11 +212,10 @@ export const useAnalytics = (options = {}) => {
    * Track bundle size and performance
    */
   const trackBundleSize = useCallback(() => {
-    if (!config.enabled) return;
+    if (!canSend) return;
 
     // Get bundle size information (if available)
     const bundleInfo = {
-      timestamp: new Date().toISOString(),
       userAgent: navigator.userAgent,
       connection: navigator.connection ? {
         effectiveType: navigator.connection.effectiveType,
@@ -227,19 +229,31 @@ export const useAnalytics = (options = {}) => {
       } : null,
     };
 
-    console.log('Bundle Performance:', bundleInfo);
-  }, [config]);
+    enqueueAnalytics('performance', {
+      operation: 'bundle_performance',
+      duration: performance.now(), // Time since the page started loading
+      timestamp: new Date().toISOString(),
+      metadata: bundleInfo,
+    });
+  }, [canSend]);
+
+  // Deliver queued records while consent is given
+  useEffect(() => {
+    if (!canSend) return;
+    startAnalyticsTransport();
+    return () => stopAnalyticsTransport();
+  }, [canSend]);
 
-  // Track initial page load
+  // Track initial page load (or the first load after consent is given)
   useEffect(() => {
-    if (config.enabled) {
+    if (canSend) {
       trackPageView('radial-scan-chart', {
         loadTime: performance.now(),
       });
       
       trackBundleSize();
     }
-  }, [trackPageView, trackBundleSize, config.enabled]);
+  }, [trackPageView, trackBundleSize, canSend]);
 
   return {
     trackEvent,
@@ -249,7 +263,8 @@ export const useAnalytics = (options = {}) => {
     trackPageView,
     measureFunction,
     trackBundleSize,
-    isEnabled: config.enabled,
+    isEnabled: enabled,
+    hasConsent: canSend,
   };
 };
 
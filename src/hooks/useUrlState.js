@@ -0,0 +1,82 @@
+/**
+ * @fileoverview URL State Sync Hook
+ *
+ * Keeps the chart's shareable state in the query string so a view can be sent
+ * as a link. Selections, filter changes and opening the print report push a
+ * history entry (so back and forward step between them); zoom and search
+ * changes replace the current one.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// React imports
+import { useEffect, useRef } from 'react';
+
+// Utility imports
+import { decodeUrlState, encodeUrlState } from '../utils/urlState';
+
+/**
+ * Wait this long after the last change before touching history, so a zoom
+ * gesture or typing in the search box produces one update rather than dozens
+ */
+const WRITE_DELAY = 300;
+
+/**
+ * Syncs chart state with the URL
+ * @param {Object} options - Sync options
+ * @param {Object} options.state - { signalId, filters, transform, query, report } to write
+ * @param {boolean} options.ready - True once data has loaded; nothing is read or written before
+ * @param {Function} options.onRestore - Called with decoded URL state on first ready and on back/forward
+ */
+export const useUrlState = ({ state, ready, onRestore }) => {
+  const onRestoreRef = useRef(onRestore);
+  const hasRestoredRef = useRef(false);
+
+  useEffect(() => {
+    onRestoreRef.current = onRestore;
+  }, [onRestore]);
+
+  // Restore the linked view once data is available, then follow back/forward
+  useEffect(() => {
+    if (!ready) return;
+
+    if (!hasRestoredRef.current) {
+      hasRestoredRef.current = true;
+      onRestoreRef.current(decodeUrlState(window.location.search));
+    }
+
+    const handlePopState = () => {
+      onRestoreRef.current(decodeUrlState(window.location.search));
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [ready]);
+
+  // Write changes back to the URL
+  const { signalId, filters, transform, query, report } = state;
+  useEffect(() => {
+    if (!ready || !hasRestoredRef.current) return;
+
+    const timeoutId = setTimeout(() => {
+      const currentSearch = window.location.search;
+      const nextSearch = encodeUrlState({ signalId, filters, transform, query, report }, currentSearch);
+      if (nextSearch === currentSearch) return;
+
+      // Only a new selection, filter set or report view deserves its own history entry
+      const current = decodeUrlState(currentSearch);
+      const isNewView = encodeUrlState({ ...current, transform: null, query: '' }) !==
+        encodeUrlState({ signalId, filters, transform: null, query: '', report });
+
+      const url = `${window.location.pathname}${nextSearch}${window.location.hash}`;
+      if (isNewView) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    }, WRITE_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [ready, signalId, filters, transform, query, report]);
+};
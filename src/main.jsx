@@ -2,6 +2,7 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { registerServiceWorker } from './utils/serviceWorker'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -9,3 +10,4 @@ createRoot(document.getElementById('root')).render(
   </StrictMode>,
 )
 
+registerServiceWorker()
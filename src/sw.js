@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Service Worker
+ *
+ * Makes the installed app start without a network connection: the built
+ * assets, the centre map and the icons are precached on install, pages fall
+ * back to the cached app shell when offline, and everything else precached is
+ * served from the cache. Signal data is not handled here - the app keeps its
+ * own copy of the last dataset (see src/utils/dataCache.js), which lets it
+ * tell users how old the data is.
+ *
+ * This file is a template: the build (vite.config.js) fills in the precache
+ * list and cache version and writes the result to dist/sw.js.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Changes with every build whose files differ, so each release gets a fresh cache
+ */
+const CACHE_VERSION = self.__CACHE_VERSION;
+
+/**
+ * URLs of the app shell and its assets
+ */
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'signal-radar-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/**
+ * Paths left to the network and the app: live data and its API
+ */
+const PASSTHROUGH_PATHS = ['/api/', '/data/'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from earlier releases
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (PASSTHROUGH_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+  // Pages: network first so a new release shows up, the cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match('/', { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Assets: the cache is rebuilt for every release, so a cached copy is current
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME })
+      .then(cached => cached || fetch(request))
+  );
+});
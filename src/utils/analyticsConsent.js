@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Analytics Consent
+ *
+ * Remembers whether the visitor allowed usage statistics. Nothing is queued
+ * or sent until they say yes, and saying no later discards anything still
+ * waiting to be sent.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { clearAnalyticsQueue } from './analyticsTransport';
+
+/**
+ * localStorage key holding 'granted' or 'denied'
+ */
+const CONSENT_STORAGE_KEY = 'radial-scan-chart:analytics-consent';
+
+/**
+ * Stored consent answers
+ */
+export const CONSENT = {
+  granted: 'granted',
+  denied: 'denied',
+};
+
+const listeners = new Set();
+
+/**
+ * Reads the visitor's answer
+ * @returns {string|null} 'granted', 'denied', or null if they haven't answered
+ */
+export const getAnalyticsConsent = () => {
+  try {
+    const value = window.localStorage.getItem(CONSENT_STORAGE_KEY);
+    return Object.values(CONSENT).includes(value) ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Stores the visitor's answer and notifies subscribers
+ * @param {string} value - CONSENT.granted or CONSENT.denied
+ */
+export const setAnalyticsConsent = (value) => {
+  try {
+    window.localStorage.setItem(CONSENT_STORAGE_KEY, value);
+  } catch {
+    // Storage disabled: the banner will ask again on the next visit
+  }
+
+  if (value !== CONSENT.granted) {
+    clearAnalyticsQueue();
+  }
+
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribes to consent changes (for useSyncExternalStore)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeAnalyticsConsent = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
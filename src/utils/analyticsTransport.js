@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Analytics Transport
+ *
+ * Delivers analytics records in batches. Records wait in a queue (kept in
+ * localStorage, so nothing is lost offline or on reload) and are sent to a
+ * sink every few seconds, when a batch fills up, and with
+ * navigator.sendBeacon when the page is hidden. Failed sends stay queued
+ * and go out when the browser is back online.
+ *
+ * The default sink posts to the collector at VITE_ANALYTICS_ENDPOINT
+ * (/api/analytics on this app's server). setAnalyticsSink() swaps in any
+ * other destination, such as a third-party collector or an in-memory mock.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { isRetryableError } from './apiUtils';
+
+/**
+ * Base URL of the analytics collector; each record type posts to <base>/<type>
+ */
+export const ANALYTICS_ENDPOINT = (import.meta.env.VITE_ANALYTICS_ENDPOINT || '/api/analytics').replace(/\/$/, '');
+
+/**
+ * Queue configuration
+ */
+const TRANSPORT_CONFIG = {
+  batchSize: 20, // Records per send
+  flushInterval: 15000, // 15 seconds
+  maxQueueSize: 500, // Oldest records are dropped beyond this
+  storageKey: 'radial-scan-chart:analytics-queue',
+};
+
+/**
+ * Creates a sink that posts batches to an HTTP collector
+ * Bodies are sent as text/plain JSON so a collector on another origin needs
+ * no CORS preflight (which sendBeacon can't perform).
+ * @param {string} [baseUrl] - Collector base URL
+ * @returns {{send: Function}} Sink; send(type, records, { beacon }) rejects on failure
+ */
+export const createHttpSink = (baseUrl = ANALYTICS_ENDPOINT) => ({
+  send: async (type, records, { beacon = false } = {}) => {
+    const url = `${baseUrl}/${type}`;
+    const body = JSON.stringify({ sentAt: new Date().toISOString(), records });
+
+    if (beacon && typeof navigator.sendBeacon === 'function') {
+      if (!navigator.sendBeacon(url, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+        throw new Error('The browser did not accept the analytics beacon');
+      }
+      return;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+      body,
+      keepalive: true,
+    });
+
+    if (!response.ok) {
+      const httpError = new Error(`Analytics collector answered HTTP ${response.status}`);
+      httpError.status = response.status;
+      throw httpError;
+    }
+  },
+});
+
+let sink = createHttpSink();
+let queue = null;
+let flushTimer = null;
+let isFlushing = false;
+let subscriberCount = 0; // Callers of startAnalyticsTransport that have not stopped yet
+
+/**
+ * Reads the queue saved by an earlier page load
+ * @returns {Array<{type: string, record: Object}>} Queued records
+ */
+const loadQueue = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(TRANSPORT_CONFIG.storageKey));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Gets the in-memory queue, loading it from storage on first use
+ * @returns {Array<{type: string, record: Object}>} Queued records
+ */
+const getQueue = () => {
+  if (queue === null) {
+    queue = loadQueue();
+  }
+  return queue;
+};
+
+/**
+ * Saves the queue so records survive a reload or a closed tab
+ */
+const saveQueue = () => {
+  try {
+    if (getQueue().length === 0) {
+      window.localStorage.removeItem(TRANSPORT_CONFIG.storageKey);
+    } else {
+      window.localStorage.setItem(TRANSPORT_CONFIG.storageKey, JSON.stringify(getQueue()));
+    }
+  } catch {
+    // Storage full or disabled: the queue still works for this page load
+  }
+};
+
+/**
+ * Replaces where batches are sent
+ * @param {{send: Function}} nextSink - Object with send(type, records, { beacon }),
+ *   returning a promise that rejects (or throwing) when the batch was not delivered.
+ *   Errors with a non-retryable status (see isRetryableError) drop the batch.
+ */
+export const setAnalyticsSink = (nextSink) => {
+  sink = nextSink;
+};
+
+/**
+ * Sends queued records, one batch per record type
+ * @param {Object} [options] - Flush options
+ * @param {boolean} [options.beacon=false] - Send everything with sendBeacon (page is being hidden)
+ * @returns {Promise<void>} Resolves when the attempt is over; failures stay queued
+ */
+export const flushAnalytics = async ({ beacon = false } = {}) => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  if (getQueue().length === 0 || (isFlushing && !beacon)) return;
+  if (!beacon && !navigator.onLine) return; // The online listener flushes later
+
+  isFlushing = true;
+  const pending = beacon ? getQueue().slice() : getQueue().slice(0, TRANSPORT_CONFIG.batchSize);
+  const types = [...new Set(pending.map(item => item.type))];
+
+  try {
+    for (const type of types) {
+      const items = pending.filter(item => item.type === type);
+      try {
+        await sink.send(type, items.map(item => item.record), { beacon });
+        queue = getQueue().filter(item => !items.includes(item));
+      } catch (error) {
+        if (!isRetryableError(error)) {
+          // The collector rejected the batch itself; sending it again won't help
+          console.warn(`Analytics: dropping ${items.length} ${type} record(s):`, error.message);
+          queue = getQueue().filter(item => !items.includes(item));
+        } else {
+          console.warn('Analytics: send failed, will retry:', error.message);
+        }
+      }
+    }
+  } finally {
+    isFlushing = false;
+    saveQueue();
+  }
+
+  // More than one batch was waiting
+  if (!beacon && getQueue().length > 0 && navigator.onLine) {
+    scheduleFlush();
+  }
+};
+
+/**
+ * Flushes after the flush interval, unless a flush is already scheduled
+ */
+const scheduleFlush = () => {
+  if (flushTimer === null) {
+    flushTimer = setTimeout(flushAnalytics, TRANSPORT_CONFIG.flushInterval);
+  }
+};
+
+/**
+ * Adds a record to the queue
+ * @param {string} type - Record type: 'events', 'performance' or 'errors'
+ * @param {Object} record - JSON-serialisable record
+ */
+export const enqueueAnalytics = (type, record) => {
+  const current = getQueue();
+  current.push({ type, record });
+  if (current.length > TRANSPORT_CONFIG.maxQueueSize) {
+    current.splice(0, current.length - TRANSPORT_CONFIG.maxQueueSize);
+  }
+  saveQueue();
+
+  if (subscriberCount === 0) return; // Sent once the transport starts
+
+  if (current.length >= TRANSPORT_CONFIG.batchSize) {
+    flushAnalytics();
+  } else {
+    scheduleFlush();
+  }
+};
+
+/**
+ * Drops every queued record, e.g. when consent is withdrawn
+ */
+export const clearAnalyticsQueue = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  queue = [];
+  saveQueue();
+};
+
+/**
+ * Flushes with a beacon when the page is hidden (tab switch, close, navigation)
+ */
+const handleVisibilityChange = () => {
+  if (document.visibilityState === 'hidden') {
+    flushAnalytics({ beacon: true });
+  }
+};
+
+/**
+ * Flushes with a beacon as the page unloads (browsers that skip visibilitychange)
+ */
+const handlePageHide = () => flushAnalytics({ beacon: true });
+
+/**
+ * Sends what queued up while offline
+ */
+const handleOnline = () => flushAnalytics();
+
+/**
+ * Starts sending: flushes records left from earlier visits and listens for
+ * page hide and reconnection. Calls are counted, so each caller pairs its
+ * start with a stopAnalyticsTransport and sending carries on until the last
+ * one stops.
+ */
+export const startAnalyticsTransport = () => {
+  subscriberCount += 1;
+  if (subscriberCount > 1) return;
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('pagehide', handlePageHide);
+  window.addEventListener('online', handleOnline);
+
+  if (getQueue().length > 0) {
+    scheduleFlush();
+  }
+};
+
+/**
+ * Releases one startAnalyticsTransport call; the last release stops sending
+ * and removes the listeners. Queued records stay queued.
+ */
+export const stopAnalyticsTransport = () => {
+  if (subscriberCount === 0) return;
+  subscriberCount -= 1;
+  if (subscriberCount > 0) return;
+
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  window.removeEventListener('pagehide', handlePageHide);
+  window.removeEventListener('online', handleOnline);
+};
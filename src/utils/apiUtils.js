@@ -16,135 +16,268 @@ const RETRY_CONFIG = {
   baseDelay: 1000, // 1 second
   maxDelay: 10000, // 10 seconds
   backoffMultiplier: 2,
+  maxRetryAfter: 30000, // Longer Retry-After waits give up instead of leaving the UI hanging
 };
 
+/**
+ * Creates the error thrown when a request is cancelled through its AbortSignal
+ * @returns {Error} Error named 'AbortError'
+ */
+const createAbortError = () => {
+  const abortError = new Error('Request was cancelled');
+  abortError.name = 'AbortError';
+  return abortError;
+};
+
+/**
+ * Checks whether an error comes from a cancelled request (AbortController,
+ * fetch's AbortError or axios's CanceledError)
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was cancelled
+ */
+export const isAbortError = (error) =>
+  error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED';
+
 /**
  * Sleep utility function
  * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Promise that resolves after the specified time
+ * @param {AbortSignal} [signal] - Cuts the wait short when aborted
+ * @returns {Promise} Promise that resolves after the specified time, or rejects with an AbortError
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
 
 /**
- * Calculate exponential backoff delay
+ * Calculate exponential backoff delay with jitter, so clients that failed
+ * together don't all retry at the same moment
  * @param {number} attempt - Current attempt number (0-based)
  * @param {number} baseDelay - Base delay in milliseconds
  * @param {number} maxDelay - Maximum delay in milliseconds
  * @param {number} multiplier - Backoff multiplier
- * @returns {number} Calculated delay in milliseconds
+ * @returns {number} Calculated delay in milliseconds, between half and all of the backoff
  */
 const calculateBackoffDelay = (attempt, baseDelay, maxDelay, multiplier) => {
-  const delay = baseDelay * Math.pow(multiplier, attempt);
-  return Math.min(delay, maxDelay);
+  const delay = Math.min(baseDelay * Math.pow(multiplier, attempt), maxDelay);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
 };
 
 /**
- * Enhanced fetch function with retry logic and error handling
- * @param {string} url - URL to fetch
- * @param {Object} options - Fetch options
- * @param {Object} retryConfig - Retry configuration
- * @returns {Promise<Response>} Fetch response
- * @throws {Error} If all retry attempts fail
+ * Reads the HTTP status of a failed request
+ * @param {Error} error - Axios error, or an error thrown by fetchWithRetry
+ * @returns {number|null} Status code, or null if no response arrived
  */
-export const fetchWithRetry = async (url, options = {}, retryConfig = RETRY_CONFIG) => {
-  const { maxRetries, baseDelay, maxDelay, backoffMultiplier } = retryConfig;
+export const getErrorStatus = (error) => error?.response?.status ?? error?.status ?? null;
+
+/**
+ * Reads a Retry-After header (seconds or an HTTP date) from a failed request
+ * @param {Error} error - Axios error, or an error thrown by fetchWithRetry
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+ */
+export const getRetryAfterDelay = (error) => {
+  const headers = error?.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Runs a request until it succeeds, fails with an error that retrying can't
+ * fix (see isRetryableError), runs out of attempts, or is cancelled
+ * @param {string} url - URL being requested (for logging)
+ * @param {Function} request - Performs one attempt; rejects on failure
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelay - First backoff delay in milliseconds
+ * @param {number} options.maxDelay - Longest backoff delay in milliseconds
+ * @param {number} options.backoffMultiplier - Backoff growth per attempt
+ * @param {number} options.maxRetryAfter - Longest Retry-After wait honoured, in milliseconds
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+ * @returns {Promise<*>} Result of the successful attempt
+ * @throws {Error} AbortError when cancelled; otherwise a RequestError with the
+ *   status (null for network errors), attempts, retryable flag and cause
+ */
+const runWithRetry = async (url, request, { maxRetries, baseDelay, maxDelay, backoffMultiplier, maxRetryAfter, signal }) => {
   let lastError;
+  let attempts = 0;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (signal?.aborted) throw createAbortError();
+
     try {
       const startTime = performance.now();
-      
-      const response = await fetch(url, {
-        ...options,
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers,
-        },
-      });
+      const result = await request();
+      const duration = performance.now() - startTime;
 
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-
-      // Log performance metrics
       console.log(`API call to ${url} completed in ${duration.toFixed(2)}ms (attempt ${attempt + 1})`);
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      return response;
+      return result;
     } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw createAbortError();
+
       lastError = error;
-      
-      console.warn(`API call attempt ${attempt + 1} failed:`, error.message);
+      attempts = attempt + 1;
+      console.warn(`API call attempt ${attempts} failed:`, error.message);
+
+      // Don't retry on the last attempt, or when retrying can't help (bad credentials, missing sheet)
+      if (attempt === maxRetries || !isRetryableError(error)) {
+        break;
+      }
 
-      // Don't retry on the last attempt
-      if (attempt === maxRetries) {
+      // A 429 says how long to wait; past the limit, give up and report it
+      const retryAfter = getErrorStatus(error) === 429 ? getRetryAfterDelay(error) : null;
+      if (retryAfter !== null && retryAfter > maxRetryAfter) {
         break;
       }
+      const delay = retryAfter ?? calculateBackoffDelay(attempt, baseDelay, maxDelay, backoffMultiplier);
 
-      // Calculate delay for next attempt
-      const delay = calculateBackoffDelay(attempt, baseDelay, maxDelay, backoffMultiplier);
-      
       console.log(`Retrying in ${delay}ms...`);
-      await sleep(delay);
+      await sleep(delay, signal);
     }
   }
 
-  // All retry attempts failed
-  console.error(`API call to ${url} failed after ${maxRetries + 1} attempts:`, lastError);
-  throw new Error(`Failed to fetch data after ${maxRetries + 1} attempts: ${lastError.message}`);
+  console.error(`API call to ${url} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}:`, lastError);
+
+  const requestError = new Error(`Failed to fetch data after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${lastError.message}`);
+  requestError.name = 'RequestError';
+  requestError.status = getErrorStatus(lastError);
+  requestError.attempts = attempts;
+  requestError.retryable = isRetryableError(lastError);
+  requestError.retryAfter = getRetryAfterDelay(lastError);
+  requestError.cause = lastError;
+  throw requestError;
 };
 
+/**
+ * Enhanced fetch function with retry logic and error handling
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Fetch options; options.signal cancels the request and its retries
+ * @param {Object} retryConfig - Retry configuration
+ * @returns {Promise<Response>} Fetch response
+ * @throws {Error} RequestError if all retry attempts fail, AbortError if cancelled
+ */
+export const fetchWithRetry = async (url, options = {}, retryConfig = RETRY_CONFIG) =>
+  runWithRetry(url, async () => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    if (!response.ok) {
+      const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      httpError.status = response.status;
+      httpError.response = response;
+      throw httpError;
+    }
+
+    return response;
+  }, { ...RETRY_CONFIG, ...retryConfig, signal: options.signal });
+
 /**
  * Axios instance with retry logic
  * @param {string} url - URL to fetch
- * @param {Object} config - Axios configuration
+ * @param {Object} config - Axios configuration, plus optional maxRetries and
+ *   baseDelay; config.signal cancels the request and its retries
  * @returns {Promise} Axios response
+ * @throws {Error} RequestError if all retry attempts fail, AbortError if cancelled
  */
 export const axiosWithRetry = async (url, config = {}) => {
-  const { maxRetries = RETRY_CONFIG.maxRetries, baseDelay = RETRY_CONFIG.baseDelay } = config;
-  let lastError;
+  const { maxRetries = RETRY_CONFIG.maxRetries, baseDelay = RETRY_CONFIG.baseDelay, ...axiosConfig } = config;
 
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      const startTime = performance.now();
-      
-      // Import axios dynamically to avoid bundling issues
-      const axios = (await import('axios')).default;
-      
-      const response = await axios.get(url, {
-        timeout: 10000, // 10 second timeout
-        ...config,
-      });
+  // Import axios dynamically to avoid bundling issues
+  const axios = (await import('axios')).default;
 
-      const endTime = performance.now();
-      const duration = endTime - startTime;
+  return runWithRetry(url, () => axios.get(url, {
+    timeout: 10000, // 10 second timeout
+    ...axiosConfig,
+  }), { ...RETRY_CONFIG, maxRetries, baseDelay, signal: axiosConfig.signal });
+};
 
-      console.log(`API call to ${url} completed in ${duration.toFixed(2)}ms (attempt ${attempt + 1})`);
-      
-      return response;
+/**
+ * Walks every page of a paginated endpoint and joins the results
+ * @param {Function} fetchPage - Called with a 1-based page number, resolves to { records, total }
+ * @param {Object} options - Pagination options
+ * @param {number} options.pageSize - Records requested per page (used for progress reporting)
+ * @param {Function} [options.onProgress] - Called after each page with { loaded, total, page, pageCount }
+ * @returns {Promise<Array>} All records across every page, in page order
+ * @throws {Error} PaginationError (with the failed request's status) if any page fails, or
+ *   if fewer records arrive than the reported total; an AbortError passes through unchanged
+ */
+export const fetchAllPages = async (fetchPage, { pageSize, onProgress } = {}) => {
+  const records = [];
+  let total = null;
+  let pageNum = 1;
+
+  while (total === null || records.length < total) {
+    const pageCount = total === null ? null : Math.max(1, Math.ceil(total / pageSize));
+    let page;
+
+    try {
+      page = await fetchPage(pageNum);
     } catch (error) {
-      lastError = error;
-      
-      console.warn(`API call attempt ${attempt + 1} failed:`, error.message);
+      if (isAbortError(error)) throw error;
 
-      // Don't retry on the last attempt
-      if (attempt === maxRetries) {
-        break;
-      }
+      const pageLabel = pageCount ? `page ${pageNum} of ${pageCount}` : `page ${pageNum}`;
+      const pageError = new Error(
+        `Failed to fetch ${pageLabel} (${records.length} records loaded so far): ${error.message}`
+      );
+      pageError.name = 'PaginationError';
+      pageError.cause = error;
+      pageError.page = pageNum;
+      pageError.status = getErrorStatus(error);
+      throw pageError;
+    }
 
-      // Calculate delay for next attempt
-      const delay = calculateBackoffDelay(attempt, baseDelay, RETRY_CONFIG.maxDelay, RETRY_CONFIG.backoffMultiplier);
-      
-      console.log(`Retrying in ${delay}ms...`);
-      await sleep(delay);
+    total = page.total;
+    records.push(...page.records);
+
+    if (onProgress) {
+      onProgress({
+        loaded: records.length,
+        total,
+        page: pageNum,
+        pageCount: Math.max(1, Math.ceil(total / pageSize)),
+      });
+    }
+
+    // An empty page before reaching the total means the source shrank mid-walk
+    if (page.records.length === 0) {
+      break;
     }
+
+    pageNum++;
   }
 
-  // All retry attempts failed
-  console.error(`API call to ${url} failed after ${maxRetries + 1} attempts:`, lastError);
-  throw new Error(`Failed to fetch data after ${maxRetries + 1} attempts: ${lastError.message}`);
+  if (records.length < total) {
+    const countError = new Error(`Expected ${total} records but only received ${records.length}. The data may have changed while loading.`);
+    countError.name = 'PaginationError';
+    throw countError;
+  }
+
+  return records;
 };
 
 /**
@@ -153,14 +286,26 @@ export const axiosWithRetry = async (url, config = {}) => {
  * @returns {boolean} True if error is retryable
  */
 export const isRetryableError = (error) => {
+  // Cancelled on purpose
+  if (isAbortError(error)) {
+    return false;
+  }
+
+  // The server is missing its settings (see server/index.js); asking again won't add them
+  if (error?.response?.data?.code === 'MISSING_CONFIGURATION') {
+    return false;
+  }
+
+  const status = getErrorStatus(error);
+
   // Network errors
-  if (!error.response) {
+  if (status === null) {
     return true;
   }
 
   // HTTP status codes that are retryable
   const retryableStatuses = [408, 429, 500, 502, 503, 504];
-  return retryableStatuses.includes(error.response.status);
+  return retryableStatuses.includes(status);
 };
 
 /**
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Chart Export
+ *
+ * Turns the on-screen radar into files for reports and slide decks:
+ * - a standalone SVG with the centre image and any @font-face fonts inlined
+ *   as data URLs, so it renders the same anywhere
+ * - a PNG rasterised from that SVG at a chosen DPI (recorded in the file's
+ *   pHYs chunk so print tools size it correctly)
+ *
+ * Exports copy the live SVG, so the current filter dimming is kept. The zoom
+ * is reset so the whole radar is always included.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Same font stack as the app (src/index.css)
+ */
+const FONT_FAMILY = 'Inter, system-ui, Avenir, Helvetica, Arial, sans-serif';
+
+/**
+ * Export layout, in chart (viewBox) units
+ */
+const LAYOUT = {
+  titleHeight: 420,
+  legendRowHeight: 110,
+  legendPadding: 160,
+  legendColumnWidth: 1150,
+  legendColumns: 4,
+};
+
+/**
+ * DPI choices offered for PNG export
+ */
+export const PNG_DPI_OPTIONS = [72, 150, 300, 600];
+
+/**
+ * Printed width of the PNG in inches; pixel width = DPI x this
+ */
+export const PNG_PRINT_WIDTH_INCHES = 8;
+
+/**
+ * Reads a Blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} data: URL
+ */
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Fetches a resource and returns it as a data URL
+ * @param {string} url - Absolute or page-relative URL
+ * @returns {Promise<string>} data: URL
+ * @throws {Error} If the resource cannot be fetched
+ */
+const fetchAsDataUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not embed ${url} in the export (HTTP ${response.status})`);
+  }
+  return blobToDataUrl(await response.blob());
+};
+
+/**
+ * Replaces every <image> href in an SVG with an inline data URL
+ * @param {SVGSVGElement} svg - SVG to modify in place
+ * @returns {Promise<void>}
+ */
+const inlineImages = async (svg) => {
+  const images = [...svg.querySelectorAll('image')];
+  await Promise.all(images.map(async (image) => {
+    const href = image.getAttribute('href') || image.getAttribute('xlink:href');
+    if (!href || href.startsWith('data:')) return;
+    image.setAttribute('href', await fetchAsDataUrl(new URL(href, window.location.href).href));
+  }));
+};
+
+/**
+ * Collects the page's @font-face rules with their font files inlined.
+ * Stylesheets from other origins can't be read and are skipped.
+ * @returns {Promise<string>} CSS text of the inlined @font-face rules
+ */
+const collectFontFaces = async () => {
+  const faces = [];
+  for (const sheet of [...document.styleSheets]) {
+    let rules;
+    try {
+      rules = [...sheet.cssRules];
+    } catch (error) {
+      continue; // Cross-origin stylesheet
+    }
+    rules
+      .filter(rule => rule.type === CSSRule.FONT_FACE_RULE)
+      .forEach(rule => faces.push({ css: rule.cssText, base: sheet.href || window.location.href }));
+  }
+
+  const inlined = await Promise.all(faces.map(async ({ css, base }) => {
+    const urls = [...css.matchAll(/url\(["']?([^"')]+)["']?\)/g)]
+      .map(match => match[1])
+      .filter(url => !url.startsWith('data:'));
+
+    let result = css;
+    for (const url of urls) {
+      try {
+        result = result.replace(url, await fetchAsDataUrl(new URL(url, base).href));
+      } catch (error) {
+        console.warn('Font not embedded in export:', error.message);
+      }
+    }
+    return result;
+  }));
+
+  return inlined.join('\n');
+};
+
+/**
+ * Creates an SVG element with attributes
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attribute name/value pairs
+ * @param {string} [text] - Text content
+ * @returns {SVGElement} New element
+ */
+const createSvgElement = (tag, attributes, text) => {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+};
+
+/**
+ * Builds a standalone SVG document from the chart
+ * @param {SVGSVGElement} svgElement - The live chart SVG
+ * @param {Object} options - Export options
+ * @param {boolean} [options.includeTitle=true] - Add the title block above the radar
+ * @param {boolean} [options.includeLegend=true] - Add the category legend below the radar
+ * @param {string} [options.title] - Title text
+ * @param {Array<string>} [options.subtitles] - Lines under the title (e.g. the active filters)
+ * @param {Object} [options.legend] - { title, items: [{ label, color, dimmed }] }
+ * @returns {Promise<{svg: string, width: number, height: number}>} Serialised SVG and its size in chart units
+ * @throws {Error} If the centre image cannot be embedded
+ */
+export const buildExportSvg = async (svgElement, {
+  includeTitle = true,
+  includeLegend = true,
+  title = '',
+  subtitles = [],
+  legend = null,
+} = {}) => {
+  const clone = svgElement.cloneNode(true);
+
+  // Whole radar, whatever the current zoom
+  const zoomGroup = [...clone.children].find(child => child.tagName.toLowerCase() === 'g');
+  if (zoomGroup) zoomGroup.removeAttribute('transform');
+
+  // Invisible click targets and interaction attributes mean nothing in a file
+  clone.querySelectorAll('[fill="transparent"]').forEach(element => element.remove());
+  clone.querySelectorAll('*').forEach(element => {
+    ['class', 'tabindex', 'role', 'aria-pressed'].forEach(name => element.removeAttribute(name));
+  });
+  ['class', 'style', 'role'].forEach(name => clone.removeAttribute(name));
+
+  const [viewX, viewY, viewWidth, viewHeight] = clone.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+  let top = viewY;
+  let height = viewHeight;
+
+  if (includeTitle && title) {
+    top -= LAYOUT.titleHeight;
+    height += LAYOUT.titleHeight;
+    const titleGroup = createSvgElement('g', { id: 'export-title' });
+    titleGroup.appendChild(createSvgElement('text', {
+      x: viewX + viewWidth / 2, y: top + 170, 'text-anchor': 'middle', 'font-size': 130, 'font-weight': 'bold', fill: '#2563eb',
+    }, title));
+    subtitles.filter(Boolean).slice(0, 2).forEach((line, index) => {
+      titleGroup.appendChild(createSvgElement('text', {
+        x: viewX + viewWidth / 2, y: top + 290 + index * 90, 'text-anchor': 'middle', 'font-size': 70, fill: '#4b5563',
+      }, line));
+    });
+    clone.appendChild(titleGroup);
+  }
+
+  if (includeLegend && legend && legend.items.length > 0) {
+    const rows = Math.ceil(legend.items.length / LAYOUT.legendColumns);
+    const legendTop = viewY + viewHeight;
+    const legendHeight = LAYOUT.legendPadding * 2 + (rows + 1) * LAYOUT.legendRowHeight;
+    height += legendHeight;
+
+    const legendGroup = createSvgElement('g', { id: 'export-legend' });
+    const legendLeft = viewX + (viewWidth - LAYOUT.legendColumns * LAYOUT.legendColumnWidth) / 2;
+    legendGroup.appendChild(createSvgElement('text', {
+      x: legendLeft, y: legendTop + LAYOUT.legendPadding, 'font-size': 64, 'font-weight': 'bold', fill: '#374151',
+    }, legend.title));
+    legend.items.forEach((item, index) => {
+      const x = legendLeft + (index % LAYOUT.legendColumns) * LAYOUT.legendColumnWidth;
+      const y = legendTop + LAYOUT.legendPadding + (Math.floor(index / LAYOUT.legendColumns) + 1) * LAYOUT.legendRowHeight;
+      const itemGroup = createSvgElement('g', { opacity: item.dimmed ? 0.35 : 1 });
+      itemGroup.appendChild(createSvgElement('circle', { cx: x + 30, cy: y - 18, r: 30, fill: item.color, stroke: '#d1d5db', 'stroke-width': 3 }));
+      itemGroup.appendChild(createSvgElement('text', { x: x + 85, y, 'font-size': 56, fill: '#4b5563' }, item.label));
+      legendGroup.appendChild(itemGroup);
+    });
+    clone.appendChild(legendGroup);
+  }
+
+  // White page behind everything, plus the font stack and any embedded fonts
+  clone.insertBefore(createSvgElement('rect', { x: viewX, y: top, width: viewWidth, height, fill: '#ffffff' }), clone.firstChild);
+  const fontFaces = await collectFontFaces();
+  clone.insertBefore(createSvgElement('style', {}, `${fontFaces}\nsvg { font-family: ${FONT_FAMILY}; }`), clone.firstChild);
+
+  clone.setAttribute('viewBox', `${viewX} ${top} ${viewWidth} ${height}`);
+  clone.setAttribute('width', viewWidth);
+  clone.setAttribute('height', height);
+  // The serializer declares the SVG namespace itself; a copied xmlns attribute would be written twice
+  clone.removeAttribute('xmlns');
+
+  await inlineImages(clone);
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  return { svg, width: viewWidth, height };
+};
+
+/**
+ * CRC-32 lookup table for PNG chunk checksums
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a byte range
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Writes the resolution into a PNG by inserting a pHYs chunk after IHDR
+ * @param {Blob} pngBlob - PNG from canvas.toBlob (which never writes pHYs)
+ * @param {number} dpi - Dots per inch
+ * @returns {Promise<Blob>} PNG with the resolution recorded
+ */
+const withPngResolution = async (pngBlob, dpi) => {
+  const original = new Uint8Array(await pngBlob.arrayBuffer());
+  const ihdrEnd = 8 + 25; // Signature, then the 13-byte IHDR chunk with length, type and CRC
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1; // Unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  return new Blob([original.subarray(0, ihdrEnd), chunk, original.subarray(ihdrEnd)], { type: 'image/png' });
+};
+
+/**
+ * Rasterises an exported SVG to PNG
+ * @param {Object} exported - Result of buildExportSvg
+ * @param {number} dpi - Resolution; the PNG is PNG_PRINT_WIDTH_INCHES wide at this DPI
+ * @returns {Promise<Blob>} PNG image
+ * @throws {Error} If the browser cannot draw the SVG or the canvas is too large
+ */
+export const svgToPng = async ({ svg, width, height }, dpi) => {
+  const pixelWidth = Math.round(PNG_PRINT_WIDTH_INCHES * dpi);
+  const pixelHeight = Math.round(pixelWidth * (height / width));
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The browser could not draw the chart for PNG export'));
+      image.src = url;
+    });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0, pixelWidth, pixelHeight);
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error(`A ${pixelWidth}×${pixelHeight} PNG is too large for this browser. Try a lower DPI.`);
+    }
+    return withPngResolution(blob, dpi);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
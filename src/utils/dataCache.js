@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Signal Data Cache
+ *
+ * Keeps the last dataset that loaded successfully in localStorage, so the
+ * radar can render straight away on the next visit (and keep working when the
+ * data source is slow or down) while fresh data is fetched in the background.
+ * Raw rows are stored rather than transformed signals, so field mapping and
+ * category changes in a new deploy still apply to cached data.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Cache configuration from environment variables.
+ * Set VITE_DATA_CACHE=false to always wait for the data source.
+ */
+export const DATA_CACHE_CONFIG = {
+  enabled: import.meta.env.VITE_DATA_CACHE !== 'false',
+};
+
+/**
+ * Bump when the cached payload shape changes; older entries are then ignored
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Prefix for every cache entry in localStorage
+ */
+const KEY_PREFIX = 'radial-scan-chart';
+
+/**
+ * Builds the storage key for one data source, so switching sources never
+ * shows another source's data
+ * @param {string} name - Cache name, e.g. the data source type and URL
+ * @returns {string} localStorage key
+ */
+const storageKey = (name) => `${KEY_PREFIX}:v${CACHE_VERSION}:${name}`;
+
+/**
+ * Reads a cached dataset
+ * @param {string} name - Cache name
+ * @returns {{savedAt: number, data: *}|null} Cached entry, or null if missing, unreadable or from an older version
+ */
+export const readDataCache = (name) => {
+  try {
+    const entry = JSON.parse(window.localStorage.getItem(storageKey(name)));
+    if (!entry || typeof entry.savedAt !== 'number' || entry.data === undefined) {
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    // Storage disabled (private mode, blocked cookies) or a corrupt entry
+    console.warn('Data cache could not be read:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Saves a dataset, replacing the previous one
+ * @param {string} name - Cache name
+ * @param {*} data - JSON-serialisable data
+ * @returns {boolean} True if saved; false if storage is full or unavailable
+ */
+export const writeDataCache = (name, data) => {
+  try {
+    window.localStorage.setItem(storageKey(name), JSON.stringify({ savedAt: Date.now(), data }));
+    return true;
+  } catch (error) {
+    console.warn('Data cache could not be saved:', error.message);
+    return false;
+  }
+};
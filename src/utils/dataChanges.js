@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Data Change Detection
+ *
+ * Compares two loads of the signal data so a refresh can point out what
+ * curators added, edited or deleted in the sheet since the previous fetch.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Signal properties compared to decide whether a signal changed
+ */
+const COMPARED_FIELDS = ['title', 'description', 'domains', 'steepCategory', 'date', 'source', 'participantIdentified'];
+
+/**
+ * Identifies a signal across loads: its record id, or its title for sources without ids
+ * @param {Object} scanHit - Signal of change
+ * @returns {string} Stable key
+ */
+export const getSignalKey = (scanHit) => String(scanHit.id ?? scanHit.title);
+
+/**
+ * Serialises the compared fields of a signal
+ * @param {Object} scanHit - Signal of change
+ * @returns {string} Comparable snapshot
+ */
+const snapshot = (scanHit) => JSON.stringify(COMPARED_FIELDS.map(field => scanHit[field] ?? null));
+
+/**
+ * Lists the differences between two loads
+ * @param {Array<Object>} previous - Signals from the earlier load
+ * @param {Array<Object>} next - Signals from the new load
+ * @returns {{added: Set<string>, changed: Set<string>, removed: Array<Object>, count: number}}
+ *   Keys of added and changed signals, the removed signals themselves, and the total number of changes
+ */
+export const diffScanHits = (previous, next) => {
+  const previousByKey = new Map(previous.map(hit => [getSignalKey(hit), hit]));
+  const nextKeys = new Set();
+  const added = new Set();
+  const changed = new Set();
+
+  next.forEach(hit => {
+    const key = getSignalKey(hit);
+    nextKeys.add(key);
+    const before = previousByKey.get(key);
+    if (!before) {
+      added.add(key);
+    } else if (snapshot(before) !== snapshot(hit)) {
+      changed.add(key);
+    }
+  });
+
+  const removed = previous.filter(hit => !nextKeys.has(getSignalKey(hit)));
+
+  return { added, changed, removed, count: added.size + changed.size + removed.length };
+};
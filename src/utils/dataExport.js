@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Signal Data Export
+ *
+ * Builds the tables behind the side panel's breakdowns and writes them, with
+ * the signals themselves, as CSV or JSON for further analysis in spreadsheets.
+ * CSV output is what Excel and Google Sheets expect: UTF-8 with a byte order
+ * mark, CRLF line endings and RFC 4180 quoting.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import { getHorizon, HORIZON_ORDER } from '../config/horizons';
+
+/**
+ * Separator for several domains in one CSV cell (the source sheets use pipes too)
+ */
+const LIST_SEPARATOR = ' | ';
+
+/**
+ * Cells starting with these are run as formulas by spreadsheet apps
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes one CSV cell where needed and defuses text that would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes rows of cells as CSV text
+ * @param {Array<Array<*>>} rows - Rows of cells, header row first
+ * @returns {string} CSV text with a leading byte order mark
+ */
+export const formatCsv = (rows) =>
+  '\uFEFF' + rows.map(cells => cells.map(escapeCsvCell).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Flattens signals into export records
+ * @param {Array<Object>} scanHits - Signals to export
+ * @param {Array<Object>} domains - Domain list, for labels
+ * @returns {Array<Object>} { id, title, description, domains, category, horizon, source, participantIdentified }
+ */
+export const buildSignalRecords = (scanHits, domains) => {
+  const domainLabels = Object.fromEntries(domains.map(domain => [domain.id, domain.label]));
+  return scanHits.map(hit => ({
+    id: hit.id ?? '',
+    title: hit.title,
+    description: hit.description,
+    domains: hit.domains.map(domainId => domainLabels[domainId] || domainId),
+    category: hit.steepCategory,
+    horizon: getHorizon(hit.horizon).label,
+    source: hit.source || '',
+    participantIdentified: Boolean(hit.participantIdentified),
+  }));
+};
+
+/**
+ * Counts signals per category, horizon and domain, in display order.
+ * Signals in several domains count once towards each.
+ * @param {Array<Object>} scanHits - Signals to count
+ * @param {Object} options - Orders and labels
+ * @param {Array<Object>} options.domains - Domain list, innermost ring first
+ * @param {Array<string>} options.categoryOrder - Category labels in legend order
+ * @returns {Object} { categories, horizons, domains, participantIdentified }; lists hold { id, label, count } with no zero rows
+ */
+export const buildBreakdowns = (scanHits, { domains, categoryOrder }) => {
+  const countBy = (getKeys) => scanHits.reduce((acc, hit) => {
+    getKeys(hit).forEach(key => {
+      acc[key] = (acc[key] || 0) + 1;
+    });
+    return acc;
+  }, {});
+
+  const categoryCounts = countBy(hit => [hit.steepCategory]);
+  const horizonCounts = countBy(hit => [hit.horizon]);
+  const domainCounts = countBy(hit => hit.domains);
+
+  return {
+    categories: categoryOrder
+      .filter(category => categoryCounts[category])
+      .map(category => ({ id: category, label: category, count: categoryCounts[category] })),
+    horizons: HORIZON_ORDER
+      .filter(horizonId => horizonCounts[horizonId])
+      .map(horizonId => ({ id: horizonId, label: getHorizon(horizonId).label, count: horizonCounts[horizonId] })),
+    domains: domains
+      .filter(domain => domainCounts[domain.id])
+      .map(domain => ({ id: domain.id, label: domain.label, count: domainCounts[domain.id] })),
+    participantIdentified: scanHits.filter(hit => hit.participantIdentified).length,
+  };
+};
+
+/**
+ * Builds the signals CSV
+ * @param {Array<Object>} records - From buildSignalRecords
+ * @param {string} categoryName - Category scheme name, for the column header (e.g. "STEEP")
+ * @returns {string} CSV text
+ */
+export const signalsToCsv = (records, categoryName) => formatCsv([
+  ['ID', 'Title', 'Description', 'Domains', `${categoryName} Category`, 'Time Horizon', 'Source', 'Participant Identified'],
+  ...records.map(record => [
+    record.id,
+    record.title,
+    record.description,
+    record.domains.join(LIST_SEPARATOR),
+    record.category,
+    record.horizon,
+    record.source,
+    record.participantIdentified ? 'Yes' : 'No',
+  ]),
+]);
+
+/**
+ * Builds the breakdowns CSV: one row per counted value, with a share of the total
+ * so the tables can be pivoted or charted directly
+ * @param {Object} breakdowns - From buildBreakdowns
+ * @param {number} total - Number of signals counted
+ * @param {string} categoryName - Category scheme name (e.g. "STEEP")
+ * @returns {string} CSV text
+ */
+export const breakdownsToCsv = (breakdowns, total, categoryName) => {
+  const share = (count) => (total > 0 ? (count / total * 100).toFixed(1) : '0.0');
+  const rows = (breakdown, entries) => entries.map(({ label, count }) => [breakdown, label, count, share(count)]);
+
+  return formatCsv([
+    ['Breakdown', 'Value', 'Signals', 'Percent of Signals'],
+    ...rows(`${categoryName} Category`, breakdowns.categories),
+    ...rows('Time Horizon', breakdowns.horizons),
+    ...rows('Domain', breakdowns.domains),
+    ['Participant Identified', 'Yes', breakdowns.participantIdentified, share(breakdowns.participantIdentified)],
+  ]);
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Data Validation
+ * 
+ * Checks raw data source rows before they are drawn and collects every problem
+ * per record (missing titles, unknown domains or categories, duplicate IDs, ...)
+ * so curators can fix the source sheet.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Splits a domain cell into individual names (pipe-separated text or an array)
+ * @param {*} value - Raw domain cell
+ * @returns {Array<string>} Trimmed, non-empty domain names
+ */
+const splitDomainNames = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split('|');
+  return list.map(name => String(name).trim()).filter(name => name.length > 0);
+};
+
+/**
+ * Checks whether a cell is empty
+ * @param {*} value - Raw cell value
+ * @returns {boolean} True for undefined, null or whitespace-only strings
+ */
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validates raw rows and lists every problem found
+ * @param {Array<Object>} rows - Rows keyed by column name, from the data source
+ * @param {Object} options - Validation context
+ * @param {Object} options.fields - Field mapping of signal property to column name
+ * @param {Object} options.domainNameMapping - Lowercased domain name to domain ID
+ * @param {Object} options.categoryNameMapping - Lowercased category name to label
+ * @returns {Array<Object>} Issues as { recordId, row, field, column, severity, problem, value }
+ */
+export const validateRecords = (rows, { fields, domainNameMapping, categoryNameMapping }) => {
+  const issues = [];
+  const firstRowById = new Map();
+
+  rows.forEach((record, index) => {
+    const rowNumber = index + 1;
+    const rawId = record[fields.id];
+    const recordId = isBlank(rawId) ? null : String(rawId).trim();
+
+    const addIssue = (field, severity, problem, value) => {
+      issues.push({
+        recordId,
+        row: rowNumber,
+        field,
+        column: fields[field],
+        severity,
+        problem,
+        ...(value !== undefined && { value }),
+      });
+    };
+
+    // ID: present and unique
+    if (recordId === null) {
+      addIssue('id', 'error', 'Missing ID');
+    } else if (firstRowById.has(recordId)) {
+      addIssue('id', 'error', `Duplicate ID (first used on row ${firstRowById.get(recordId)})`, recordId);
+    } else {
+      firstRowById.set(recordId, rowNumber);
+    }
+
+    // Title and description
+    if (isBlank(record[fields.title])) {
+      addIssue('title', 'error', 'Missing title');
+    }
+    if (isBlank(record[fields.description])) {
+      addIssue('description', 'warning', 'Missing description');
+    }
+
+    // Domains: at least one, and every name recognised
+    const domainNames = splitDomainNames(record[fields.domains]);
+    const unknownDomains = domainNames.filter(name => !domainNameMapping[name.toLowerCase()]);
+
+    if (domainNames.length === 0) {
+      addIssue('domains', 'error', 'No domain - the signal will not appear on any ring');
+    } else if (unknownDomains.length === domainNames.length) {
+      addIssue('domains', 'error', 'No recognised domain - the signal will not appear on any ring', record[fields.domains]);
+    }
+    unknownDomains.forEach(name => {
+      addIssue('domains', 'warning', `Unknown domain "${name}" was skipped`, name);
+    });
+
+    // Category: recognised by the active scheme
+    const category = record[fields.steepCategory];
+    if (isBlank(category)) {
+      addIssue('steepCategory', 'warning', 'Missing category - shown as Uncategorised');
+    } else if (!categoryNameMapping[String(category).trim().replace(/\s{2,}/g, ' ').toLowerCase()]) {
+      addIssue('steepCategory', 'warning', `Unknown category "${String(category).trim()}" - shown as Uncategorised`, category);
+    }
+  });
+
+  return issues;
+};
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview File Download Helpers
+ * 
+ * Saves generated content (reports, exports) as a file in the browser.
+ * 
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Triggers a browser download of a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke on the next tick; some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Builds a dated file name such as "signal-radar-2025-03-14.png"
+ * @param {string} prefix - File name prefix
+ * @param {string} extension - Extension without the dot
+ * @returns {string} File name
+ */
+export const datedFilename = (prefix, extension) => {
+  return `${prefix}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+};
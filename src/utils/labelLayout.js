@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Signal Label Layout
+ *
+ * Decides how each signal title is drawn around the radar: wrapped onto up
+ * to three lines when there is room, and moved sideways (with a leader line
+ * back to its slot) when neighbouring labels would otherwise overlap.
+ *
+ * Labels run along the radius, so their length is rarely the problem; the
+ * limited resource is the circumference each label's lines take up. Extra
+ * lines go to the titles that lose the most to truncation, as long as the
+ * labels around them leave enough free space, and the font only shrinks when
+ * even single-line labels don't fit.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Default layout settings, in SVG units of the 5000x5000 chart
+ */
+export const LABEL_LAYOUT_DEFAULTS = {
+  fontSize: 40,
+  minFontSize: 16, // Densest radars shrink labels down to this (zoom in to read them)
+  lineHeight: 1.15, // Multiple of the font size
+  maxLines: 3,
+  singleLineWidth: 1150, // Longest single-line label (about 55 characters)
+  wrapWidth: 640, // Line length once a title wraps
+  fill: 0.92, // Share of the circumference labels may cover; the rest keeps them apart
+  leaderLength: 110, // How far outward a moved label starts, leaving room for its leader line
+  captionWidth: 0, // Length of a one-line caption under each title (0: no captions)
+  captionScale: 0.8, // Caption font size as a multiple of the title's
+  ellipsis: '...',
+};
+
+/**
+ * Average glyph width as a share of the font size, for measuring without a canvas
+ */
+const AVERAGE_CHAR_WIDTH = 0.52;
+
+/**
+ * Labels moved by less than this share of a line height are only nudged;
+ * a leader line is drawn for anything further
+ */
+const LEADER_THRESHOLD = 0.5;
+
+/**
+ * A wrapped label takes the room for its extra lines from the free space of
+ * at most this many neighbours on each side, nearest first, which keeps any
+ * sideways move (and its leader line) short
+ */
+const BORROW_REACH = 8;
+
+/**
+ * CSS font family the chart's labels are drawn in
+ */
+export const LABEL_FONT_FAMILY = 'Inter, system-ui, Avenir, Helvetica, Arial, sans-serif';
+
+/**
+ * Creates a text width measurer, using a canvas when the browser has one
+ * @param {string} [fontFamily] - CSS font family of the labels
+ * @returns {Function} measure(text, fontSize) => width in the same units as fontSize
+ */
+export const createTextMeasurer = (fontFamily = LABEL_FONT_FAMILY) => {
+  let context = null;
+  try {
+    context = typeof document !== 'undefined' ? document.createElement('canvas').getContext('2d') : null;
+  } catch {
+    context = null;
+  }
+
+  if (!context) {
+    return (text, fontSize) => text.length * fontSize * AVERAGE_CHAR_WIDTH;
+  }
+
+  // Measured once at a reference size, then scaled
+  const referenceSize = 100;
+  context.font = `${referenceSize}px ${fontFamily}`;
+  const cache = new Map();
+
+  return (text, fontSize) => {
+    let width = cache.get(text);
+    if (width === undefined) {
+      width = context.measureText(text).width;
+      cache.set(text, width);
+    }
+    return (width * fontSize) / referenceSize;
+  };
+};
+
+/**
+ * Shortens text to fit a width, ending it with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} maxWidth - Available width
+ * @param {Function} measureAt - measure(text) at the label's font size
+ * @param {string} ellipsis - Appended to shortened text
+ * @returns {string} The text, shortened if needed
+ */
+const truncateToWidth = (text, maxWidth, measureAt, ellipsis) => {
+  if (measureAt(text) <= maxWidth) return text;
+
+  // Longest prefix that still fits with the ellipsis
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (measureAt(text.slice(0, middle).trimEnd() + ellipsis) <= maxWidth) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return text.slice(0, low).trimEnd() + ellipsis;
+};
+
+/**
+ * Word-wraps a title onto a limited number of lines
+ * @param {string} title - Title to wrap
+ * @param {Object} options - Wrap options
+ * @param {number} options.width - Line width
+ * @param {number} options.maxLines - Most lines to use; the last one is shortened if the title doesn't fit
+ * @param {Function} options.measureAt - measure(text) at the label's font size
+ * @param {string} options.ellipsis - Marks shortened text
+ * @returns {Array<string>} Lines
+ */
+export const wrapTitle = (title, { width, maxLines, measureAt, ellipsis }) => {
+  const words = title.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  let index = 0;
+
+  for (; index < words.length && lines.length < maxLines; index++) {
+    const candidate = current ? `${current} ${words[index]}` : words[index];
+    if (!current || measureAt(candidate) <= width) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = words[index];
+    }
+  }
+
+  // Whatever didn't fit goes on the last line, which is then shortened
+  const rest = words.slice(index).join(' ');
+  if (lines.length === maxLines) {
+    const last = lines.pop();
+    current = [last, current, rest].filter(Boolean).join(' ');
+  } else if (rest) {
+    current = `${current} ${rest}`;
+  }
+  if (current) {
+    lines.push(current);
+  }
+
+  return lines.map(line => truncateToWidth(line, width, measureAt, ellipsis));
+};
+
+/**
+ * Spreads labels around the circle so neighbours don't overlap, moving each
+ * as little as possible. Works like the usual 1D label placement: labels that
+ * collide merge into a cluster centred on their slots, until no cluster
+ * touches the next.
+ * @param {Array<number>} angles - Slot angles in degrees, ascending
+ * @param {Array<number>} widths - Angle each label needs, in degrees
+ * @returns {Array<number>} Label angles in degrees, in the same order
+ */
+export const spreadAngles = (angles, widths) => {
+  const count = angles.length;
+  if (count < 2) return angles.slice();
+
+  const needed = (a, b) => (widths[a] + widths[b]) / 2;
+
+  // Open the circle at the roomiest gap so it can be treated as a line
+  let cutAfter = 0;
+  let mostSlack = -Infinity;
+  for (let i = 0; i < count; i++) {
+    const next = (i + 1) % count;
+    const gap = (angles[next] - angles[i] + 360) % 360 || 360;
+    const slack = gap - needed(i, next);
+    if (slack > mostSlack) {
+      mostSlack = slack;
+      cutAfter = i;
+    }
+  }
+
+  const order = Array.from({ length: count }, (_, k) => (cutAfter + 1 + k) % count);
+  const unwrapped = order.map((labelIndex, k) =>
+    k > 0 && angles[labelIndex] < angles[order[0]] ? angles[labelIndex] + 360 : angles[labelIndex]);
+
+  // Each cluster: its labels, their offsets from the first label, and the sum of (slot - offset)
+  const clusters = [];
+  const lastEndOf = cluster => cluster.start + cluster.offsets[cluster.offsets.length - 1];
+  // Merges the last cluster into the one before it while the two collide
+  const settle = () => {
+    while (clusters.length > 1) {
+      const current = clusters[clusters.length - 1];
+      const previous = clusters[clusters.length - 2];
+      const previousLast = previous.items[previous.items.length - 1];
+      const distance = needed(previousLast, current.items[0]);
+
+      if (current.start - lastEndOf(previous) >= distance) break;
+
+      const base = previous.offsets[previous.offsets.length - 1] + distance;
+      current.items.forEach((item, j) => {
+        const offset = base + current.offsets[j];
+        previous.items.push(item);
+        previous.offsets.push(offset);
+      });
+      previous.sum += current.sum - base * current.items.length;
+      previous.start = previous.sum / previous.items.length;
+      clusters.pop();
+    }
+  };
+
+  order.forEach((labelIndex, k) => {
+    clusters.push({ items: [labelIndex], offsets: [0], sum: unwrapped[k], start: unwrapped[k] });
+    settle();
+  });
+
+  // The last cluster can still run into the first one across the cut; carry
+  // the first cluster a turn round to the end and merge it there
+  const collidesAcrossCut = () => {
+    const first = clusters[0];
+    const last = clusters[clusters.length - 1];
+    return clusters.length > 1 && first.start + 360 - lastEndOf(last) < needed(last.items[last.items.length - 1], first.items[0]);
+  };
+  while (collidesAcrossCut()) {
+    const first = clusters.shift();
+    clusters.push({ ...first, sum: first.sum + 360 * first.items.length, start: first.start + 360 });
+    settle();
+  }
+
+  // Labels that need more than the whole circle: share the shortfall evenly
+  const whole = clusters[0];
+  if (clusters.length === 1 && 360 - whole.offsets[count - 1] < needed(whole.items[count - 1], whole.items[0])) {
+    const totalNeeded = order.reduce((sum, labelIndex, k) => sum + needed(labelIndex, order[(k + 1) % count]), 0);
+    const spare = (360 - totalNeeded) / count;
+    const offsets = [0];
+    for (let k = 1; k < count; k++) {
+      offsets.push(offsets[k - 1] + needed(order[k - 1], order[k]) + spare);
+    }
+    const start = offsets.reduce((sum, offset, k) => sum + unwrapped[k] - offset, 0) / count;
+    clusters.splice(0, clusters.length, { items: order, offsets, start });
+  }
+
+  const result = new Array(count);
+  clusters.forEach(cluster => {
+    cluster.items.forEach((item, j) => {
+      result[item] = (((cluster.start + cluster.offsets[j]) % 360) + 360) % 360;
+    });
+  });
+  return result;
+};
+
+/**
+ * Lays out every signal label
+ * @param {Array<Object>} labels - One entry per signal, in slot order: { title, reserveWidth, caption }
+ *   where reserveWidth is room kept for extras such as the participant star and caption
+ *   is text for the caption line (used when options.captionWidth is set)
+ * @param {Object} options - Layout options (see LABEL_LAYOUT_DEFAULTS)
+ * @param {number} options.radius - Radius where labels start
+ * @param {Function} [options.measure] - measure(text, fontSize) => width; estimated if omitted
+ * @returns {Array<Object>} Per label: { lines, caption, width, fontSize, captionFontSize, lineHeight,
+ *   slotAngle, angle, radius, hasLeader } where caption is null when there is none, width is
+ *   the longest line plus reserveWidth, angle is where the label is drawn,
+ *   slotAngle where its leader line starts and radius where its inner end sits
+ */
+export const layoutSignalLabels = (labels, { radius, measure = createTextMeasurer(), ...overrides }) => {
+  const settings = { ...LABEL_LAYOUT_DEFAULTS, ...overrides };
+  const count = labels.length;
+  if (count === 0) return [];
+
+  const slotAngles = labels.map((_, index) => ((index + 0.5) / count) * 360);
+  const capacity = 2 * Math.PI * radius * settings.fill;
+  // A caption takes a line of its own (counted at full height, to keep it simple)
+  const captionLines = settings.captionWidth > 0 ? 1 : 0;
+
+  // Shrink the font only if single-line labels can't fit around the circle
+  const fontSize = Math.max(
+    settings.minFontSize,
+    Math.min(settings.fontSize, capacity / (count * settings.lineHeight * (1 + captionLines)))
+  );
+  const lineHeight = fontSize * settings.lineHeight;
+
+  const lineSets = labels.map(({ title, reserveWidth = 0 }) => {
+    const measureAt = text => measure(text, fontSize);
+    const text = String(title || '').trim();
+    const singleLine = [truncateToWidth(text, settings.singleLineWidth - reserveWidth, measureAt, settings.ellipsis)];
+    const isShortened = singleLine[0] !== text;
+
+    return {
+      singleLine,
+      // Only titles that don't fit on one line are worth wrapping
+      wrap: isShortened
+        ? maxLines => wrapTitle(text, { width: settings.wrapWidth - reserveWidth, maxLines, measureAt, ellipsis: settings.ellipsis })
+        : null,
+      hidden: isShortened ? text.length - singleLine[0].length : 0,
+    };
+  });
+
+  // Slots are evenly spaced, so once single-line labels are spread each has
+  // its share of the circle; what its lines leave over is free space
+  const chosen = lineSets.map(set => set.singleLine);
+  const freeSpace = labels.map(() => Math.max(0, capacity / count - (1 + captionLines) * lineHeight));
+  const reach = Math.min(BORROW_REACH, Math.floor((count - 1) / 2));
+
+  /**
+   * Takes room for a label's extra lines from its own free space, then its
+   * neighbours' on both sides, nearest first
+   * @param {number} index - Label index
+   * @param {number} needed - Room needed, in units of the circumference
+   * @returns {boolean} True if taken; false (taking nothing) if the free space nearby is too small
+   */
+  const takeFreeSpace = (index, needed) => {
+    const donors = [index];
+    for (let step = 1; step <= reach; step++) {
+      donors.push((index - step + count) % count, (index + step) % count);
+    }
+    const available = donors.reduce((sum, donor) => sum + freeSpace[donor], 0);
+    if (available < needed) return false;
+
+    let remaining = needed;
+    for (const donor of donors) {
+      const taken = Math.min(freeSpace[donor], remaining);
+      freeSpace[donor] -= taken;
+      remaining -= taken;
+      if (remaining <= 0) break;
+    }
+    return true;
+  };
+
+  // Give extra lines to the most shortened titles first, as many as the free
+  // space around each one allows
+  lineSets
+    .map((set, index) => ({ index, set }))
+    .filter(({ set }) => set.wrap && settings.maxLines > 1)
+    .sort((a, b) => b.set.hidden - a.set.hidden)
+    .forEach(({ index, set }) => {
+      for (let lineCount = settings.maxLines; lineCount > 1; lineCount--) {
+        const lines = set.wrap(lineCount);
+        // A short title can need fewer lines than allowed
+        if (lines.length > 1 && takeFreeSpace(index, (lines.length - 1) * lineHeight)) {
+          chosen[index] = lines;
+          return;
+        }
+      }
+    });
+
+  // Angle each label's lines cover at the starting radius; labels that can't
+  // all fit even at the smallest font stay in their slots
+  const toDegrees = 180 / Math.PI;
+  const widths = chosen.map(lines => (((lines.length + captionLines) * lineHeight) / radius) * toDegrees);
+  const totalWidth = widths.reduce((sum, width) => sum + width, 0);
+  const angles = totalWidth <= 360 ? spreadAngles(slotAngles, widths) : slotAngles;
+
+  const captionFontSize = fontSize * settings.captionScale;
+
+  return chosen.map((lines, index) => {
+    const captionText = captionLines ? String(labels[index].caption || '').replace(/\s+/g, ' ').trim() : '';
+    const displacement = Math.abs(((angles[index] - slotAngles[index] + 540) % 360) - 180);
+    const hasLeader = (displacement / toDegrees) * radius > lineHeight * LEADER_THRESHOLD;
+    return {
+      lines,
+      caption: captionText
+        ? truncateToWidth(captionText, settings.captionWidth, text => measure(text, captionFontSize), settings.ellipsis)
+        : null,
+      width: Math.max(...lines.map(line => measure(line, fontSize))) + (labels[index].reserveWidth || 0),
+      fontSize,
+      captionFontSize,
+      lineHeight,
+      slotAngle: slotAngles[index],
+      angle: angles[index],
+      radius: hasLeader ? radius + settings.leaderLength : radius,
+      hasLeader,
+    };
+  });
+};
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Zoom Level of Detail
+ *
+ * Semantic zoom for the radar: the further in you zoom, the more each signal
+ * shows. Zoomed out, signals are numbered markers; at the normal scale they
+ * carry wrapped (and if need be shortened) titles; zoomed in, they show the
+ * full title with the start of the description underneath.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Levels of detail, from least to most
+ */
+export const DETAIL_LEVELS = {
+  overview: 'overview',
+  standard: 'standard',
+  detailed: 'detailed',
+};
+
+/**
+ * Zoom scales where the level changes
+ */
+const DETAIL_THRESHOLDS = {
+  standard: 0.8, // Below this: overview
+  detailed: 2, // From this up: detailed
+};
+
+/**
+ * What each level draws
+ * - labels: overrides for layoutSignalLabels (null draws markers instead of titles)
+ * - domainFontSize: size of the domain names between the rings
+ * - domainLabelAngles: where each domain name appears; null keeps the single
+ *   name at the bottom (or beside the selected signal)
+ * - centreCaption: whether to write the signal count under the centre image
+ * - centreImageOpacity: how strongly the centre image shows
+ */
+export const DETAIL_LEVEL_SETTINGS = {
+  [DETAIL_LEVELS.overview]: {
+    labels: null,
+    domainFontSize: 64,
+    domainLabelAngles: null,
+    centreCaption: true,
+    centreImageOpacity: 1,
+  },
+  [DETAIL_LEVELS.standard]: {
+    labels: {},
+    domainFontSize: 42,
+    domainLabelAngles: null,
+    centreCaption: false,
+    centreImageOpacity: 1,
+  },
+  [DETAIL_LEVELS.detailed]: {
+    // Smaller text, never shortened, with a description line under each title
+    labels: { fontSize: 24, minFontSize: 4, maxLines: 1, singleLineWidth: Infinity, captionWidth: 1100 },
+    domainFontSize: 30,
+    // Only part of a ring is in view, so repeat the name all the way round
+    domainLabelAngles: [22.5, 67.5, 112.5, 157.5, 202.5, 247.5, 292.5, 337.5],
+    centreCaption: false,
+    centreImageOpacity: 0.5,
+  },
+};
+
+/**
+ * Picks the level of detail for a zoom scale
+ * @param {number} scale - d3-zoom scale (1 is the initial view)
+ * @returns {string} One of DETAIL_LEVELS
+ */
+export const getDetailLevel = (scale) => {
+  if (scale < DETAIL_THRESHOLDS.standard) return DETAIL_LEVELS.overview;
+  if (scale >= DETAIL_THRESHOLDS.detailed) return DETAIL_LEVELS.detailed;
+  return DETAIL_LEVELS.standard;
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Load Error Classification
+ *
+ * Turns whatever went wrong while loading the signals into one of a few
+ * states the error screen can explain: missing configuration, refused
+ * credentials, a datasheet or file that doesn't exist, rate limiting, no
+ * connection, and data in an unexpected shape.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { getErrorStatus } from './apiUtils.js';
+
+/**
+ * Error names thrown when the app's own settings are wrong (see src/config)
+ */
+const CONFIGURATION_ERROR_NAMES = ['ConfigurationError', 'FieldMappingError', 'CategorySchemeError'];
+
+/**
+ * Walks an error and its causes (PaginationError -> RequestError -> axios error)
+ * @param {Error} error - Outermost error
+ * @returns {Array<Error>} The error followed by each cause
+ */
+const getErrorChain = (error) => {
+  const chain = [];
+  for (let current = error; current && chain.length < 5; current = current.cause) {
+    chain.push(current);
+  }
+  return chain;
+};
+
+/**
+ * Formats a Retry-After delay for people
+ * @param {number|null} ms - Delay in milliseconds
+ * @returns {string} E.g. "in about 2 minutes", or "in a little while"
+ */
+const formatWait = (ms) => {
+  if (!ms) return 'in a little while';
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 90 ? `in about ${seconds} seconds` : `in about ${Math.ceil(seconds / 60)} minutes`;
+};
+
+/**
+ * Classifies a data load failure and picks the guidance to show
+ * @param {Error} error - Error from the data load
+ * @param {Object} context - Load context
+ * @param {string} context.sourceType - Data source type ('aitable', 'json' or 'csv')
+ * @param {string} context.sourceLabel - Human-readable data source name
+ * @param {boolean} [context.isOnline] - Whether the browser reports a connection
+ * @returns {{kind: string, title: string, message: string, hints: Array<string>, details: string}}
+ *   kind is one of 'configuration', 'auth', 'notFound', 'rateLimited', 'offline',
+ *   'malformed', 'unavailable' or 'unknown'; details is the raw error message
+ */
+export const describeLoadError = (error, { sourceType, sourceLabel, isOnline = navigator.onLine }) => {
+  const chain = getErrorChain(error);
+  const status = chain.map(getErrorStatus).find(code => code !== null) ?? null;
+  const body = chain.find(err => err.response?.data)?.response.data;
+  const isRequestFailure = chain.some(err => err.name === 'RequestError');
+  const details = error?.message || String(error);
+  const isAitable = sourceType === 'aitable';
+
+  if (chain.some(err => CONFIGURATION_ERROR_NAMES.includes(err.name)) || body?.code === 'MISSING_CONFIGURATION') {
+    const missing = Array.isArray(body?.missing) ? body.missing : [];
+    return {
+      kind: 'configuration',
+      title: 'The app is not fully configured',
+      message: missing.length > 0
+        ? `The server needs ${missing.join(' and ')} to load the signals.`
+        : details,
+      hints: [
+        missing.length > 0
+          ? 'Set the missing variables in .env (or your host\'s config vars) and restart the server.'
+          : 'Fix the setting named above in .env and rebuild the app.',
+        'See .env.example for every available setting.',
+      ],
+      details,
+    };
+  }
+
+  if (status === 401 || status === 403) {
+    return {
+      kind: 'auth',
+      title: 'Access to the data was refused',
+      message: isAitable
+        ? 'AITable did not accept the API token.'
+        : `${sourceLabel} refused the request (HTTP ${status}).`,
+      hints: isAitable
+        ? ['Check AITABLE_TOKEN on the server and that the token has access to the datasheet.', 'Tokens can be regenerated in AITable under "Developer configuration".']
+        : ['Check that the file is publicly readable at VITE_DATA_URL.'],
+      details,
+    };
+  }
+
+  if (status === 404) {
+    return {
+      kind: 'notFound',
+      title: 'The data could not be found',
+      message: isAitable
+        ? 'AITable has no datasheet with the configured ID.'
+        : `There is no ${sourceLabel} file at the configured address.`,
+      hints: isAitable
+        ? ['Check SCAN_HITS_DATASHEET_ID (and DOMAINS_DATASHEET_ID, if set) against the datasheet URL in AITable.']
+        : ['Check VITE_DATA_URL, or place the file in public/data/.'],
+      details,
+    };
+  }
+
+  if (status === 429) {
+    const retryAfter = chain.find(err => err.retryAfter)?.retryAfter ?? null;
+    return {
+      kind: 'rateLimited',
+      title: 'Too many requests',
+      message: `${sourceLabel} is limiting requests right now.`,
+      hints: [`Try again ${formatWait(retryAfter)}.`],
+      details,
+    };
+  }
+
+  if (isRequestFailure && status === null && !isOnline) {
+    return {
+      kind: 'offline',
+      title: 'You are offline',
+      message: 'The signals can\'t be loaded without an internet connection.',
+      hints: ['They will load as soon as the connection is back.'],
+      details,
+    };
+  }
+
+  if (chain.some(err => err.name === 'DataFormatError' || (err.name === 'PaginationError' && !err.cause))) {
+    return {
+      kind: 'malformed',
+      title: 'The data arrived in an unexpected format',
+      message: details,
+      hints: [
+        isAitable
+          ? 'Check that the server proxy points at AITable (AITABLE_API_URL).'
+          : 'Check that VITE_DATA_URL points at the export itself, not a web page.',
+        'If the sheet is being edited, try again in a moment.',
+      ],
+      details,
+    };
+  }
+
+  if (isRequestFailure && (status === null || status >= 500)) {
+    return {
+      kind: 'unavailable',
+      title: `${sourceLabel} could not be reached`,
+      message: status === null
+        ? 'The request did not get a response.'
+        : `The data service answered with an error (HTTP ${status}).`,
+      hints: [
+        'Check your internet connection.',
+        isAitable ? 'If it keeps happening, check that the server is running and AITable is up.' : 'If it keeps happening, check that the server is running.',
+      ],
+      details,
+    };
+  }
+
+  return {
+    kind: 'unknown',
+    title: 'Unable to load data',
+    message: details,
+    hints: ['Try again; if the problem persists, check the browser console for details.'],
+    details,
+  };
+};
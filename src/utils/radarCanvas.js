@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Radar Canvas Renderer
+ *
+ * Draws a radar layout (see computeRadarLayout in radarLayout.js) on an HTML
+ * canvas and finds the signal under the pointer. The SVG chart creates
+ * several elements per signal, which gets slow to lay out and repaint once a
+ * scan has thousands of signals; a canvas stays one element however many
+ * there are. SVG remains the default renderer, and exports and the print
+ * report always use it.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { LABEL_FONT_FAMILY } from './labelLayout.js';
+
+/**
+ * Chart renderers; auto picks canvas above a signal count
+ */
+export const CHART_RENDERERS = {
+  svg: 'svg',
+  canvas: 'canvas',
+  auto: 'auto',
+};
+
+/**
+ * Above this many signals the auto setting draws on a canvas
+ */
+export const CANVAS_RENDERER_THRESHOLD = 500;
+
+/**
+ * Colours and sizes the SVG chart sets inline, for drawing the same marks here
+ */
+const CANVAS_STYLE = {
+  star: '⭐',
+  starScale: 1.2, // Star size as a multiple of the label's font size
+  starGap: 0.2, // Space between star and title, as a multiple of the font size
+  captionColor: '#6B7280',
+  centreCaption: { color: '#1f2937', outline: '#ffffff', outlineWidth: 12, countSize: 160, textSize: 64, lineGap: 100 },
+  boundaryColor: '#e5e7eb',
+  boundaryWidth: 3,
+  segmentOutline: '#ffffff',
+  segmentOutlineWidth: 3,
+  leaderWidth: 2,
+  markerOutlineWidth: 3,
+};
+
+/**
+ * Picks the renderer for a radar
+ * @param {number} signalCount - Number of signals on the radar
+ * @param {string} [setting] - One of CHART_RENDERERS (anything else counts as auto)
+ * @param {number} [threshold] - Signal count above which auto picks canvas
+ * @returns {string} CHART_RENDERERS.svg or CHART_RENDERERS.canvas
+ */
+export const chooseChartRenderer = (signalCount, setting = CHART_RENDERERS.auto, threshold = CANVAS_RENDERER_THRESHOLD) => {
+  if (setting === CHART_RENDERERS.svg || setting === CHART_RENDERERS.canvas) return setting;
+  return signalCount > threshold ? CHART_RENDERERS.canvas : CHART_RENDERERS.svg;
+};
+
+/**
+ * Where the layout's square viewBox sits in a box of the given size, centred
+ * and scaled to fit as an SVG with the default preserveAspectRatio would be
+ * @param {number} width - Box width in CSS pixels
+ * @param {number} height - Box height in CSS pixels
+ * @param {Object} geometry - Layout geometry (the viewBox is twice the centre)
+ * @returns {Object} { x, y, scale }
+ */
+export const fitViewBox = (width, height, geometry) => {
+  const viewBoxWidth = geometry.centerX * 2;
+  const viewBoxHeight = geometry.centerY * 2;
+  const scale = Math.min(width / viewBoxWidth, height / viewBoxHeight);
+  return {
+    x: (width - viewBoxWidth * scale) / 2,
+    y: (height - viewBoxHeight * scale) / 2,
+    scale,
+  };
+};
+
+/**
+ * Strokes a circle
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Centre x
+ * @param {number} y - Centre y
+ * @param {number} radius - Radius
+ * @param {Object} style - SVG-style { stroke, strokeWidth, opacity }
+ */
+const strokeCircle = (ctx, x, y, radius, { stroke, strokeWidth, opacity }) => {
+  ctx.globalAlpha = opacity;
+  ctx.strokeStyle = stroke;
+  ctx.lineWidth = strokeWidth;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.stroke();
+};
+
+/**
+ * Draws a signal's label: its lines, the participant star and any caption
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} label - Item of layout.labels
+ * @param {Object} style - { fill, opacity, bold }
+ */
+const drawLabel = (ctx, label, { fill, opacity, bold }) => {
+  const titleFont = `${bold ? 'bold ' : ''}${label.fontSize}px ${LABEL_FONT_FAMILY}`;
+  const starFont = `${label.fontSize * CANVAS_STYLE.starScale}px ${LABEL_FONT_FAMILY}`;
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  ctx.translate(label.x, label.y);
+  ctx.rotate((label.rotation * Math.PI) / 180);
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = fill;
+
+  label.lines.forEach((line, lineIndex) => {
+    const y = label.firstLineOffset + lineIndex * label.lineHeight;
+    ctx.font = titleFont;
+
+    const starSide = lineIndex === 0 ? label.starSide : null;
+    if (!starSide) {
+      ctx.textAlign = 'center';
+      ctx.fillText(line, 0, y);
+      return;
+    }
+
+    // Centre title and star together, the star at the outer end
+    const textWidth = ctx.measureText(line).width;
+    ctx.font = starFont;
+    const starWidth = ctx.measureText(CANVAS_STYLE.star).width;
+    const gap = label.fontSize * CANVAS_STYLE.starGap;
+    const left = -(textWidth + gap + starWidth) / 2;
+    const textX = starSide === 'start' ? left + starWidth + gap : left;
+    const starX = starSide === 'start' ? left : left + textWidth + gap;
+
+    ctx.textAlign = 'left';
+    ctx.fillText(CANVAS_STYLE.star, starX, y);
+    ctx.font = titleFont;
+    ctx.fillText(line, textX, y);
+  });
+
+  if (label.caption) {
+    ctx.textAlign = 'center';
+    ctx.font = `${label.captionFontSize}px ${LABEL_FONT_FAMILY}`;
+    ctx.fillStyle = CANVAS_STYLE.captionColor;
+    ctx.fillText(label.caption, 0, label.firstLineOffset + label.lines.length * label.lineHeight);
+  }
+
+  ctx.restore();
+};
+
+/**
+ * Draws a zoomed-out marker: a dot and, where there is room, its number
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} marker - Item of layout.markers
+ * @param {Object} style - { fill, opacity, dotFill }
+ */
+const drawMarker = (ctx, marker, { fill, opacity, dotFill }) => {
+  ctx.globalAlpha = opacity;
+  ctx.beginPath();
+  ctx.arc(marker.x, marker.y, marker.radius, 0, Math.PI * 2);
+  ctx.fillStyle = dotFill;
+  ctx.fill();
+  ctx.strokeStyle = fill;
+  ctx.lineWidth = CANVAS_STYLE.markerOutlineWidth;
+  ctx.stroke();
+
+  if (marker.number) {
+    ctx.font = `bold ${marker.number.fontSize}px ${LABEL_FONT_FAMILY}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = fill;
+    ctx.fillText(marker.number.text, marker.number.x, marker.number.y);
+  }
+};
+
+/**
+ * Draws the radar in the same order as the SVG chart: rings, centre image and
+ * caption, boundary lines, coloured segments, leader lines, then the labels
+ * or markers. Domain names and click targets are left to the SVG on top.
+ * @param {CanvasRenderingContext2D} ctx - Context of a canvas sized width x height x pixelRatio
+ * @param {Object} layout - Radar layout from computeRadarLayout
+ * @param {Object} options - Drawing options
+ * @param {number} options.width - Canvas width in CSS pixels
+ * @param {number} options.height - Canvas height in CSS pixels
+ * @param {number} [options.pixelRatio] - Device pixels per CSS pixel
+ * @param {Object} [options.transform] - d3-zoom transform { x, y, k } in viewBox units
+ * @param {Object} options.styles - How each mark looks right now (selection, filters, focus):
+ *   ring(index) and centreRing() => { stroke, strokeWidth, opacity };
+ *   centreImage: { image, opacity } (image drawn once loaded);
+ *   centreCaption: text under the count, or null; centreCount: the count;
+ *   boundaryOpacity(index); segment(segment) => { fill, opacity };
+ *   leader(index) => { color, opacity };
+ *   signal(index) => { fill, opacity, bold, dotFill }
+ */
+export const drawRadar = (ctx, layout, { width, height, pixelRatio = 1, transform = { x: 0, y: 0, k: 1 }, styles }) => {
+  const { centre } = layout;
+  const fit = fitViewBox(width, height, layout.geometry);
+
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.translate(fit.x, fit.y);
+  ctx.scale(fit.scale, fit.scale);
+  ctx.translate(transform.x, transform.y);
+  ctx.scale(transform.k, transform.k);
+
+  layout.rings.forEach((ring, index) => strokeCircle(ctx, centre.x, centre.y, ring.radius, styles.ring(index)));
+
+  const { image, opacity: imageOpacity } = styles.centreImage;
+  if (image && image.complete && image.naturalWidth > 0) {
+    ctx.globalAlpha = imageOpacity;
+    ctx.drawImage(image, centre.image.x, centre.image.y, centre.image.width, centre.image.height);
+  }
+
+  if (styles.centreCaption) {
+    const caption = CANVAS_STYLE.centreCaption;
+    ctx.globalAlpha = 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = caption.outline;
+    ctx.lineWidth = caption.outlineWidth;
+    ctx.fillStyle = caption.color;
+    [
+      { text: String(styles.centreCount), font: `bold ${caption.countSize}px ${LABEL_FONT_FAMILY}`, y: centre.y },
+      { text: styles.centreCaption, font: `${caption.textSize}px ${LABEL_FONT_FAMILY}`, y: centre.y + caption.lineGap },
+    ].forEach(({ text, font, y }) => {
+      ctx.font = font;
+      ctx.strokeText(text, centre.x, y);
+      ctx.fillText(text, centre.x, y);
+    });
+  }
+
+  strokeCircle(ctx, centre.x, centre.y, centre.ringRadius, styles.centreRing());
+
+  ctx.strokeStyle = CANVAS_STYLE.boundaryColor;
+  ctx.lineWidth = CANVAS_STYLE.boundaryWidth;
+  layout.boundaries.forEach(boundary => {
+    ctx.globalAlpha = styles.boundaryOpacity(boundary.index);
+    ctx.beginPath();
+    ctx.moveTo(boundary.x1, boundary.y1);
+    ctx.lineTo(boundary.x2, boundary.y2);
+    ctx.stroke();
+  });
+
+  ctx.strokeStyle = CANVAS_STYLE.segmentOutline;
+  ctx.lineWidth = CANVAS_STYLE.segmentOutlineWidth;
+  layout.segments.forEach(segment => {
+    const { fill, opacity } = styles.segment(segment);
+    const path = new Path2D(segment.d);
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = fill;
+    ctx.fill(path);
+    ctx.stroke(path);
+  });
+
+  ctx.lineWidth = CANVAS_STYLE.leaderWidth;
+  layout.leaders.forEach(leader => {
+    const { color, opacity } = styles.leader(leader.index);
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = color;
+    ctx.stroke(new Path2D(leader.d));
+  });
+
+  layout.labels.forEach(label => drawLabel(ctx, label, styles.signal(label.index)));
+  layout.markers.forEach(marker => drawMarker(ctx, marker, styles.signal(marker.index)));
+
+  ctx.globalAlpha = 1;
+};
+
+/**
+ * Finds the signal whose label or marker is at a point. Crowded labels'
+ * boxes overlap, so the one whose middle line is closest wins.
+ * @param {Object} layout - Radar layout from computeRadarLayout
+ * @param {Object} point - { x, y } in viewBox units (before the zoom transform)
+ * @param {number} [tolerance] - Extra margin around each label or marker, in viewBox units
+ * @returns {number} Signal index, or -1 if there is none
+ */
+export const hitTestSignal = (layout, point, tolerance = 0) => {
+  let hit = -1;
+  let closest = Infinity;
+
+  layout.labels.forEach(label => {
+    // Turn the point into the label's own frame, where its box is upright
+    const angle = (-label.rotation * Math.PI) / 180;
+    const dx = point.x - label.x;
+    const dy = point.y - label.y;
+    const along = Math.abs(dx * Math.cos(angle) - dy * Math.sin(angle));
+    const across = Math.abs(dx * Math.sin(angle) + dy * Math.cos(angle));
+    const rows = label.lines.length + (label.caption ? 1 : 0);
+    if (along <= label.width / 2 + tolerance &&
+      across <= (rows * label.lineHeight) / 2 + tolerance &&
+      across < closest) {
+      hit = label.index;
+      closest = across;
+    }
+  });
+
+  layout.markers.forEach(marker => {
+    const distance = Math.hypot(point.x - marker.x, point.y - marker.y);
+    if (distance <= marker.radius + tolerance && distance < closest) {
+      hit = marker.index;
+      closest = distance;
+    }
+  });
+
+  return hit;
+};
@@ -0,0 +1,390 @@
+/**
+ * @fileoverview Radar Layout Engine
+ *
+ * Computes everything the radar draws as plain data: the domain rings, each
+ * signal's boundary line and coloured segments, the click targets, signal
+ * labels (or markers when zoomed out) with their leader lines, and the domain
+ * names. Nothing here touches React or the DOM, so the output can be checked
+ * headlessly, drawn by the chart, or rendered on a server.
+ *
+ * Angles are in degrees, clockwise from 12 o'clock. Coordinates are in the
+ * chart's 5000 x 5000 viewBox unless other geometry is passed in.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Utility imports
+import { createTextMeasurer, layoutSignalLabels } from './labelLayout.js';
+import { DETAIL_LEVEL_SETTINGS, DETAIL_LEVELS } from './levelOfDetail.js';
+
+/**
+ * Default radar geometry
+ */
+export const RADAR_LAYOUT_DEFAULTS = {
+  centerX: 2500,
+  centerY: 2500,
+  innerRingRadius: 225, // Ring around the centre image; the innermost domain starts here
+  outerDomainRadius: 1275, // Outermost domain ring; rings are spaced evenly inside it
+  scanHitRadius: 1350, // This is the radius of the outermost ring
+  centreImageSize: 600,
+  positioning: {
+    desiredGap: 3,
+    baseOffset: 75,
+    microAdjustment: 2.5,
+  },
+  starWidth: 56, // Participant star and its gap, kept free beside a label
+  leaderGap: 8, // Space between the end of a leader line and its label
+  markers: { // Signals when zoomed out
+    maxRadius: 16,
+    fontSize: 120,
+    numberSpacing: 260, // Least distance between marker numbers around the circle
+  },
+  selectedDomainLabelOffset: 15, // Degrees between a selected signal and the names of its domains
+};
+
+/**
+ * Converts polar coordinates to cartesian coordinates
+ * @param {number} centerX - X coordinate of the center point
+ * @param {number} centerY - Y coordinate of the center point
+ * @param {number} radius - Distance from center
+ * @param {number} angleInDegrees - Angle in degrees (0-360)
+ * @returns {Object} Object with x and y cartesian coordinates
+ */
+export const polarToCartesian = (centerX, centerY, radius, angleInDegrees) => {
+  const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
+  return {
+    x: centerX + (radius * Math.cos(angleInRadians)),
+    y: centerY + (radius * Math.sin(angleInRadians))
+  };
+};
+
+/**
+ * Creates an SVG arc path between two radii
+ * @param {number} centerX - X coordinate of the center point
+ * @param {number} centerY - Y coordinate of the center point
+ * @param {number} innerRadius - Inner radius of the arc
+ * @param {number} outerRadius - Outer radius of the arc
+ * @param {number} startAngle - Start angle in degrees (0-360)
+ * @param {number} endAngle - End angle in degrees (0-360)
+ * @returns {string} SVG path string for the arc
+ */
+export const createArcPath = (centerX, centerY, innerRadius, outerRadius, startAngle, endAngle) => {
+  const startAngleRad = (startAngle - 90) * Math.PI / 180;
+  const endAngleRad = (endAngle - 90) * Math.PI / 180;
+
+  const x1 = centerX + innerRadius * Math.cos(startAngleRad);
+  const y1 = centerY + innerRadius * Math.sin(startAngleRad);
+  const x2 = centerX + outerRadius * Math.cos(startAngleRad);
+  const y2 = centerY + outerRadius * Math.sin(startAngleRad);
+  const x3 = centerX + outerRadius * Math.cos(endAngleRad);
+  const y3 = centerY + outerRadius * Math.sin(endAngleRad);
+  const x4 = centerX + innerRadius * Math.cos(endAngleRad);
+  const y4 = centerY + innerRadius * Math.sin(endAngleRad);
+
+  const largeArcFlag = endAngle - startAngle <= 180 ? "0" : "1";
+
+  return `M ${x1} ${y1} L ${x2} ${y2} A ${outerRadius} ${outerRadius} 0 ${largeArcFlag} 1 ${x3} ${y3} L ${x4} ${y4} A ${innerRadius} ${innerRadius} 0 ${largeArcFlag} 0 ${x1} ${y1} Z`;
+};
+
+/**
+ * Creates a full circle annulus (ring) path for clickable domain areas
+ * @param {number} centerX - X coordinate of the center point
+ * @param {number} centerY - Y coordinate of the center point
+ * @param {number} innerRadius - Inner radius of the annulus
+ * @param {number} outerRadius - Outer radius of the annulus
+ * @returns {string} SVG path string for the full circle annulus
+ */
+export const createFullAnnulusPath = (centerX, centerY, innerRadius, outerRadius) => {
+  // Create two semicircular arcs to form a complete circle
+  // This avoids the degenerate case of a 360-degree arc
+  return `
+    M ${centerX - outerRadius} ${centerY}
+    A ${outerRadius} ${outerRadius} 0 0 1 ${centerX + outerRadius} ${centerY}
+    A ${outerRadius} ${outerRadius} 0 0 1 ${centerX - outerRadius} ${centerY}
+    Z
+    M ${centerX - innerRadius} ${centerY}
+    A ${innerRadius} ${innerRadius} 0 0 0 ${centerX + innerRadius} ${centerY}
+    A ${innerRadius} ${innerRadius} 0 0 0 ${centerX - innerRadius} ${centerY}
+    Z
+  `.trim();
+};
+
+/**
+ * Radius where signal labels start (their inner end)
+ * @param {Object} [geometry] - Radar geometry (see RADAR_LAYOUT_DEFAULTS)
+ * @returns {number} Radius
+ */
+export const getLabelRadius = (geometry = RADAR_LAYOUT_DEFAULTS) =>
+  geometry.scanHitRadius + geometry.positioning.desiredGap - geometry.positioning.baseOffset;
+
+/**
+ * Calculates precise text positioning for radial chart labels
+ * Uses continuous angle-based micro-adjustments for uniform spacing.
+ * For a wrapped label the box spans all of its lines, so the width is that
+ * of the longest line and the lines stay centred on one point.
+ * @param {Object} bbox - Text bounding box from getBBox() (only width is used)
+ * @param {number} angle - Angle in degrees (0-360) the label is drawn at
+ * @param {number} radius - Radius where the label should start
+ * @param {Object} [geometry] - Radar geometry (see RADAR_LAYOUT_DEFAULTS)
+ * @returns {Object} Object with x and y coordinates for text positioning
+ */
+export const calculateTextPosition = (bbox, angle, radius, geometry = RADAR_LAYOUT_DEFAULTS) => {
+  const angleInRadians = (angle * Math.PI) / 180;
+  const rotationFactor = Math.abs(Math.sin(angleInRadians * 2)); // Double frequency for 360° coverage
+  const baselineShift = rotationFactor * geometry.positioning.microAdjustment;
+
+  const textHalfWidth = bbox.width / 2;
+  const adjustedRadius = radius + textHalfWidth - baselineShift;
+
+  return polarToCartesian(geometry.centerX, geometry.centerY, adjustedRadius, angle);
+};
+
+/**
+ * Rotation that lays a label along its radius without it reading upside down
+ * @param {number} angle - Label angle in degrees
+ * @returns {number} Rotation in degrees, between -90 and 90
+ */
+export const getLabelRotation = (angle) => {
+  // Calculate base rotation (perpendicular to radius)
+  let rotation = angle + 90;
+
+  // Normalize rotation to keep text right-side-up (between -90 and 90 degrees)
+  while (rotation > 90) {
+    rotation -= 180;
+  }
+  while (rotation < -90) {
+    rotation += 180;
+  }
+  return rotation;
+};
+
+/**
+ * Computes the parts of the radar that only depend on the data: rings, the
+ * centre, each signal's boundary line and coloured segments, and the click
+ * targets. Zooming, selecting and measuring labels leave these unchanged.
+ * @param {Array<Object>} signals - Signals in drawing order (clockwise from the top); uses domains (ids)
+ * @param {Array<Object>} domains - Domains, innermost first; uses id and label
+ * @param {Object} [options] - Layout options
+ * @param {Object} [options.geometry] - Overrides for RADAR_LAYOUT_DEFAULTS
+ * @returns {Object} { geometry, centre, rings, boundaries, segments, domainHitAreas }
+ */
+export const computeRadarGeometry = (signals, domains, { geometry: geometryOverrides = {} } = {}) => {
+  const geometry = { ...RADAR_LAYOUT_DEFAULTS, ...geometryOverrides };
+  const { centerX, centerY } = geometry;
+  const anglePerSignal = signals.length > 0 ? 360 / signals.length : 0;
+
+  // Domain rings, spaced evenly between the centre ring and the outermost ring
+  const ringWidth = domains.length > 0 ? (geometry.outerDomainRadius - geometry.innerRingRadius) / domains.length : 0;
+  const rings = domains.map((domain, index) => ({
+    domainId: domain.id,
+    label: domain.label,
+    innerRadius: geometry.innerRingRadius + ringWidth * index,
+    radius: geometry.innerRingRadius + ringWidth * (index + 1),
+  }));
+  const ringById = Object.fromEntries(rings.map(ring => [ring.domainId, ring]));
+
+  const halfImage = geometry.centreImageSize / 2;
+  const centre = {
+    x: centerX,
+    y: centerY,
+    ringRadius: geometry.innerRingRadius,
+    image: { x: centerX - halfImage, y: centerY - halfImage, width: geometry.centreImageSize, height: geometry.centreImageSize },
+  };
+
+  // Radiating line at the start of each signal's slice, from the centre to the outer ring
+  const boundaries = signals.map((_, index) => {
+    const startAngle = index * anglePerSignal;
+    const inner = polarToCartesian(centerX, centerY, 0, startAngle);
+    const outer = polarToCartesian(centerX, centerY, geometry.scanHitRadius, startAngle);
+    return { index, x1: inner.x, y1: inner.y, x2: outer.x, y2: outer.y };
+  });
+
+  // One coloured segment per domain a signal belongs to, spanning that domain's band
+  const segments = signals.flatMap((signal, index) => {
+    const startAngle = index * anglePerSignal;
+    return (signal.domains || [])
+      .filter(domainId => ringById[domainId])
+      .map(domainId => ({
+        index,
+        domainId,
+        d: createArcPath(centerX, centerY, ringById[domainId].innerRadius, ringById[domainId].radius, startAngle, startAngle + anglePerSignal),
+      }));
+  });
+
+  const domainHitAreas = rings.map(ring => ({
+    domainId: ring.domainId,
+    label: ring.label,
+    d: createFullAnnulusPath(centerX, centerY, ring.innerRadius, ring.radius),
+  }));
+
+  return { geometry, centre, rings, boundaries, segments, domainHitAreas };
+};
+
+/**
+ * Lays out what marks each signal at the outer edge: labels with their leader
+ * lines, or numbered markers when zoomed out
+ * @param {Array<Object>} signals - Signals in drawing order; uses title, description and participantIdentified
+ * @param {Object} geometry - Radar geometry, e.g. computeRadarGeometry(...).geometry
+ * @param {Object} [options] - Layout options
+ * @param {string} [options.detailLevel] - One of DETAIL_LEVELS (default standard)
+ * @param {Function} [options.measure] - measure(text, fontSize) => width; estimated if omitted
+ * @param {Object} [options.labelWidths] - Measured label widths by signal index, e.g. from
+ *   getBBox(); labels without one are placed using the estimated width
+ * @returns {Object} { labels, leaders, markers }; labels is empty when markers are drawn instead
+ */
+export const computeSignalMarks = (signals, geometry, {
+  detailLevel = DETAIL_LEVELS.standard,
+  measure = createTextMeasurer(),
+  labelWidths = {},
+} = {}) => {
+  const { centerX, centerY } = geometry;
+  const detail = DETAIL_LEVEL_SETTINGS[detailLevel] || DETAIL_LEVEL_SETTINGS[DETAIL_LEVELS.standard];
+  const count = signals.length;
+  const labelRadius = getLabelRadius(geometry);
+
+  // Wrapped lines and angles; markers use the standard layout's slots
+  const labelLayout = layoutSignalLabels(
+    signals.map(signal => ({
+      title: signal.title,
+      reserveWidth: signal.participantIdentified ? geometry.starWidth : 0,
+      caption: signal.description,
+    })),
+    { radius: labelRadius, measure, ...(detail.labels || {}) }
+  );
+
+  const labels = detail.labels ? labelLayout.map((layout, index) => {
+    const width = labelWidths[index] ?? layout.width;
+    const position = calculateTextPosition({ width }, layout.angle, layout.radius, geometry);
+    const rowCount = layout.lines.length + (layout.caption ? 1 : 0);
+    return {
+      index,
+      lines: layout.lines,
+      caption: layout.caption,
+      fontSize: layout.fontSize,
+      captionFontSize: layout.captionFontSize,
+      lineHeight: layout.lineHeight,
+      width,
+      // Offset of the first line, so the block of lines is centred on the position
+      firstLineOffset: -((rowCount - 1) / 2) * layout.lineHeight,
+      x: position.x,
+      y: position.y,
+      rotation: getLabelRotation(layout.angle),
+      angle: layout.angle,
+      // The star sits at the end furthest from the centre: after the text on
+      // the right side (0° to 180°), before it on the left
+      starSide: signals[index].participantIdentified ? (layout.angle <= 180 ? 'end' : 'start') : null,
+      isMeasured: labelWidths[index] !== undefined,
+    };
+  }) : [];
+
+  const leaders = detail.labels ? labelLayout
+    .map((layout, index) => ({ layout, index }))
+    .filter(({ layout }) => layout.hasLeader)
+    .map(({ layout, index }) => {
+      const start = polarToCartesian(centerX, centerY, labelRadius, layout.slotAngle);
+      const end = polarToCartesian(centerX, centerY, layout.radius - geometry.leaderGap, layout.angle);
+      return { index, d: `M ${start.x} ${start.y} L ${end.x} ${end.y}` };
+    }) : [];
+
+  // Zoomed out: a dot per slot, sized to the room each signal has, and
+  // numbered (clockwise from the top) only as often as the numbers fit
+  let markers = [];
+  if (!detail.labels && count > 0) {
+    const slotArc = (2 * Math.PI * geometry.scanHitRadius) / count;
+    const markerRadius = Math.min(geometry.markers.maxRadius, slotArc * 0.35);
+    const numberInterval = Math.ceil(geometry.markers.numberSpacing / slotArc);
+    const numberRadius = geometry.scanHitRadius + 2 * markerRadius + 20 + geometry.markers.fontSize * 0.8;
+
+    markers = labelLayout.map((layout, index) => {
+      const dot = polarToCartesian(centerX, centerY, geometry.scanHitRadius + markerRadius + 10, layout.slotAngle);
+      const numberPoint = polarToCartesian(centerX, centerY, numberRadius, layout.slotAngle);
+      return {
+        index,
+        x: dot.x,
+        y: dot.y,
+        radius: markerRadius,
+        number: index % numberInterval === 0
+          ? { x: numberPoint.x, y: numberPoint.y, text: String(index + 1), fontSize: geometry.markers.fontSize }
+          : null,
+      };
+    });
+  }
+
+  return { labels, leaders, markers };
+};
+
+/**
+ * Places the domain names
+ * @param {Array<Object>} signals - Signals in drawing order; uses domains (ids)
+ * @param {Array<Object>} rings - Rings from computeRadarGeometry
+ * @param {Object} geometry - Radar geometry, e.g. computeRadarGeometry(...).geometry
+ * @param {Object} [options] - Layout options
+ * @param {string} [options.detailLevel] - One of DETAIL_LEVELS (default standard)
+ * @param {number} [options.selectedIndex] - Index of the selected signal; its domains'
+ *   names move beside it (-1 for none)
+ * @returns {Array<Object>} One entry per ring: { domainId, label, lines, fontSize, placements }
+ */
+export const computeDomainLabels = (signals, rings, geometry, {
+  detailLevel = DETAIL_LEVELS.standard,
+  selectedIndex = -1,
+} = {}) => {
+  const { centerX, centerY } = geometry;
+  const detail = DETAIL_LEVEL_SETTINGS[detailLevel] || DETAIL_LEVEL_SETTINGS[DETAIL_LEVELS.standard];
+  const anglePerSignal = signals.length > 0 ? 360 / signals.length : 0;
+
+  // Domain names sit midway between their rings: at the bottom, beside the
+  // selected signal if it belongs to the domain, or (zoomed in) repeated all
+  // the way round, turned to follow the ring without reading upside down
+  const selectedSignal = signals[selectedIndex] || null;
+  return rings.map(ring => {
+    const radius = ring.innerRadius + (ring.radius - ring.innerRadius) / 2;
+
+    let placements;
+    if (detail.domainLabelAngles) {
+      placements = detail.domainLabelAngles.map(angle => ({
+        ...polarToCartesian(centerX, centerY, radius, angle),
+        rotation: angle > 90 && angle < 270 ? angle - 180 : angle,
+      }));
+    } else {
+      let angle = 180;
+      if (selectedSignal && (selectedSignal.domains || []).includes(ring.domainId)) {
+        const signalAngle = (selectedIndex + 0.5) * anglePerSignal;
+        // Offset to one side so the name doesn't cover the signal's segments
+        angle = signalAngle + (signalAngle > 180 ? -1 : 1) * geometry.selectedDomainLabelOffset;
+      }
+      placements = [{ ...polarToCartesian(centerX, centerY, radius, angle), rotation: 0 }];
+    }
+
+    // Split long names over two lines
+    const words = ring.label.split(' ');
+    const midPoint = Math.ceil(words.length / 2);
+    const lines = [words.slice(0, midPoint).join(' '), words.slice(midPoint).join(' ')].filter(Boolean);
+
+    return { domainId: ring.domainId, label: ring.label, lines, fontSize: detail.domainFontSize, placements };
+  });
+};
+
+/**
+ * Computes the full radar layout in one call. The chart memoises the three
+ * stages separately so that, say, selecting a signal doesn't redraw every arc.
+ * @param {Array<Object>} signals - Signals in drawing order (clockwise from the top);
+ *   uses title, description, domains (ids) and participantIdentified
+ * @param {Array<Object>} domains - Domains, innermost first; uses id and label
+ * @param {Object} [options] - Options for computeRadarGeometry, computeSignalMarks
+ *   and computeDomainLabels (geometry, detailLevel, measure, labelWidths, selectedIndex)
+ * @returns {Object} { geometry, detailLevel, centre, rings, boundaries, segments,
+ *   domainHitAreas, labels, leaders, markers, domainLabels }. Every item of a per-signal
+ *   list carries the signal's index.
+ */
+export const computeRadarLayout = (signals, domains, options = {}) => {
+  const { detailLevel = DETAIL_LEVELS.standard } = options;
+  const radar = computeRadarGeometry(signals, domains, options);
+
+  return {
+    ...radar,
+    detailLevel,
+    ...computeSignalMarks(signals, radar.geometry, options),
+    domainLabels: computeDomainLabels(signals, radar.rings, radar.geometry, options),
+  };
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Service Worker Registration
+ *
+ * Registers dist/sw.js (built from src/sw.js) in production builds so the app
+ * can be installed and opened offline after one visit. Development builds skip
+ * it, as a cached app shell would hide code changes.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Registers the service worker once the page has loaded, so it does not
+ * compete with the first data fetch
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error.message);
+    });
+  });
+};
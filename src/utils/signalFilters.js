@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Signal Filters
+ *
+ * Multi-facet filter model for the radar. A filter set holds any number of
+ * domains, categories and horizons plus the participant-identified flag.
+ * Values within a facet are alternatives (a signal in any of the selected
+ * domains passes); facets are combined with AND ('all') or OR ('any').
+ *
+ * Filter sets are plain immutable objects so they can live in React state and
+ * be compared, serialised or restored without extra bookkeeping.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Facets that hold a list of values
+ */
+export const LIST_FACETS = ['domains', 'categories', 'horizons'];
+
+/**
+ * Filter set with nothing selected
+ */
+export const EMPTY_FILTERS = Object.freeze({
+  domains: [],
+  categories: [],
+  horizons: [],
+  participantOnly: false,
+  match: 'all',
+});
+
+/**
+ * Adds a value to a facet, or removes it if already selected
+ * @param {Object} filters - Current filter set
+ * @param {string} facet - One of LIST_FACETS
+ * @param {string} value - Domain id, category label or horizon id
+ * @returns {Object} New filter set
+ */
+export const toggleFilterValue = (filters, facet, value) => {
+  const values = filters[facet];
+  return {
+    ...filters,
+    [facet]: values.includes(value)
+      ? values.filter(existing => existing !== value)
+      : [...values, value],
+  };
+};
+
+/**
+ * Counts selected values across every facet (the participant flag counts as one)
+ * @param {Object} filters - Filter set
+ * @returns {number} Number of active filter values
+ */
+export const countActiveFilters = (filters) => {
+  return LIST_FACETS.reduce((total, facet) => total + filters[facet].length, 0) +
+    (filters.participantOnly ? 1 : 0);
+};
+
+/**
+ * Whether any filter value is selected
+ * @param {Object} filters - Filter set
+ * @returns {boolean} True if at least one value is selected
+ */
+export const hasActiveFilters = (filters) => countActiveFilters(filters) > 0;
+
+/**
+ * Returns the only selected value, when exactly one is selected. The side panel
+ * uses this to show the dedicated domain/category/horizon/participant view.
+ * @param {Object} filters - Filter set
+ * @returns {{facet: string, value: *}|null} The single active filter, or null
+ */
+export const getSingleFilter = (filters) => {
+  if (countActiveFilters(filters) !== 1) return null;
+  if (filters.participantOnly) return { facet: 'participantOnly', value: true };
+
+  const facet = LIST_FACETS.find(name => filters[name].length === 1);
+  return { facet, value: filters[facet][0] };
+};
+
+/**
+ * Builds the predicate that decides whether a signal passes the filter set
+ * @param {Object} filters - Filter set
+ * @returns {Function} (scanHit) => boolean; passes everything when no filter is active
+ */
+export const createFilterPredicate = (filters) => {
+  const tests = [];
+
+  // Sets, so each signal is checked in constant time however many values are picked
+  if (filters.domains.length > 0) {
+    const domainIds = new Set(filters.domains);
+    tests.push(scanHit => scanHit.domains.some(domainId => domainIds.has(domainId)));
+  }
+  if (filters.categories.length > 0) {
+    const categories = new Set(filters.categories);
+    tests.push(scanHit => categories.has(scanHit.steepCategory));
+  }
+  if (filters.horizons.length > 0) {
+    const horizons = new Set(filters.horizons);
+    tests.push(scanHit => horizons.has(scanHit.horizon));
+  }
+  if (filters.participantOnly) {
+    tests.push(scanHit => scanHit.participantIdentified);
+  }
+
+  if (tests.length === 0) return () => true;
+
+  return filters.match === 'any'
+    ? scanHit => tests.some(test => test(scanHit))
+    : scanHit => tests.every(test => test(scanHit));
+};
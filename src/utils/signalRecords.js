@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Signal Record Normalisation
+ *
+ * Reads one data source row into a signal of change object. Cells arrive as
+ * whatever the source holds (text from CSV, booleans and arrays from AITable
+ * or JSON, or nothing at all when AITable omits an empty cell), so every
+ * value the chart works with as text comes out as a string.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Cleans text by removing multiple consecutive spaces and normalizing whitespace
+ * @param {string} text - Text to clean
+ * @returns {string} Cleaned text with single spaces
+ */
+export const cleanText = (text) => {
+  if (!text || typeof text !== 'string') return text;
+
+  // Replace multiple consecutive spaces (2 or more) with single space
+  // Also trim leading/trailing whitespace
+  return text.trim().replace(/\s{2,}/g, ' ');
+};
+
+/**
+ * Reads a checkbox-style value that may arrive as a boolean (AITable, JSON) or text (CSV)
+ * @param {*} value - Raw cell value
+ * @returns {boolean} True for true, 1, "true", "yes", "1", "x" or "✓"
+ */
+export const toBoolean = (value) => {
+  if (typeof value === 'string') {
+    return ['true', 'yes', '1', 'x', '✓'].includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+};
+
+/**
+ * Reads a text cell, with empty and missing cells as ''
+ * @param {*} value - Raw cell value
+ * @returns {string} Cleaned text
+ */
+const toText = (value) => cleanText(value === undefined || value === null ? '' : String(value));
+
+/**
+ * Reads one row into a signal of change object
+ * The time horizon and category are left to the caller, which resolves them
+ * against the configured buckets and scheme.
+ * @param {Object} row - Row keyed by column name, from the data source
+ * @param {Object} fields - Field mapping of signal property to column name
+ * @param {Object} domainNameMapping - Lowercased domain name to domain ID (from buildDomainModel)
+ * @returns {Object} Signal with id, title, description, domains, date, source,
+ *   recNumber and participantIdentified; title and description are always strings
+ */
+export const readSignalRow = (row, fields, domainNameMapping) => {
+  // Get the domain string and split by pipe (|) if multiple domains
+  // (multi-select columns from JSON snapshots may already be an array)
+  const domainValue = row[fields.domains] || '';
+  const domainList = Array.isArray(domainValue) ? domainValue : String(domainValue).split('|');
+  // Split by pipe and trim all whitespace (handles spaces before/after pipe)
+  const domainNames = domainList.map(d => String(d).trim()).filter(d => d.length > 0);
+
+  // Map each domain name to its configured domain ID
+  // (unknown names are skipped here and reported by validateRecords)
+  const domains = domainNames
+    .map(name => domainNameMapping[name.toLowerCase()] || null)
+    .filter(d => d !== null); // Remove any unmapped domains
+
+  return {
+    id: row[fields.id],
+    // A missing title is reported by validateRecords; the chart still draws the signal
+    title: toText(row[fields.title]),
+    description: toText(row[fields.description]),
+    domains: domains,
+    date: row[fields.date],
+    source: row[fields.source],
+    recNumber: row[fields.recNumber],
+    participantIdentified: toBoolean(row[fields.participantIdentified]),
+  };
+};
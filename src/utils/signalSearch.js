@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Signal Search
+ *
+ * Case- and accent-insensitive full-text search over signal titles and
+ * descriptions. Every word of the query must appear in the signal; matches in
+ * the title rank above matches found only in the description.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+/**
+ * Queries shorter than this are ignored so single keystrokes don't dim the whole radar
+ */
+export const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Lowercases text and strips diacritics ("Éducation" -> "education")
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+const normalise = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+/**
+ * Splits a query into normalised words
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Words to match, empty if the query is too short
+ */
+const toTerms = (query) => {
+  const normalised = normalise(query).trim();
+  if (normalised.length < MIN_QUERY_LENGTH) return [];
+  return normalised.split(/\s+/).filter(Boolean);
+};
+
+/**
+ * Builds a short excerpt of the text around the first occurrence of a term
+ * @param {string} text - Text to excerpt (e.g. a description)
+ * @param {Array<string>} terms - Normalised search terms
+ * @param {number} [radius=60] - Characters to keep either side of the match
+ * @returns {string|null} Excerpt with ellipses, or null if no term occurs
+ */
+const excerpt = (text, terms, radius = 60) => {
+  const haystack = normalise(text);
+  const position = terms
+    .map(term => haystack.indexOf(term))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  if (position === undefined) return null;
+
+  const start = Math.max(0, position - radius);
+  const end = Math.min(text.length, position + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Searches signals by title and description
+ * @param {Array<Object>} scanHits - Signals of change in ring order
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Matches as { scanHit, index, titleMatch, snippet }, title matches first,
+ *   then in ring order. Empty if the query is shorter than MIN_QUERY_LENGTH.
+ */
+export const searchSignals = (scanHits, query) => {
+  const terms = toTerms(query);
+  if (terms.length === 0) return [];
+
+  const matches = [];
+  scanHits.forEach((scanHit, index) => {
+    const title = normalise(scanHit.title);
+    const text = `${title} ${normalise(scanHit.description)}`;
+    if (!terms.every(term => text.includes(term))) return;
+
+    const titleMatch = terms.every(term => title.includes(term));
+    matches.push({
+      scanHit,
+      index,
+      titleMatch,
+      snippet: titleMatch ? null : excerpt(scanHit.description || '', terms),
+    });
+  });
+
+  return matches.sort((a, b) => (b.titleMatch - a.titleMatch) || (a.index - b.index));
+};
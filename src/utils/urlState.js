@@ -0,0 +1,108 @@
+/**
+ * @fileoverview URL State Encoding
+ *
+ * Converts the chart's shareable state (selected signal, filters, search,
+ * zoom and whether the print report is open) to and from query parameters, e.g.
+ * `?signal=42&domain=equity-access&category=Technological&participant=1&zoom=-1200,-800,2.50`.
+ * Parameters the chart does not own (such as `?admin`) are left untouched.
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+import { EMPTY_FILTERS } from './signalFilters';
+
+/**
+ * Query parameter names owned by the chart
+ */
+const PARAMS = {
+  signal: 'signal',
+  domain: 'domain',
+  category: 'category',
+  horizon: 'horizon',
+  participant: 'participant',
+  match: 'match',
+  zoom: 'zoom',
+  query: 'q',
+  report: 'report',
+};
+
+/**
+ * Serialises URLSearchParams, writing flag parameters with no value as `?admin`
+ * rather than `?admin=` and leaving commas readable (`zoom=-1200,-800,2.50`)
+ * @param {URLSearchParams} params - Parameters to serialise
+ * @returns {string} Search string including the leading "?", or "" if empty
+ */
+const toSearch = (params) => {
+  const search = params.toString()
+    .replace(/=(?=&|$)/g, '')
+    .replace(/%2C/gi, ',');
+  return search ? `?${search}` : '';
+};
+
+/**
+ * Encodes chart state into a search string
+ * @param {Object} state - Chart state
+ * @param {string|null} state.signalId - Id of the selected signal
+ * @param {Object} state.filters - Filter set (see signalFilters)
+ * @param {Object|null} state.transform - Zoom transform { x, y, scale }
+ * @param {string} [state.query] - Search query
+ * @param {boolean} [state.report] - Print report is open
+ * @param {string} [baseSearch=''] - Current search string; parameters the chart doesn't own are kept
+ * @returns {string} Search string including the leading "?", or "" if empty
+ */
+export const encodeUrlState = ({ signalId, filters, transform, query = '', report = false }, baseSearch = '') => {
+  const params = new URLSearchParams(baseSearch);
+  Object.values(PARAMS).forEach(name => params.delete(name));
+
+  if (signalId !== null && signalId !== undefined && signalId !== '') {
+    params.set(PARAMS.signal, String(signalId));
+  }
+  filters.domains.forEach(domainId => params.append(PARAMS.domain, domainId));
+  filters.categories.forEach(category => params.append(PARAMS.category, category));
+  filters.horizons.forEach(horizonId => params.append(PARAMS.horizon, horizonId));
+  if (filters.participantOnly) {
+    params.set(PARAMS.participant, '1');
+  }
+  if (filters.match === 'any') {
+    params.set(PARAMS.match, 'any');
+  }
+  if (query.trim()) {
+    params.set(PARAMS.query, query.trim());
+  }
+  if (transform && (transform.scale !== 1 || Math.round(transform.x) !== 0 || Math.round(transform.y) !== 0)) {
+    params.set(PARAMS.zoom, `${Math.round(transform.x)},${Math.round(transform.y)},${transform.scale.toFixed(2)}`);
+  }
+  if (report) {
+    params.set(PARAMS.report, '');
+  }
+
+  return toSearch(params);
+};
+
+/**
+ * Decodes chart state from a search string. Values are returned as found;
+ * the chart drops ids it does not recognise when restoring.
+ * @param {string} search - Search string (e.g. window.location.search)
+ * @returns {Object} { signalId, filters, transform, query, report }; transform is null when absent or malformed
+ */
+export const decodeUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const zoom = (params.get(PARAMS.zoom) || '').split(',').map(Number);
+  const hasZoom = zoom.length === 3 && zoom.every(Number.isFinite) && zoom[2] > 0;
+
+  return {
+    signalId: params.get(PARAMS.signal),
+    filters: {
+      ...EMPTY_FILTERS,
+      domains: params.getAll(PARAMS.domain),
+      categories: params.getAll(PARAMS.category),
+      horizons: params.getAll(PARAMS.horizon),
+      participantOnly: params.get(PARAMS.participant) === '1',
+      match: params.get(PARAMS.match) === 'any' ? 'any' : 'all',
+    },
+    transform: hasZoom ? { x: zoom[0], y: zoom[1], scale: zoom[2] } : null,
+    query: params.get(PARAMS.query) || '',
+    report: params.has(PARAMS.report),
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Signal Label Layout Tests
+ *
+ * Headless checks of label wrapping and spreading at the production scan's
+ * size, measured with the estimated glyph width.
+ *
+ * Run with: npm test
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Modules under test
+import { layoutSignalLabels, spreadAngles, wrapTitle } from '../src/utils/labelLayout.js';
+import { getLabelRadius } from '../src/utils/radarLayout.js';
+
+/**
+ * Signals in the production scan
+ */
+const PRODUCTION_SIGNAL_COUNT = 141;
+
+const LONG_TITLE = 'Schools rethink timetables, assessment and teacher roles as learning moves between home, community and online spaces';
+
+/**
+ * Builds label inputs where every fourth title is too long for one line
+ * @param {number} count - Number of labels
+ * @returns {Array<Object>} Labels with title and reserveWidth
+ */
+const createLabels = (count) => Array.from({ length: count }, (_, index) => ({
+  title: index % 4 === 3 ? `${LONG_TITLE} (${index + 1})` : `Signal of change ${index + 1}`,
+  reserveWidth: 0,
+}));
+
+describe('layoutSignalLabels', () => {
+  const radius = getLabelRadius();
+
+  test('wraps long titles onto two or three lines at the production signal count', () => {
+    const labels = createLabels(PRODUCTION_SIGNAL_COUNT);
+    const layout = layoutSignalLabels(labels, { radius });
+    const wrapped = layout.filter(label => label.lines.length > 1);
+
+    assert.ok(wrapped.length > 0, 'no title was wrapped');
+    assert.ok(wrapped.every(label => label.lines.length <= 3));
+    assert.ok(wrapped.every(({ lines }) => lines.join(' ').length > 55), 'wrapping showed no more of the title');
+    // Only titles that don't fit on one line wrap
+    layout.forEach((label, index) => {
+      if (!labels[index].title.startsWith('Schools')) assert.deepEqual(label.lines, [labels[index].title]);
+    });
+  });
+
+  test('keeps neighbouring labels apart after spreading', () => {
+    const layout = layoutSignalLabels(createLabels(PRODUCTION_SIGNAL_COUNT), { radius });
+    const toDegrees = 180 / Math.PI;
+    const span = label => ((label.lines.length * label.lineHeight) / radius) * toDegrees;
+    const sorted = [...layout].sort((a, b) => a.angle - b.angle);
+
+    sorted.forEach((label, k) => {
+      const next = sorted[(k + 1) % sorted.length];
+      const gap = (next.angle - label.angle + 360) % 360;
+      assert.ok(gap >= (span(label) + span(next)) / 2 - 1e-6, `labels at ${label.angle} and ${next.angle} overlap`);
+    });
+  });
+
+  test('keeps every title on one line when the circle is full', () => {
+    const layout = layoutSignalLabels(createLabels(1000), { radius });
+
+    assert.ok(layout.every(label => label.lines.length === 1));
+  });
+});
+
+describe('spreadAngles', () => {
+  test('only moves the neighbours of a wide label, also next to the top of the circle', () => {
+    const angles = Array.from({ length: 36 }, (_, index) => index * 10 + 5);
+    const widths = angles.map((_, index) => (index === 1 ? 30 : 8));
+    const spread = spreadAngles(angles, widths);
+
+    assert.equal(spread[1], angles[1]);
+    assert.ok(spread[2] > angles[2]);
+    // Pushed back past the top of the circle, and its neighbour with it
+    assert.ok(spread[0] > 350 && spread[35] < angles[35]);
+    // The far side of the circle stays in its slots
+    angles.slice(10, 30).forEach((angle, k) => assert.equal(spread[k + 10], angle));
+  });
+});
+
+describe('wrapTitle', () => {
+  const measureAt = text => text.length * 10;
+
+  test('fills lines up to the width and shortens the last one', () => {
+    const lines = wrapTitle('one two three four five six', { width: 90, maxLines: 2, measureAt, ellipsis: '...' });
+
+    assert.deepEqual(lines, ['one two', 'three...']);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Radar Layout Engine Tests
+ *
+ * Headless checks of computeRadarLayout and the canvas hit test: no DOM or
+ * bundler, so labels are measured with the estimated glyph width.
+ *
+ * Run with: npm test
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Modules under test
+import { computeRadarLayout, RADAR_LAYOUT_DEFAULTS } from '../src/utils/radarLayout.js';
+import { DETAIL_LEVELS } from '../src/utils/levelOfDetail.js';
+import { hitTestSignal } from '../src/utils/radarCanvas.js';
+
+const DOMAINS = [
+  { id: 'teaching', label: 'Teaching & Learning Models' },
+  { id: 'equity', label: 'Equity & Access' },
+  { id: 'curriculum', label: 'Curriculum Reform' },
+];
+
+/**
+ * Builds signals spread over the test domains
+ * @param {number} count - Number of signals
+ * @returns {Array<Object>} Signals with id, title, description, domains and participantIdentified
+ */
+const createSignals = (count) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  title: `Signal of change ${index + 1}`,
+  description: `Description of signal ${index + 1}`,
+  domains: DOMAINS.slice(0, (index % DOMAINS.length) + 1).map(domain => domain.id),
+  participantIdentified: index % 7 === 0,
+}));
+
+const isFinitePoint = ({ x, y }) => Number.isFinite(x) && Number.isFinite(y);
+
+describe('computeRadarLayout', () => {
+  test('lays out an empty scan as bare rings', () => {
+    const layout = computeRadarLayout([], DOMAINS);
+
+    assert.equal(layout.rings.length, DOMAINS.length);
+    assert.equal(layout.domainHitAreas.length, DOMAINS.length);
+    assert.deepEqual(layout.boundaries, []);
+    assert.deepEqual(layout.segments, []);
+    assert.deepEqual(layout.labels, []);
+    assert.deepEqual(layout.leaders, []);
+    assert.deepEqual(computeRadarLayout([], DOMAINS, { detailLevel: DETAIL_LEVELS.overview }).markers, []);
+  });
+
+  test('places a single signal at the bottom of the radar', () => {
+    const [signal] = createSignals(1);
+    signal.domains = DOMAINS.map(domain => domain.id);
+    const layout = computeRadarLayout([signal], DOMAINS);
+
+    assert.equal(layout.labels.length, 1);
+    assert.equal(layout.labels[0].angle, 180);
+    assert.deepEqual(layout.labels[0].lines, [signal.title]);
+    assert.equal(layout.leaders.length, 0);
+    assert.equal(layout.segments.length, DOMAINS.length);
+    assert.ok(layout.labels[0].y > RADAR_LAYOUT_DEFAULTS.centerY);
+  });
+
+  test('lays out thousands of signals with every mark on the chart', () => {
+    const signals = createSignals(2000);
+    const standard = computeRadarLayout(signals, DOMAINS);
+    const overview = computeRadarLayout(signals, DOMAINS, { detailLevel: DETAIL_LEVELS.overview });
+
+    assert.equal(standard.labels.length, signals.length);
+    assert.equal(standard.boundaries.length, signals.length);
+    assert.ok(standard.labels.every(isFinitePoint));
+    assert.ok(standard.labels.every(label => label.fontSize >= 16));
+    assert.equal(overview.labels.length, 0);
+    assert.equal(overview.markers.length, signals.length);
+    assert.ok(overview.markers.every(isFinitePoint));
+  });
+
+  test('keeps segments in their domain rings', () => {
+    const layout = computeRadarLayout(createSignals(30), DOMAINS);
+    const expected = createSignals(30).reduce((sum, signal) => sum + signal.domains.length, 0);
+
+    assert.equal(layout.segments.length, expected);
+    assert.ok(layout.segments.every(segment => DOMAINS.some(domain => domain.id === segment.domainId)));
+  });
+});
+
+describe('hitTestSignal', () => {
+  const signals = createSignals(141);
+
+  Object.values(DETAIL_LEVELS).forEach(detailLevel => {
+    test(`finds every signal at its own mark (${detailLevel})`, () => {
+      const layout = computeRadarLayout(signals, DOMAINS, { detailLevel });
+      const marks = layout.labels.length > 0 ? layout.labels : layout.markers;
+
+      assert.equal(marks.length, signals.length);
+      marks.forEach(mark => assert.equal(hitTestSignal(layout, mark), mark.index));
+    });
+  });
+
+  test('finds nothing away from the labels', () => {
+    const layout = computeRadarLayout(signals, DOMAINS);
+    const { centerX, centerY } = layout.geometry;
+
+    assert.equal(hitTestSignal(layout, { x: centerX, y: centerY }), -1);
+    assert.equal(hitTestSignal(layout, { x: 0, y: 0 }), -1);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Server Proxy Tests
+ *
+ * Runs server/index.js against a stand-in AITable and loads signals through
+ * it with the browser's own data source, to check how failures reach the
+ * error screen and how many requests they cost.
+ *
+ * Run with: npm test
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+// Modules under test
+import { createAitableSource } from '../src/dataSources/aitableSource.js';
+import { describeLoadError } from '../src/utils/loadErrors.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../server/index.js', import.meta.url));
+
+const LOAD_CONTEXT = { sourceType: 'aitable', sourceLabel: 'AITable', isOnline: true };
+
+/**
+ * Starts an HTTP server on a free port
+ * @param {Function} handler - Request handler
+ * @returns {Promise<http.Server>} Listening server
+ */
+const listen = (handler) => new Promise((resolve) => {
+  const server = createServer(handler);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+/**
+ * Finds a free port for the proxy
+ * @returns {Promise<number>} Port number
+ */
+const getFreePort = async () => {
+  const server = await listen(() => {});
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+};
+
+/**
+ * Starts server/index.js and waits until it listens
+ * @param {Object} env - Environment variables for the server
+ * @returns {Promise<{url: string, stop: Function}>} Base URL of /api and a stop function
+ */
+const startProxy = async (env) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, VITE_AITABLE_TOKEN: '', VITE_SCAN_HITS_DATASHEET_ID: '', ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('Server listening')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}/api`,
+    stop: () => new Promise((resolve) => {
+      child.once('exit', resolve);
+      child.kill();
+    }),
+  };
+};
+
+/**
+ * Loads signals through the proxy the way the app does
+ * @param {string} apiUrl - Base URL of the proxy's /api
+ * @returns {Promise<Error>} The load error
+ */
+const loadSignalsError = async (apiUrl) => {
+  const source = createAitableSource({ url: `${apiUrl}/signals` });
+  return source.fetchRecords().then(
+    () => assert.fail('loading should have failed'),
+    error => error
+  );
+};
+
+describe('server proxy', () => {
+  const stops = [];
+  // The retry helper logs every attempt
+  before(() => ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {})));
+  after(async () => {
+    await Promise.all(stops.map(stop => stop()));
+    mock.restoreAll();
+  });
+
+  /**
+   * Starts a stand-in AITable that rate-limits every request, and the proxy in front of it
+   * @param {string} retryAfter - Retry-After header value
+   * @returns {Promise<{apiUrl: string, countRequests: Function}>} Proxy /api URL and AITable's request count
+   */
+  const startRateLimitedProxy = async (retryAfter) => {
+    let upstreamRequests = 0;
+    const upstream = await listen((req, res) => {
+      upstreamRequests++;
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': retryAfter });
+      res.end(JSON.stringify({ success: false, code: 429, message: 'Too many requests' }));
+    });
+    stops.push(() => new Promise(resolve => upstream.close(resolve)));
+
+    const proxy = await startProxy({
+      AITABLE_API_URL: `http://127.0.0.1:${upstream.address().port}`,
+      AITABLE_TOKEN: 'test-token',
+      SCAN_HITS_DATASHEET_ID: 'dstTest',
+    });
+    stops.push(proxy.stop);
+
+    return { apiUrl: proxy.url, countRequests: () => upstreamRequests };
+  };
+
+  test('answers a rate limit straight away, with its Retry-After', async () => {
+    const { apiUrl, countRequests } = await startRateLimitedProxy('5');
+    const startedAt = Date.now();
+    const response = await fetch(`${apiUrl}/signals?pageNum=1`);
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '5');
+    assert.ok(Date.now() - startedAt < 2000, 'the proxy waited before answering');
+    assert.equal(countRequests(), 1);
+  });
+
+  test('a rate-limited AITable reaches the browser as a rate limit, asked once', async () => {
+    const { apiUrl, countRequests } = await startRateLimitedProxy('60');
+    const error = await loadSignalsError(apiUrl);
+    const description = describeLoadError(error, LOAD_CONTEXT);
+
+    assert.equal(description.kind, 'rateLimited');
+    assert.deepEqual(description.hints, ['Try again in about 60 seconds.']);
+    // The wait is longer than the browser is willing to retry after, so nobody retries
+    assert.equal(countRequests(), 1);
+  });
+
+  test('reports missing settings after a single attempt', async () => {
+    const proxy = await startProxy({ AITABLE_TOKEN: '', SCAN_HITS_DATASHEET_ID: '' });
+    stops.push(proxy.stop);
+
+    const error = await loadSignalsError(proxy.url);
+    const description = describeLoadError(error, LOAD_CONTEXT);
+
+    assert.equal(description.kind, 'configuration');
+    assert.match(description.message, /AITABLE_TOKEN and SCAN_HITS_DATASHEET_ID/);
+    assert.equal(error.cause.attempts, 1);
+  });
+});
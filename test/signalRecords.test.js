@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Signal Record Tests
+ *
+ * Headless checks of how data source rows are read into signals, including
+ * rows with empty or missing cells.
+ *
+ * Run with: npm test
+ *
+ * @author UNICEF/Radial Interactive Team
+ * @version 2.0.0
+ */
+
+// Node imports
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Modules under test
+import { readSignalRow } from '../src/utils/signalRecords.js';
+import { computeRadarLayout } from '../src/utils/radarLayout.js';
+
+const FIELDS = {
+  id: 'ID',
+  title: 'Title',
+  description: 'Description',
+  domains: 'Domains',
+  date: 'Horizon',
+  source: 'Source',
+  recNumber: 'Rec',
+  steepCategory: 'Category',
+  participantIdentified: 'Participant identified',
+};
+
+const DOMAINS = [
+  { id: 'teaching', label: 'Teaching & Learning Models' },
+  { id: 'equity', label: 'Equity & Access' },
+];
+
+const DOMAIN_NAME_MAPPING = { 'teaching & learning models': 'teaching', 'equity & access': 'equity' };
+
+describe('readSignalRow', () => {
+  test('reads a complete row', () => {
+    const signal = readSignalRow({
+      ID: 7,
+      Title: '  Schools  go   online ',
+      Description: 'Lessons move home',
+      Domains: 'Teaching & Learning Models | Equity & Access | Unknown',
+      'Participant identified': 'Yes',
+    }, FIELDS, DOMAIN_NAME_MAPPING);
+
+    assert.equal(signal.id, 7);
+    assert.equal(signal.title, 'Schools go online');
+    assert.deepEqual(signal.domains, ['teaching', 'equity']);
+    assert.equal(signal.participantIdentified, true);
+  });
+
+  test('loads a record with no title as an empty title that still lays out', () => {
+    // AITable leaves empty cells out of the record altogether
+    const signal = readSignalRow({ ID: 1, Domains: ['Equity & Access'] }, FIELDS, DOMAIN_NAME_MAPPING);
+
+    assert.equal(signal.title, '');
+    assert.equal(signal.description, '');
+    assert.equal(readSignalRow({ ID: 2, Title: null }, FIELDS, DOMAIN_NAME_MAPPING).title, '');
+    assert.equal(readSignalRow({ ID: 3, Title: 2030 }, FIELDS, DOMAIN_NAME_MAPPING).title, '2030');
+
+    const layout = computeRadarLayout([signal], DOMAINS);
+    assert.equal(layout.labels.length, 1);
+    assert.deepEqual(layout.labels[0].lines, ['']);
+  });
+});
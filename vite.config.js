@@ -1,9 +1,67 @@
+import { createHash } from 'node:crypto';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+// Local server that proxies AITable (see server/index.js)
+const apiProxy = {
+  '/api': `http://localhost:${process.env.API_PORT || 3001}`,
+};
+
+/**
+ * Lists the files under a directory, skipping dotfiles
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} Absolute file paths
+ */
+const listFiles = (dir) => readdirSync(dir, { withFileTypes: true })
+  .filter(entry => !entry.name.startsWith('.'))
+  .flatMap(entry => (entry.isDirectory()
+    ? listFiles(join(dir, entry.name))
+    : [join(dir, entry.name)]));
+
+/**
+ * Builds dist/sw.js from the src/sw.js template, filling in the files to
+ * precache (every built asset plus public/, except data files) and a cache
+ * version that changes whenever any of those files does
+ * @returns {import('vite').Plugin} Vite plugin
+ */
+const serviceWorker = () => {
+  let publicDir;
+
+  return {
+    name: 'precache-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_options, bundle) {
+      const version = createHash('sha256');
+
+      const assetUrls = Object.keys(bundle)
+        .filter(fileName => fileName !== 'index.html' && !fileName.endsWith('.map'))
+        .map(fileName => `/${fileName}`);
+      assetUrls.forEach(url => version.update(url)); // Names carry content hashes
+
+      const publicUrls = listFiles(publicDir)
+        .map(file => {
+          version.update(readFileSync(file));
+          return `/${relative(publicDir, file).split(sep).join('/')}`;
+        })
+        .filter(url => !url.startsWith('/data/'));
+
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(['/', ...assetUrls, ...publicUrls]))
+        .replace('self.__CACHE_VERSION', JSON.stringify(version.digest('hex').slice(0, 12)));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+};
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   
   // Build optimizations
   build: {
@@ -39,12 +97,14 @@ export default defineConfig({
     port: 5173,
     open: true, // Auto-open browser
     cors: true,
+    proxy: apiProxy,
   },
   
   // Preview server settings
   preview: {
     port: 4173,
     open: true,
+    proxy: apiProxy,
   },
   
   // CSS optimization